@@ -0,0 +1,542 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { reportMeshOverflow } from "./mesh-overflow.js";
+
+//
+// Adaptive isosurface extraction. Rather than sampling the field at every voxel of the volume, the
+// volume is covered by an octree whose cells are only subdivided where the surface might pass
+// through them, and only down to a size that depends on their distance from the viewer. That makes
+// it affordable to use a very fine step near the camera while the far side of the surface is
+// meshed much more coarsely.
+//
+// The mesh is built by placing one vertex in every leaf cell the surface passes through (like
+// SurfaceNets) and connecting the leaves around every minimal edge of the octree that crosses the
+// surface, following "Dual Contouring of Hermite Data" (Ju et al. 2002). Because the faces are
+// generated from the edges of the smallest neighboring cell there are no cracks between cells of
+// different sizes.
+//
+// The volume's step is the size of the smallest cells, and its bounds and threshold are used as
+// they are by MarchingCubes. Unlike the other triangulators the field is sampled directly from the
+// isosurface when updateVolume is called, so volume.values isn't used.
+//
+
+// Within this file the children and corners of a cell are indexed as (x * 4) + (y * 2) + z, which
+// matches the tables from the paper.
+
+// Placeholder for a leaf's vertex that was counted, but didn't fit in the output arrays.
+const COUNTED_VERTEX = -2;
+
+const CHILD_OFFSETS = [
+  [0, 0, 0], [0, 0, 1], [0, 1, 0], [0, 1, 1],
+  [1, 0, 0], [1, 0, 1], [1, 1, 0], [1, 1, 1],
+];
+
+// The corners connected by each edge of a cell, grouped by axis.
+const EDGE_CORNERS = [
+  [0, 4], [1, 5], [2, 6], [3, 7], // X
+  [0, 2], [1, 3], [4, 6], [5, 7], // Y
+  [0, 1], [2, 3], [4, 5], [6, 7], // Z
+];
+
+// Pairs of children that share a face, and the axis the face is perpendicular to.
+const CELL_PROC_FACE_MASK = [
+  [0, 4, 0], [1, 5, 0], [2, 6, 0], [3, 7, 0],
+  [0, 2, 1], [4, 6, 1], [1, 3, 1], [5, 7, 1],
+  [0, 1, 2], [2, 3, 2], [4, 5, 2], [6, 7, 2],
+];
+
+// Groups of four children that share an edge, and the axis of that edge.
+const CELL_PROC_EDGE_MASK = [
+  [0, 1, 2, 3, 0], [4, 5, 6, 7, 0],
+  [0, 4, 1, 5, 1], [2, 6, 3, 7, 1],
+  [0, 2, 4, 6, 2], [1, 3, 5, 7, 2],
+];
+
+const FACE_PROC_FACE_MASK = [
+  [[4, 0, 0], [5, 1, 0], [6, 2, 0], [7, 3, 0]],
+  [[2, 0, 1], [6, 4, 1], [3, 1, 1], [7, 5, 1]],
+  [[1, 0, 2], [3, 2, 2], [5, 4, 2], [7, 6, 2]],
+];
+
+const FACE_PROC_EDGE_MASK = [
+  [[1, 4, 0, 5, 1, 1], [1, 6, 2, 7, 3, 1], [0, 4, 6, 0, 2, 2], [0, 5, 7, 1, 3, 2]],
+  [[0, 2, 3, 0, 1, 0], [0, 6, 7, 4, 5, 0], [1, 2, 0, 6, 4, 2], [1, 3, 1, 7, 5, 2]],
+  [[1, 1, 0, 3, 2, 0], [1, 5, 4, 7, 6, 0], [0, 1, 5, 0, 4, 1], [0, 3, 7, 2, 6, 1]],
+];
+
+const FACE_PROC_EDGE_ORDERS = [
+  [0, 0, 1, 1],
+  [0, 1, 0, 1],
+];
+
+const EDGE_PROC_EDGE_MASK = [
+  [[3, 2, 1, 0, 0], [7, 6, 5, 4, 0]],
+  [[5, 1, 4, 0, 1], [7, 3, 6, 2, 1]],
+  [[6, 4, 2, 0, 2], [7, 5, 3, 1, 2]],
+];
+
+// The edge of each of the four cells around an edge that is that shared edge.
+const PROCESS_EDGE_MASK = [
+  [3, 2, 1, 0],
+  [7, 5, 6, 4],
+  [11, 10, 9, 8],
+];
+
+const DEFAULT_OPTIONS = {
+  // Cells within this distance of the viewer are refined down to the volume's step. Each time the
+  // distance doubles beyond that the smallest cell size doubles as well.
+  lodDistance: 1.5,
+  // The largest number of times the smallest cell size can be doubled.
+  maxLodLevel: 3,
+  // Cells that overlap a ball are refined to at least this size, in voxels, even if the surface
+  // doesn't cross any of their edges, so that small features aren't missed.
+  probeSize: 4,
+};
+
+class OctreeNode {
+  constructor(x, y, z, size) {
+    // Position of the cell's first corner and its size, in units of the volume's step.
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.size = size;
+    this.values = new Float32Array(8);
+    this.children = null;
+    // The balls that can affect the cell (and a margin of one voxel around it), if known.
+    this.balls = undefined;
+    this.vertex = -1;
+    // Whether the surface crosses the edges of this cell or any of its descendants.
+    this.hasSurface = false;
+  }
+}
+
+export class AdaptiveOctree extends EventTarget {
+  // Upper bounds used to size the output buffers. Leaves are never smaller than a voxel, have at
+  // most one vertex each, and every minimal edge produces at most one quad.
+  static maxVerticesPerVoxel = 1;
+  static maxIndicesPerCell = 18;
+
+  constructor(volume, options = {}) {
+    super();
+
+    this.volume = volume;
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    // The root is the smallest power-of-two cube of voxels that covers the volume. Samples that fall
+    // outside of the volume are treated as being outside of the surface.
+    const cells = Math.max(volume.width, volume.height, volume.depth) - 1;
+    this.rootSize = Math.pow(2, Math.ceil(Math.log2(Math.max(cells, 1))));
+    this.root = null;
+
+    this.isosurface = null;
+    // Cache of the field at each voxel of the volume, NaN where it hasn't been sampled yet.
+    this.samples = new Float32Array(volume.width * volume.height * volume.depth);
+
+    // Statistics about the last update
+    this.stats = {
+      leaves: 0,
+      samples: 0,
+      triangulatedCells: 0,
+    };
+
+    this.crossing = new Float32Array(3);
+  }
+
+  // Samples the isosurface at the given voxel, caching the result for the neighboring cells. Balls
+  // that don't overlap the voxel can be left out of the list of balls.
+  sample(i, j, k, balls) {
+    const vol = this.volume;
+    if (i >= vol.width || j >= vol.height || k >= vol.depth) {
+      return this.outsideValue;
+    }
+
+    const index = i + (j * vol.width) + (k * vol.width * vol.height);
+    let value = this.samples[index];
+    if (Number.isNaN(value)) {
+      value = this.isosurface.surfaceFunc(
+        vol.xMin + (vol.xStep * i),
+        vol.yMin + (vol.yStep * j),
+        vol.zMin + (vol.zStep * k),
+        balls);
+      this.samples[index] = value;
+      this.stats.samples++;
+    }
+    return value;
+  }
+
+  // Rebuilds the octree for the current state of the isosurface, refining it most heavily around
+  // viewPosition (if given.)
+  updateVolume(isosurface, viewPosition = null) {
+    this.isosurface = isosurface;
+    this.viewPosition = viewPosition;
+    this.outsideValue = Math.min(0, this.volume.threshold - 1);
+    this.samples.fill(NaN);
+    this.stats.leaves = 0;
+    this.stats.samples = 0;
+
+    // Ball bounds are used to find the cells that might contain parts of the surface that are too
+    // small to show up in the samples at their corners.
+    isosurface.updateBounds?.();
+
+    this.root = new OctreeNode(0, 0, 0, this.rootSize);
+    this.root.balls = isosurface.balls;
+    this.buildNode(this.root);
+  }
+
+  buildNode(node) {
+    for (let c = 0; c < 8; ++c) {
+      const offset = CHILD_OFFSETS[c];
+      node.values[c] = this.sample(
+        node.x + offset[0] * node.size,
+        node.y + offset[1] * node.size,
+        node.z + offset[2] * node.size,
+        node.balls);
+    }
+
+    if (node.size > this.targetSize(node) && this.needsRefinement(node)) {
+      const childSize = node.size / 2;
+      node.children = new Array(8);
+      for (let c = 0; c < 8; ++c) {
+        const offset = CHILD_OFFSETS[c];
+        const child = new OctreeNode(
+          node.x + offset[0] * childSize,
+          node.y + offset[1] * childSize,
+          node.z + offset[2] * childSize,
+          childSize);
+        // Filtering the balls stops paying for itself once the cells get small.
+        child.balls = childSize >= this.options.probeSize ?
+            this.overlappingBalls(child, node.balls) : node.balls;
+        this.buildNode(child);
+        node.children[c] = child;
+      }
+    } else {
+      this.stats.leaves++;
+    }
+  }
+
+  // The smallest size, in voxels, that the given cell should be refined to.
+  targetSize(node) {
+    if (!this.viewPosition) { return 1; }
+
+    const vol = this.volume;
+    const min = [vol.xMin + vol.xStep * node.x, vol.yMin + vol.yStep * node.y, vol.zMin + vol.zStep * node.z];
+    const size = [vol.xStep * node.size, vol.yStep * node.size, vol.zStep * node.size];
+    let sqrDist = 0;
+    for (let axis = 0; axis < 3; ++axis) {
+      const d = Math.max(min[axis] - this.viewPosition[axis], 0, this.viewPosition[axis] - (min[axis] + size[axis]));
+      sqrDist += d * d;
+    }
+
+    const level = Math.floor(Math.log2(Math.max(Math.sqrt(sqrDist) / this.options.lodDistance, 1)));
+    return Math.pow(2, Math.min(level, this.options.maxLodLevel));
+  }
+
+  crossesSurface(node, threshold) {
+    const inside = node.values[0] >= threshold;
+    for (let c = 1; c < 8; ++c) {
+      if ((node.values[c] >= threshold) !== inside) { return true; }
+    }
+    return false;
+  }
+
+  needsRefinement(node) {
+    if (this.crossesSurface(node, this.volume.threshold)) { return true; }
+    if (node.size <= this.options.probeSize) { return false; }
+    // Without a list of balls there's no way to tell whether something is hiding inside the cell.
+    return !node.balls || node.balls.length > 0;
+  }
+
+  // Filters the balls down to those whose bounds overlap the node, expanded by a voxel so that the
+  // normals can be sampled around the node's vertex.
+  overlappingBalls(node, balls) {
+    if (!balls) { return balls; }
+
+    const vol = this.volume;
+    const min = [
+      vol.xMin + vol.xStep * (node.x - 1),
+      vol.yMin + vol.yStep * (node.y - 1),
+      vol.zMin + vol.zStep * (node.z - 1),
+    ];
+    const max = [
+      vol.xMin + vol.xStep * (node.x + node.size + 1),
+      vol.yMin + vol.yStep * (node.y + node.size + 1),
+      vol.zMin + vol.zStep * (node.z + node.size + 1),
+    ];
+    return balls.filter((ball) => !ball.boundsMin || (
+      ball.boundsMin[0] <= max[0] && ball.boundsMax[0] >= min[0] &&
+      ball.boundsMin[1] <= max[1] && ball.boundsMax[1] >= min[1] &&
+      ball.boundsMin[2] <= max[2] && ball.boundsMax[2] >= min[2]));
+  }
+
+  generateMesh(arrays, threshold = this.volume.threshold) {
+    if (!arrays.positions) {
+      throw new Error('Must specify a positions array');
+    }
+    if (!arrays.indices) {
+      throw new Error('Must specify a index array');
+    }
+
+    if (!arrays.vertexOffset) {
+      arrays.vertexOffset = 0;
+    }
+    if (!arrays.indexOffset) {
+      arrays.indexOffset = 0;
+    }
+
+    arrays.maxVertices = Math.floor(arrays.positions.length / 3);
+    if (arrays.normals) {
+      arrays.maxVertices = Math.min(arrays.maxVertices, Math.floor(arrays.normals.length / 3));
+    }
+    arrays.overflow = false;
+
+    const initialIndexOffset = arrays.indexOffset;
+    this.stats.triangulatedCells = 0;
+    if (!this.root) {
+      return 0;
+    }
+
+    this.threshold = threshold;
+    this.arrays = arrays;
+    this.required = null;
+    this.prepareNode(this.root);
+    this.cellProc(this.root);
+    this.arrays = null;
+
+    if (this.required) {
+      reportMeshOverflow(this, arrays, this.required.vertices, this.required.indices);
+      this.required = null;
+    }
+
+    return arrays.indexOffset - initialIndexOffset;
+  }
+
+  // Clears the node's vertex and finds which parts of the tree the surface passes through.
+  prepareNode(node) {
+    node.vertex = -1;
+    if (node.children) {
+      node.hasSurface = false;
+      for (const child of node.children) {
+        node.hasSurface = this.prepareNode(child) || node.hasSurface;
+      }
+    } else {
+      node.hasSurface = this.crossesSurface(node, this.threshold);
+    }
+    return node.hasSurface;
+  }
+
+  // Like the rest of the contouring functions, skips any part of the tree that the surface doesn't
+  // pass through, since every face is generated from the edge of a leaf that crosses the surface.
+  cellProc(node) {
+    if (!node.children || !node.hasSurface) { return; }
+
+    for (const child of node.children) {
+      this.cellProc(child);
+    }
+
+    for (const [c0, c1, dir] of CELL_PROC_FACE_MASK) {
+      this.faceProc(node.children[c0], node.children[c1], dir);
+    }
+
+    for (const [c0, c1, c2, c3, dir] of CELL_PROC_EDGE_MASK) {
+      this.edgeProc([node.children[c0], node.children[c1], node.children[c2], node.children[c3]], dir);
+    }
+  }
+
+  faceProc(node0, node1, dir) {
+    if (!node0.children && !node1.children) { return; }
+    if (!node0.hasSurface && !node1.hasSurface) { return; }
+
+    for (const [c0, c1, faceDir] of FACE_PROC_FACE_MASK[dir]) {
+      this.faceProc(
+        node0.children ? node0.children[c0] : node0,
+        node1.children ? node1.children[c1] : node1,
+        faceDir);
+    }
+
+    const nodes = [node0, node1];
+    for (const mask of FACE_PROC_EDGE_MASK[dir]) {
+      const order = FACE_PROC_EDGE_ORDERS[mask[0]];
+      const edgeNodes = new Array(4);
+      for (let j = 0; j < 4; ++j) {
+        const node = nodes[order[j]];
+        edgeNodes[j] = node.children ? node.children[mask[j + 1]] : node;
+      }
+      this.edgeProc(edgeNodes, mask[5]);
+    }
+  }
+
+  edgeProc(nodes, dir) {
+    if (!nodes[0].hasSurface && !nodes[1].hasSurface && !nodes[2].hasSurface && !nodes[3].hasSurface) {
+      return;
+    }
+
+    if (!nodes[0].children && !nodes[1].children && !nodes[2].children && !nodes[3].children) {
+      this.processEdge(nodes, dir);
+      return;
+    }
+
+    for (const mask of EDGE_PROC_EDGE_MASK[dir]) {
+      const edgeNodes = new Array(4);
+      for (let j = 0; j < 4; ++j) {
+        edgeNodes[j] = nodes[j].children ? nodes[j].children[mask[j]] : nodes[j];
+      }
+      this.edgeProc(edgeNodes, mask[4]);
+    }
+  }
+
+  // Emits the quad for the edge shared by four leaves, if the smallest leaf's copy of that edge
+  // crosses the surface. Leaves that appear more than once produce triangles instead.
+  processEdge(nodes, dir) {
+    const threshold = this.threshold;
+    let minNode = 0;
+    for (let i = 1; i < 4; ++i) {
+      if (nodes[i].size < nodes[minNode].size) {
+        minNode = i;
+      }
+    }
+
+    const [c0, c1] = EDGE_CORNERS[PROCESS_EDGE_MASK[dir][minNode]];
+    const inside0 = nodes[minNode].values[c0] >= threshold;
+    const inside1 = nodes[minNode].values[c1] >= threshold;
+    if (inside0 === inside1) { return; }
+
+    const newVertices = this.countNewVertices(nodes);
+    const newIndices = this.countQuadIndices(nodes);
+    const arrays = this.arrays;
+    if (!this.required && (arrays.vertexOffset + newVertices > arrays.maxVertices ||
+        arrays.indexOffset + newIndices > arrays.indices.length)) {
+      // Out of room, so the rest of the surface is left out.
+      this.required = { vertices: arrays.vertexOffset, indices: arrays.indexOffset };
+    }
+
+    if (this.required) {
+      // Keep going to measure how much room the whole mesh needs.
+      for (const node of nodes) {
+        if (node.vertex === -1) {
+          node.vertex = COUNTED_VERTEX;
+        }
+      }
+      this.required.vertices += newVertices;
+      this.required.indices += newIndices;
+      return;
+    }
+
+    const v0 = this.leafVertex(nodes[0]);
+    const v1 = this.leafVertex(nodes[1]);
+    const v2 = this.leafVertex(nodes[2]);
+    const v3 = this.leafVertex(nodes[3]);
+
+    if (inside0) {
+      this.emitTriangle(v0, v3, v1);
+      this.emitTriangle(v0, v2, v3);
+    } else {
+      this.emitTriangle(v0, v1, v3);
+      this.emitTriangle(v0, v3, v2);
+    }
+  }
+
+  // Number of the leaves around an edge that don't have a vertex yet. A leaf can appear more than once.
+  countNewVertices(nodes) {
+    let count = 0;
+    for (let i = 0; i < 4; ++i) {
+      if (nodes[i].vertex === -1 && nodes.indexOf(nodes[i]) === i) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Number of indices in the quad for an edge, leaving out the triangles that emitTriangle drops
+  // because a leaf appears more than once.
+  countQuadIndices(nodes) {
+    let count = 0;
+    if (nodes[0] !== nodes[1] && nodes[1] !== nodes[3] && nodes[0] !== nodes[3]) { count += 3; }
+    if (nodes[0] !== nodes[2] && nodes[2] !== nodes[3] && nodes[0] !== nodes[3]) { count += 3; }
+    return count;
+  }
+
+  emitTriangle(a, b, c) {
+    if (a === b || b === c || a === c) { return; }
+    const arrays = this.arrays;
+    arrays.indices[arrays.indexOffset++] = a;
+    arrays.indices[arrays.indexOffset++] = b;
+    arrays.indices[arrays.indexOffset++] = c;
+  }
+
+  // Returns the index of the leaf's vertex, placing it at the average of the points where the
+  // surface crosses the leaf's edges if it hasn't been already.
+  leafVertex(node) {
+    if (node.vertex !== -1) {
+      return node.vertex;
+    }
+
+    const threshold = this.threshold;
+    const p = this.crossing;
+    p[0] = p[1] = p[2] = 0;
+    let crossingCount = 0;
+    for (const [a, b] of EDGE_CORNERS) {
+      const va = node.values[a];
+      const vb = node.values[b];
+      if ((va >= threshold) === (vb >= threshold)) { continue; }
+
+      const mu = (threshold - va) / (vb - va);
+      for (let axis = 0; axis < 3; ++axis) {
+        p[axis] += CHILD_OFFSETS[a][axis] + (CHILD_OFFSETS[b][axis] - CHILD_OFFSETS[a][axis]) * mu;
+      }
+      crossingCount++;
+    }
+
+    if (crossingCount) {
+      p[0] /= crossingCount;
+      p[1] /= crossingCount;
+      p[2] /= crossingCount;
+      this.stats.triangulatedCells++;
+    } else {
+      // The surface only crosses a smaller neighbor's edges, so fall back to the cell's center.
+      p[0] = p[1] = p[2] = 0.5;
+    }
+
+    const vol = this.volume;
+    const x = vol.xMin + vol.xStep * (node.x + p[0] * node.size);
+    const y = vol.yMin + vol.yStep * (node.y + p[1] * node.size);
+    const z = vol.zMin + vol.zStep * (node.z + p[2] * node.size);
+
+    const arrays = this.arrays;
+    const index = arrays.vertexOffset++;
+    const offset = index * 3;
+    arrays.positions[offset] = x;
+    arrays.positions[offset+1] = y;
+    arrays.positions[offset+2] = z;
+
+    if (arrays.normals) {
+      // Same convention as MarchingCubes.computeNormal, pointing away from the inside of the
+      // surface. Sampled at the volume's step so that normals match across cells of every size.
+      const isosurface = this.isosurface;
+      const balls = node.balls;
+      arrays.normals[offset] = isosurface.surfaceFunc(x - vol.xStep, y, z, balls) - isosurface.surfaceFunc(x + vol.xStep, y, z, balls);
+      arrays.normals[offset+1] = isosurface.surfaceFunc(x, y - vol.yStep, z, balls) - isosurface.surfaceFunc(x, y + vol.yStep, z, balls);
+      arrays.normals[offset+2] = isosurface.surfaceFunc(x, y, z - vol.zStep, balls) - isosurface.surfaceFunc(x, y, z + vol.zStep, balls);
+    }
+
+    node.vertex = index;
+    return index;
+  }
+}
@@ -0,0 +1,82 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { SurfaceNets } from "./surface-nets.js";
+
+//
+// Triangulates an isosurface using Dual Contouring, which connects the cells like Surface Nets but
+// places each cell's vertex at the point that best fits the tangent planes of the surface where it
+// crosses the cell's edges (by minimizing a quadratic error function). This allows sharp features
+// to be reproduced rather than rounded off.
+//
+
+// Pulls the vertex towards the average of the edge crossings, which keeps the solution stable when
+// the planes are (nearly) parallel.
+export const QEF_BIAS = 0.05;
+
+export class DualContouring extends SurfaceNets {
+  placeVertex(out) {
+    // Start from the average, like Surface Nets, and solve for the offset from it.
+    super.placeVertex(out);
+
+    const crossings = this.crossings;
+    const normals = this.crossingNormals;
+
+    // Accumulate the normal equations AᵀA x = Aᵀb, where each row of A is a (normalized) crossing
+    // normal and b is the distance of that crossing's plane from the average.
+    let a00 = QEF_BIAS, a01 = 0, a02 = 0, a11 = QEF_BIAS, a12 = 0, a22 = QEF_BIAS;
+    let b0 = 0, b1 = 0, b2 = 0;
+    for (let n = 0; n < this.crossingCount; ++n) {
+      let nx = normals[n*3];
+      let ny = normals[n*3+1];
+      let nz = normals[n*3+2];
+      const length = Math.sqrt(nx*nx + ny*ny + nz*nz);
+      if (length === 0) { continue; }
+      nx /= length;
+      ny /= length;
+      nz /= length;
+
+      const d = nx * (crossings[n*3] - out[0]) +
+                ny * (crossings[n*3+1] - out[1]) +
+                nz * (crossings[n*3+2] - out[2]);
+
+      a00 += nx*nx; a01 += nx*ny; a02 += nx*nz;
+      a11 += ny*ny; a12 += ny*nz;
+      a22 += nz*nz;
+      b0 += nx*d; b1 += ny*d; b2 += nz*d;
+    }
+
+    // Solve the symmetric 3x3 system with Cramer's rule.
+    const c00 = a11*a22 - a12*a12;
+    const c01 = a02*a12 - a01*a22;
+    const c02 = a01*a12 - a02*a11;
+    const det = a00*c00 + a01*c01 + a02*c02;
+    if (Math.abs(det) < 1e-12) { return; }
+
+    const c11 = a00*a22 - a02*a02;
+    const c12 = a01*a02 - a00*a12;
+    const c22 = a00*a11 - a01*a01;
+
+    // Keep the vertex inside of the cell, otherwise the mesh can fold over itself.
+    out[0] = Math.min(Math.max(out[0] + (c00*b0 + c01*b1 + c02*b2) / det, 0), 1);
+    out[1] = Math.min(Math.max(out[1] + (c01*b0 + c11*b1 + c12*b2) / det, 0), 1);
+    out[2] = Math.min(Math.max(out[2] + (c02*b0 + c12*b1 + c22*b2) / det, 0), 1);
+  }
+}
@@ -0,0 +1,191 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { MarchingCubes } from './marching-cubes.js';
+import { MeshOverflowEvent } from './mesh-overflow.js';
+
+//
+// Moves the Marching Cubes triangulation off of the main thread. The volume is sliced into ranges
+// of brick layers along the Z axis, one per worker, and each worker evaluates the field and
+// triangulates the changed bricks of its slice with its own MarchingCubes (see
+// marching-cubes-worker.js). The brick meshes are transferred back and kept by a MarchingCubes
+// on this thread, which only has to stitch them into the output arrays.
+//
+// Implements the same updateVolume()/generateMesh() interface as MarchingCubes so that it can be
+// passed to any of the metaball methods that use it. The difference is that updateVolume() only
+// queues a job for the workers, and generateMesh() writes out the mesh from the most recently
+// completed job, so the mesh lags the balls by however long the workers take. If a job is still
+// running when the next update comes in the update is held, and only the latest held update is
+// sent once the workers are free.
+//
+// Only the isosurfaces that can be packed with MetaballField.packBalls(), using the built-in
+// primitives, kernels and container shapes, are supported (see supports()).
+//
+// If a worker fails the pool gives up on the workers, since they may have been left part way
+// through a job, and falls back to triangulating on the main thread.
+//
+
+export class MarchingCubesWorkerPool extends EventTarget {
+  constructor(surfaceVolume = {}, workerCount = Math.max((navigator.hardwareConcurrency ?? 2) - 1, 1)) {
+    super();
+
+    this.marchingCubes = new MarchingCubes(surfaceVolume);
+    this.volume = this.marchingCubes.volume;
+    this.stats = this.marchingCubes.stats;
+
+    // Can't have more slices than layers.
+    const layerCount = this.marchingCubes.cellBrickLayers;
+    workerCount = Math.min(workerCount, layerCount);
+
+    this.workers = [];
+    for (let i = 0; i < workerCount; ++i) {
+      const worker = new Worker(new URL('./marching-cubes-worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (event) => this.onWorkerMessage(event.data);
+      worker.onerror = (event) => this.onWorkerError(event);
+      worker.postMessage({
+        type: 'init',
+        volume: surfaceVolume,
+        layers: [
+          Math.floor(layerCount * i / workerCount),
+          Math.floor(layerCount * (i + 1) / workerCount),
+        ],
+      });
+      this.workers.push(worker);
+    }
+
+    this.nextJob = 0;
+    this.runningJob = null;
+    this.heldJob = null;
+    this.results = [];
+    this.failed = false;
+    this.isosurface = null;
+  }
+
+  // Whether the workers are able to triangulate the given isosurface.
+  static supports(isosurface) {
+    return !!isosurface.packBalls;
+  }
+
+  get workerCount() {
+    return this.workers.length;
+  }
+
+  updateVolume(isosurface) {
+    this.isosurface = isosurface;
+    if (this.failed) {
+      this.marchingCubes.updateVolume(isosurface);
+      return;
+    }
+
+    if (!MarchingCubesWorkerPool.supports(isosurface)) {
+      throw new Error('MarchingCubesWorkerPool can only triangulate isosurfaces that implement packBalls()');
+    }
+
+    const job = {
+      type: 'mesh',
+      job: this.nextJob++,
+      kernel: isosurface.kernel.name,
+      container: isosurface.container?.pack() ?? null,
+      threshold: this.volume.threshold,
+      balls: isosurface.packBalls(),
+      ballCount: isosurface.balls.length,
+    };
+
+    if (this.runningJob !== null) {
+      this.heldJob = job;
+      return;
+    }
+    this.startJob(job);
+  }
+
+  startJob(job) {
+    this.runningJob = job.job;
+    this.results.length = 0;
+    for (const worker of this.workers) {
+      worker.postMessage(job);
+    }
+  }
+
+  onWorkerMessage(message) {
+    if (message.job !== this.runningJob) { return; }
+
+    // Wait for every slice of the job to finish so that the mesh is never stitched together from
+    // bricks that were triangulated for different updates.
+    this.results.push(message);
+    if (this.results.length < this.workers.length) { return; }
+
+    let updatedBricks = 0;
+    let remeshedBricks = 0;
+    for (const result of this.results) {
+      for (const brick of result.bricks) {
+        this.marchingCubes.brickMeshes[brick.index] = brick.mesh;
+      }
+      updatedBricks += result.updatedBricks;
+      remeshedBricks += result.remeshedBricks;
+    }
+    this.stats.updatedBricks = updatedBricks;
+    this.stats.remeshedBricks = remeshedBricks;
+
+    this.runningJob = null;
+    if (this.heldJob) {
+      const job = this.heldJob;
+      this.heldJob = null;
+      this.startJob(job);
+    }
+  }
+
+  onWorkerError(event) {
+    console.error('Marching cubes worker failed, falling back to the main thread:', event.message);
+    if (this.failed) { return; }
+
+    this.destroy();
+    this.failed = true;
+    this.runningJob = null;
+    this.heldJob = null;
+    this.results.length = 0;
+
+    // The volume was only ever filled in by the workers, so it all has to be evaluated and
+    // triangulated again, starting with the update that was in flight.
+    this.marchingCubes.invalidate();
+    if (this.isosurface) {
+      this.marchingCubes.updateVolume(this.isosurface);
+    }
+  }
+
+  // Writes out the mesh from the most recently completed job. Overflows are reported by the pool
+  // rather than by the MarchingCubes that does the stitching.
+  generateMesh(arrays) {
+    if (this.failed) {
+      this.marchingCubes.updateBrickMeshes();
+    }
+    const indexCount = this.marchingCubes.appendBrickMeshes(arrays);
+    if (arrays.overflow) {
+      this.dispatchEvent(new MeshOverflowEvent(arrays));
+    }
+    return indexCount;
+  }
+
+  destroy() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+  }
+}
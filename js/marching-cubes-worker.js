@@ -0,0 +1,77 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { MarchingCubes } from './marching-cubes.js';
+import { MetaballField } from './metaball-field.js';
+
+//
+// Worker side of MarchingCubesWorkerPool. Each worker is given a range of layers of bricks along
+// the Z axis, and for every job it updates the volume values that range needs and triangulates
+// the bricks in it that have changed. The brick meshes are transferred back to the pool, which
+// stitches them together with the other workers' bricks.
+//
+
+let marchingCubes = null;
+let layers = null;
+const field = new MetaballField();
+
+self.onmessage = (event) => {
+  const message = event.data;
+  switch (message.type) {
+    case 'init':
+      marchingCubes = new MarchingCubes(message.volume);
+      layers = message.layers;
+      break;
+
+    case 'mesh': {
+      if (message.kernel != field.kernel.name) {
+        field.setKernel(message.kernel);
+      }
+      field.unpackContainer(message.container);
+      field.unpackBalls(message.balls, message.ballCount);
+
+      marchingCubes.updateVolume(field, layers);
+      const remeshed = [];
+      marchingCubes.updateBrickMeshes(message.threshold, layers, remeshed);
+
+      // The worker never stitches the bricks itself, so it gives up its copy of each mesh.
+      const bricks = [];
+      const transfer = [];
+      for (const brickIndex of remeshed) {
+        const brickMesh = marchingCubes.brickMeshes[brickIndex];
+        marchingCubes.brickMeshes[brickIndex] = null;
+        bricks.push({ index: brickIndex, mesh: brickMesh });
+        if (brickMesh) {
+          transfer.push(brickMesh.positions.buffer, brickMesh.normals.buffer,
+                        brickMesh.edgeKeys.buffer, brickMesh.indices.buffer);
+        }
+      }
+
+      postMessage({
+        type: 'mesh',
+        job: message.job,
+        bricks,
+        updatedBricks: marchingCubes.stats.updatedBricks,
+        remeshedBricks: marchingCubes.stats.remeshedBricks,
+      }, transfer);
+      break;
+    }
+  }
+};
@@ -18,19 +18,28 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 // SOFTWARE.
 
-import { vec3 } from "gl-matrix";
 import {
   MarchingCubesEdgeTable as edgeTable,
   MarchingCubesTriTable as triTable
 } from "./marching-cubes-tables.js";
+import { reportMeshOverflow } from "./mesh-overflow.js";
 
 //
 // Triangulates an isosurface using the Marching Cubes algorithm
 //
 
-const indexList = new Uint16Array(12);
-const TMP_VEC3_A = vec3.create();
-const TMP_VEC3_B = vec3.create();
+const indexList = new Uint32Array(12);
+const TMP_VEC3_A = new Float32Array(3);
+const TMP_VEC3_B = new Float32Array(3);
+
+// Equivalent to gl-matrix's vec3.lerp, which can't be imported here because this file is also
+// loaded by the meshing workers, which don't have the page's import map.
+function lerp3(out, a, b, t) {
+  out[0] = a[0] + t * (b[0] - a[0]);
+  out[1] = a[1] + t * (b[1] - a[1]);
+  out[2] = a[2] + t * (b[2] - a[2]);
+  return out;
+}
 
 // Lifted from https://stackoverflow.com/questions/43122082/efficiently-count-the-number-of-bits-in-an-integer-in-javascript/43122214
 function bitCount (n) {
@@ -39,6 +48,22 @@ function bitCount (n) {
   return ((n + (n >> 4) & 0xF0F0F0F) * 0x1010101) >> 24;
 }
 
+// Axis of the edges that are keyed by the voxel they start at.
+const EDGE_X = 0;
+const EDGE_Y = 1;
+const EDGE_Z = 2;
+
+// Number of voxels along each side of the bricks that the volume is divided into for binning.
+export const BRICK_SIZE = 8;
+
+// Upper bounds on the size of the mesh generated for a single brick of cells. The vertices include
+// some slack because marchingCube() conservatively checks for room before looking for shared ones.
+const MAX_BRICK_VERTICES = (((BRICK_SIZE + 1) ** 3) * 3) + 13;
+const MAX_BRICK_INDICES = (BRICK_SIZE ** 3) * 15;
+
+// Placeholder in edgeVertices for a vertex that was counted, but didn't fit in the output arrays.
+const COUNTED_VERTEX = -2;
+
 const DEFAULT_VOLUME = {
   xMin: -1,
   xMax: 1,
@@ -49,31 +74,154 @@ const DEFAULT_VOLUME = {
   zMin: -1,
   zMax: 1,
   zStep: 0.1,
+  threshold: 40,
+  // Compute normals from the exact gradient of the isosurface, if it provides one, rather than
+  // from central differences of the sampled values.
+  analyticNormals: false,
 };
 
-export class MarchingCubes {
+export class MarchingCubes extends EventTarget {
+  // Upper bounds used to size the output buffers. Vertices are shared between cells, so there's at
+  // most one for each of the three edges that start at every voxel.
+  static maxVerticesPerVoxel = 3;
+  static maxIndicesPerCell = 15;
+
   constructor(surfaceVolume = {}) {
+    super();
+
     this.volume = Object.assign({}, DEFAULT_VOLUME, surfaceVolume);
     this.volume.width = Math.floor((this.volume.xMax - this.volume.xMin) / this.volume.xStep) + 1;
     this.volume.height = Math.floor((this.volume.yMax - this.volume.yMin) / this.volume.yStep) + 1;
     this.volume.depth = Math.floor((this.volume.zMax - this.volume.zMin) / this.volume.zStep) + 1;
     this.volume.values = new Float32Array(this.volume.width * this.volume.height * this.volume.depth);
 
+    // Describes how the volume is divided into bricks. Brick (i, j, k) covers the voxels from
+    // (i, j, k) * BRICK_SIZE up to, but not including, (i + 1, j + 1, k + 1) * BRICK_SIZE.
+    this.brickGrid = {
+      size: [
+        Math.ceil(this.volume.width / BRICK_SIZE),
+        Math.ceil(this.volume.height / BRICK_SIZE),
+        Math.ceil(this.volume.depth / BRICK_SIZE),
+      ],
+      min: [this.volume.xMin, this.volume.yMin, this.volume.zMin],
+      brickExtent: [
+        this.volume.xStep * BRICK_SIZE,
+        this.volume.yStep * BRICK_SIZE,
+        this.volume.zStep * BRICK_SIZE,
+      ],
+    };
+
+    // Statistics about the last calls to updateVolume and generateMesh
+    this.stats = {
+      updatedBricks: 0,
+      bricks: 0,
+      skippedBricks: 0,
+      remeshedBricks: 0,
+      triangulatedCells: 0,
+    };
+
+    // Index of the vertex generated for each edge of the volume while a brick or the final mesh is
+    // being built, or -1 if there isn't one yet. Edges are keyed by the voxel they start at and their
+    // axis, which lets neighboring cells share (and smoothly shade) the same vertices. Every entry
+    // that's set is reset to -1 once the brick or mesh is done.
+    this.edgeVertices = new Int32Array(this.volume.width * this.volume.height * this.volume.depth * 3).fill(-1);
+
+    // The volume only changes where the isosurface has, so the values are only evaluated again for
+    // the bricks the isosurface reports as dirty, and the triangles of each brick of cells are
+    // cached and only generated again when a brick they read from is dirty.
+    const brickCount = this.brickGrid.size[0] * this.brickGrid.size[1] * this.brickGrid.size[2];
+    this.cellBrickLayers = Math.ceil((this.volume.depth - 1) / BRICK_SIZE);
+    this.cellBrickCount = Math.ceil((this.volume.width - 1) / BRICK_SIZE) *
+                          Math.ceil((this.volume.height - 1) / BRICK_SIZE) *
+                          this.cellBrickLayers;
+    this.dirtyBricks = new Uint8Array(brickCount).fill(1);
+    this.brickMeshes = new Array(brickCount).fill(null);
+    this.meshThreshold = undefined;
+
+    // Where each brick is triangulated before it's copied into brickMeshes.
+    this.brickScratch = {
+      positions: new Float32Array(MAX_BRICK_VERTICES * 3),
+      normals: new Float32Array(MAX_BRICK_VERTICES * 3),
+      indices: new Uint32Array(MAX_BRICK_INDICES),
+      edgeKeys: new Uint32Array(MAX_BRICK_VERTICES),
+      maxVertices: MAX_BRICK_VERTICES,
+      vertexOffset: 0,
+      indexOffset: 0,
+    };
+    this.vertexRemap = new Uint32Array(MAX_BRICK_VERTICES);
+
     this.valueCache = new Float32Array(8);
     this.normalCache = new Float32Array(8 * 3);
+
+    // The isosurface and ball bins from the last updateVolume, used for analytic normals.
+    this.isosurface = null;
+    this.bins = null;
   }
 
-  updateVolume(isosurface) {
+  // If layers is given, only the values needed to triangulate the bricks of cells from layers[0] up
+  // to (but not including) layers[1] along the Z axis are updated.
+  updateVolume(isosurface, layers = null) {
+    const vol = this.volume;
+    const grid = this.brickGrid;
+    const firstLayer = layers ? Math.max(layers[0] - 1, 0) : 0;
+    const lastLayer = layers ? Math.min(layers[1] + 1, grid.size[2]) : grid.size[2];
+
+    // If the isosurface supports it, have it sort its contents into bricks so that each voxel only
+    // evaluates the parts of the surface that can affect it.
+    const bins = isosurface.binBalls?.(this.brickGrid);
+    this.isosurface = isosurface;
+    this.bins = bins ?? null;
+    if (!bins) {
+      this.updateVolumeRegion(isosurface, 0, 0, firstLayer * BRICK_SIZE,
+        vol.width, vol.height, Math.min(lastLayer * BRICK_SIZE, vol.depth));
+      this.invalidate();
+      this.stats.updatedBricks = grid.size[0] * grid.size[1] * (lastLayer - firstLayer);
+      return;
+    }
+
+    // And, if it can, have it report which bricks have changed since the last update so the rest
+    // can be left alone.
+    const changed = isosurface.markDirtyBricks?.(this.brickGrid);
+
+    let updatedBricks = 0;
+    for (let bk = firstLayer; bk < lastLayer; ++bk) {
+      for (let bj = 0; bj < grid.size[1]; ++bj) {
+        for (let bi = 0; bi < grid.size[0]; ++bi) {
+          const brickIndex = bi + (bj * grid.size[0]) + (bk * grid.size[0] * grid.size[1]);
+          if (changed && !changed[brickIndex]) { continue; }
+
+          this.updateVolumeRegion(isosurface,
+            bi * BRICK_SIZE, bj * BRICK_SIZE, bk * BRICK_SIZE,
+            Math.min((bi + 1) * BRICK_SIZE, vol.width),
+            Math.min((bj + 1) * BRICK_SIZE, vol.height),
+            Math.min((bk + 1) * BRICK_SIZE, vol.depth),
+            bins[brickIndex]);
+          this.dirtyBricks[brickIndex] = 1;
+          updatedBricks++;
+        }
+      }
+    }
+    this.stats.updatedBricks = updatedBricks;
+  }
+
+  // Forces the whole surface to be triangulated again by the next call to generateMesh. Must be
+  // called if volume.values is modified by anything other than updateVolume.
+  invalidate() {
+    this.dirtyBricks.fill(1);
+  }
+
+  // Evaluates the isosurface for voxels in the range [i0, i1) x [j0, j1) x [k0, k1)
+  updateVolumeRegion(isosurface, i0, j0, k0, i1, j1, k1, balls) {
     const vol = this.volume;
     const values = vol.values;
-    let offset = 0;
-    for (let k = 0; k < vol.depth; ++k) {
+    for (let k = k0; k < k1; ++k) {
       const z = vol.zMin + (vol.zStep * k);
-      for (let j = 0; j < vol.height; ++j) {
+      for (let j = j0; j < j1; ++j) {
         const y = vol.yMin + (vol.yStep * j);
-        for (let i = 0; i < vol.width; ++i) {
+        let offset = i0 + (j * vol.width) + (k * vol.width * vol.height);
+        for (let i = i0; i < i1; ++i) {
           const x = vol.xMin + (vol.xStep * i);
-          values[offset++] = isosurface.surfaceFunc(x, y, z);
+          values[offset++] = isosurface.surfaceFunc(x, y, z, balls);
         }
       }
     }
@@ -87,7 +235,56 @@ export class MarchingCubes {
     return vol.values[index];
   }
 
-  generateMesh(arrays, threshold = 40) {
+  generateMesh(arrays, threshold = this.volume.threshold) {
+    this.updateBrickMeshes(threshold);
+    return this.appendBrickMeshes(arrays);
+  }
+
+  // Iterates through the volume a brick at a time, triangulating any bricks that have changed since
+  // the last call and skipping any that are entirely inside or outside of the surface. If layers is
+  // given only the bricks of cells in that range of layers along the Z axis are considered, and if
+  // remeshed is given the index of every brick that was triangulated is pushed onto it.
+  updateBrickMeshes(threshold = this.volume.threshold, layers = null, remeshed = null) {
+    if (threshold !== this.meshThreshold) {
+      this.invalidate();
+      this.meshThreshold = threshold;
+    }
+
+    const vol = this.volume;
+    const grid = this.brickGrid;
+    const cellWidth = vol.width - 1;
+    const cellHeight = vol.height - 1;
+    const cellDepth = vol.depth - 1;
+    const firstLayer = layers ? layers[0] : 0;
+    const lastLayer = layers ? layers[1] : this.cellBrickLayers;
+    let remeshedBricks = 0;
+    for (let bk = firstLayer * BRICK_SIZE; bk < Math.min(lastLayer * BRICK_SIZE, cellDepth); bk += BRICK_SIZE) {
+      const k1 = Math.min(bk + BRICK_SIZE, cellDepth);
+      for (let bj = 0; bj < cellHeight; bj += BRICK_SIZE) {
+        const j1 = Math.min(bj + BRICK_SIZE, cellHeight);
+        for (let bi = 0; bi < cellWidth; bi += BRICK_SIZE) {
+          const i1 = Math.min(bi + BRICK_SIZE, cellWidth);
+          const brickIndex = (bi / BRICK_SIZE) +
+                             ((bj / BRICK_SIZE) * grid.size[0]) +
+                             ((bk / BRICK_SIZE) * grid.size[0] * grid.size[1]);
+
+          if (this.brickNeedsRemesh(bi / BRICK_SIZE, bj / BRICK_SIZE, bk / BRICK_SIZE)) {
+            remeshedBricks++;
+            this.brickMeshes[brickIndex] = this.brickContainsSurface(bi, bj, bk, i1, j1, k1, threshold) ?
+                this.triangulateBrick(bi, bj, bk, i1, j1, k1, threshold, this.brickMeshes[brickIndex]) : null;
+            remeshed?.push(brickIndex);
+          }
+        }
+      }
+    }
+    this.dirtyBricks.fill(0);
+    this.stats.remeshedBricks = remeshedBricks;
+  }
+
+  // Stitches the triangles of every brick into the output arrays, and returns the number of indices
+  // that were written. If the arrays run out of room the bricks that didn't fit are left out, and
+  // the overflow is reported (see mesh-overflow.js).
+  appendBrickMeshes(arrays) {
     if (!arrays.positions) {
       throw new Error('Must specify a positions array');
     }
@@ -106,36 +303,193 @@ export class MarchingCubes {
     if (arrays.normals) {
       arrays.maxVertices = Math.min(arrays.maxVertices, Math.floor(arrays.normals.length / 3));
     }
+    arrays.overflow = false;
 
     const initialIndexOffset = arrays.indexOffset;
 
-    // Iterate through the full volume and evaluate the isosurface at every
-    // point, then generate the triangulated surface based on that.
-    const vol = this.volume;
-    for (let k = 0; k < vol.depth-1; ++k) {
-      for (let j = 0; j < vol.height-1; ++j) {
-        for (let i = 0; i < vol.width-1; ++i) {
-          if (!this.marchingCube(i, j, k, threshold, arrays)) {
-            // If we hit this then our output arrays have run out of room and we'll simply have to
-            // abort mid-triangulation. At least you'll get a partially computed surface out of it!
-            return arrays.indexOffset - initialIndexOffset;
-          }
+    const stats = this.stats;
+    stats.bricks = this.cellBrickCount;
+    stats.skippedBricks = this.cellBrickCount;
+    stats.triangulatedCells = 0;
+
+    let complete = true;
+    let requiredVertices = 0;
+    let requiredIndices = 0;
+    for (const brickMesh of this.brickMeshes) {
+      if (!brickMesh) { continue; }
+      stats.skippedBricks--;
+      if (complete) {
+        if (this.appendBrickMesh(brickMesh, arrays)) {
+          stats.triangulatedCells += brickMesh.triangulatedCells;
+          continue;
         }
+
+        // The output arrays have run out of room, so the rest of the bricks are left out. Any
+        // vertices this brick did manage to add aren't used, but still count towards the total.
+        complete = false;
+        requiredVertices = arrays.vertexOffset;
+        requiredIndices = arrays.indexOffset;
       }
+
+      // Keep going to measure how much room the whole mesh needs.
+      requiredVertices += this.countNewBrickVertices(brickMesh);
+      requiredIndices += brickMesh.indexCount;
+    }
+
+    if (!complete) {
+      reportMeshOverflow(this, arrays, requiredVertices, requiredIndices);
     }
+
+    // Reset the vertices that were assigned to the edges of the mesh.
+    for (const brickMesh of this.brickMeshes) {
+      if (!brickMesh) { continue; }
+      for (let i = 0; i < brickMesh.vertexCount; ++i) {
+        this.edgeVertices[brickMesh.edgeKeys[i]] = -1;
+      }
+    }
+
     return arrays.indexOffset - initialIndexOffset;
   }
 
-  marchingCube(i, j , k, threshold, arrays) {
-    let vertexOffset = arrays.vertexOffset;
-    const vol = this.volume;
-    const positions = arrays.positions;
-    const normals = arrays.normals;
+  // A brick of cells reads the values of the voxels one past its far side, and computes normals
+  // from the voxels on either side of those, so it has to be triangulated again if any of the
+  // bricks around it have been updated.
+  brickNeedsRemesh(bi, bj, bk) {
+    const grid = this.brickGrid;
+    for (let k = Math.max(bk - 1, 0); k <= Math.min(bk + 1, grid.size[2] - 1); ++k) {
+      for (let j = Math.max(bj - 1, 0); j <= Math.min(bj + 1, grid.size[1] - 1); ++j) {
+        for (let i = Math.max(bi - 1, 0); i <= Math.min(bi + 1, grid.size[0] - 1); ++i) {
+          if (this.dirtyBricks[i + (j * grid.size[0]) + (k * grid.size[0] * grid.size[1])]) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  // Triangulates the cells [i0, i1) x [j0, j1) x [k0, k1) on their own, recording the edge each
+  // vertex was generated for so that they can be shared with the neighboring bricks when the
+  // bricks are stitched together. Returns the brick's mesh, reusing the arrays of brickMesh if
+  // they're large enough.
+  triangulateBrick(i0, j0, k0, i1, j1, k1, threshold, brickMesh) {
+    const scratch = this.brickScratch;
+    scratch.vertexOffset = 0;
+    scratch.indexOffset = 0;
+
+    let triangulatedCells = 0;
+    for (let k = k0; k < k1; ++k) {
+      for (let j = j0; j < j1; ++j) {
+        for (let i = i0; i < i1; ++i) {
+          const indexOffset = scratch.indexOffset;
+          this.marchingCube(i, j, k, threshold, scratch);
+          if (scratch.indexOffset != indexOffset) {
+            triangulatedCells++;
+          }
+        }
+      }
+    }
+
+    const vertexCount = scratch.vertexOffset;
+    const indexCount = scratch.indexOffset;
+    for (let i = 0; i < vertexCount; ++i) {
+      this.edgeVertices[scratch.edgeKeys[i]] = -1;
+    }
+
+    if (!brickMesh || brickMesh.edgeKeys.length < vertexCount || brickMesh.indices.length < indexCount) {
+      brickMesh = {
+        positions: new Float32Array(vertexCount * 3),
+        normals: new Float32Array(vertexCount * 3),
+        edgeKeys: new Uint32Array(vertexCount),
+        indices: new Uint32Array(indexCount),
+      };
+    }
+    brickMesh.positions.set(scratch.positions.subarray(0, vertexCount * 3));
+    brickMesh.normals.set(scratch.normals.subarray(0, vertexCount * 3));
+    brickMesh.edgeKeys.set(scratch.edgeKeys.subarray(0, vertexCount));
+    brickMesh.indices.set(scratch.indices.subarray(0, indexCount));
+    brickMesh.vertexCount = vertexCount;
+    brickMesh.indexCount = indexCount;
+    brickMesh.triangulatedCells = triangulatedCells;
+    return brickMesh;
+  }
 
-    const x = vol.xMin + (vol.xStep * i);
-    const y = vol.yMin + (vol.yStep * j);
-    const z = vol.zMin + (vol.zStep * k);
+  // Counts the vertices of a brick's mesh that no previous brick has generated, without copying
+  // them, and marks them so that they're only counted once.
+  countNewBrickVertices(brickMesh) {
+    let count = 0;
+    for (let i = 0; i < brickMesh.vertexCount; ++i) {
+      const key = brickMesh.edgeKeys[i];
+      if (this.edgeVertices[key] === -1) {
+        this.edgeVertices[key] = COUNTED_VERTEX;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Copies a brick's triangles into the output arrays, sharing the vertices on the edges that
+  // previously appended bricks have already generated. Returns false if there isn't enough room.
+  appendBrickMesh(brickMesh, arrays) {
+    const remap = this.vertexRemap;
+    for (let i = 0; i < brickMesh.vertexCount; ++i) {
+      const key = brickMesh.edgeKeys[i];
+      let index = this.edgeVertices[key];
+      if (index === -1) {
+        if (arrays.vertexOffset >= arrays.maxVertices) {
+          return false;
+        }
+        index = arrays.vertexOffset++;
+        const src = i * 3;
+        const dst = index * 3;
+        arrays.positions[dst] = brickMesh.positions[src];
+        arrays.positions[dst+1] = brickMesh.positions[src+1];
+        arrays.positions[dst+2] = brickMesh.positions[src+2];
+        if (arrays.normals) {
+          arrays.normals[dst] = brickMesh.normals[src];
+          arrays.normals[dst+1] = brickMesh.normals[src+1];
+          arrays.normals[dst+2] = brickMesh.normals[src+2];
+        }
+        this.edgeVertices[key] = index;
+      }
+      remap[i] = index;
+    }
+
+    if (arrays.indexOffset + brickMesh.indexCount > arrays.indices.length) {
+      return false;
+    }
+    for (let i = 0; i < brickMesh.indexCount; ++i) {
+      arrays.indices[arrays.indexOffset++] = remap[brickMesh.indices[i]];
+    }
+    return true;
+  }
+
+  // Checks the min/max of the values of every voxel touched by the cells [i0, i1) x [j0, j1) x
+  // [k0, k1) to see if the surface passes through them.
+  brickContainsSurface(i0, j0, k0, i1, j1, k1, threshold) {
+    const vol = this.volume;
+    const values = vol.values;
+    let hasInside = false;
+    let hasOutside = false;
+    for (let k = k0; k <= k1; ++k) {
+      for (let j = j0; j <= j1; ++j) {
+        let offset = i0 + (j * vol.width) + (k * vol.width * vol.height);
+        for (let i = i0; i <= i1; ++i) {
+          if (values[offset++] < threshold) {
+            hasOutside = true;
+          } else {
+            hasInside = true;
+          }
+          if (hasInside && hasOutside) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
 
+  marchingCube(i, j , k, threshold, arrays) {
     const values = this.valueCache;
     values[0] = this.valueAt(i, j, k);
     values[1] = this.valueAt(i+1, j, k);
@@ -164,66 +518,53 @@ export class MarchingCubes {
     if (edges === 0) {
       return true;
     }
-    // Will we run out of space in the vertex buffers?
+    // Will we run out of space in the vertex buffers? (Conservatively assumes that none of the
+    // vertices are shared with a previous cell.)
     const vertCount = bitCount(edges);
-    if (vertCount + vertexOffset >= arrays.maxVertices) {
+    if (vertCount + arrays.vertexOffset >= arrays.maxVertices) {
       return false;
     }
   
-    // Generate vertices where the surface intersects the cube
+    // Find or generate the vertices where the surface intersects the cube
     if (edges & 1) {
-      this.interpX(positions, normals, vertexOffset*3, threshold, i, j, k, values[0], values[1]);
-      indexList[0] = vertexOffset++;
+      indexList[0] = this.edgeVertex(arrays, EDGE_X, threshold, i, j, k, values[0], values[1]);
     }
     if (edges & 2) {
-      this.interpY(positions, normals, vertexOffset*3, threshold, i+1, j, k, values[1], values[2]);
-      indexList[1] = vertexOffset++;
+      indexList[1] = this.edgeVertex(arrays, EDGE_Y, threshold, i+1, j, k, values[1], values[2]);
     }
     if (edges & 4) {
-      this.interpX(positions, normals, vertexOffset*3, threshold, i, j+1, k, values[3], values[2]);
-      indexList[2] = vertexOffset++;
+      indexList[2] = this.edgeVertex(arrays, EDGE_X, threshold, i, j+1, k, values[3], values[2]);
     }
     if (edges & 8) {
-      this.interpY(positions, normals, vertexOffset*3, threshold, i, j, k, values[0], values[3]);
-      indexList[3] = vertexOffset++;
+      indexList[3] = this.edgeVertex(arrays, EDGE_Y, threshold, i, j, k, values[0], values[3]);
     }
 
     if (edges & 16) {
-      this.interpX(positions, normals, vertexOffset*3, threshold, i, j, k+1, values[4], values[5]);
-      indexList[4] = vertexOffset++;
+      indexList[4] = this.edgeVertex(arrays, EDGE_X, threshold, i, j, k+1, values[4], values[5]);
     }
     if (edges & 32) {
-      this.interpY(positions, normals, vertexOffset*3, threshold, i+1, j, k+1, values[5], values[6]);
-      indexList[5] = vertexOffset++;
+      indexList[5] = this.edgeVertex(arrays, EDGE_Y, threshold, i+1, j, k+1, values[5], values[6]);
     }
     if (edges & 64) {
-      this.interpX(positions, normals, vertexOffset*3, threshold, i, j+1, k+1, values[7], values[6]);
-      indexList[6] = vertexOffset++;
+      indexList[6] = this.edgeVertex(arrays, EDGE_X, threshold, i, j+1, k+1, values[7], values[6]);
     }
     if (edges & 128) {
-      this.interpY(positions, normals, vertexOffset*3, threshold, i, j, k+1, values[4], values[7]);
-      indexList[7] = vertexOffset++;
+      indexList[7] = this.edgeVertex(arrays, EDGE_Y, threshold, i, j, k+1, values[4], values[7]);
     }
 
     if (edges & 256) {
-      this.interpZ(positions, normals, vertexOffset*3, threshold, i, j, k, values[0], values[4]);
-      indexList[8] = vertexOffset++;
+      indexList[8] = this.edgeVertex(arrays, EDGE_Z, threshold, i, j, k, values[0], values[4]);
     }
     if (edges & 512) {
-      this.interpZ(positions, normals, vertexOffset*3, threshold, i+1, j, k, values[1], values[5]);
-      indexList[9] = vertexOffset++;
+      indexList[9] = this.edgeVertex(arrays, EDGE_Z, threshold, i+1, j, k, values[1], values[5]);
     }
     if (edges & 1024) {
-      this.interpZ(positions, normals, vertexOffset*3, threshold, i+1, j+1, k, values[2], values[6]);
-      indexList[10] = vertexOffset++;
+      indexList[10] = this.edgeVertex(arrays, EDGE_Z, threshold, i+1, j+1, k, values[2], values[6]);
     }
     if (edges & 2048) {
-      this.interpZ(positions, normals, vertexOffset*3, threshold, i, j+1, k, values[3], values[7]);
-      indexList[11] = vertexOffset++;
+      indexList[11] = this.edgeVertex(arrays, EDGE_Z, threshold, i, j+1, k, values[3], values[7]);
     }
   
-    arrays.vertexOffset = vertexOffset;
-  
     // Record the triangle indices
     let triTableOffset = cubeIndex <<= 4;
     const indexCount = triTable[triTableOffset++];
@@ -240,6 +581,34 @@ export class MarchingCubes {
     return true;
   }
 
+  // Returns the index of the vertex on the given edge starting at voxel (i, j, k), generating it if
+  // no other cell has yet.
+  edgeVertex(arrays, axis, threshold, i, j, k, valp1, valp2) {
+    const vol = this.volume;
+    const key = (i + (j * vol.width) + (k * vol.width * vol.height)) * 3 + axis;
+    let index = this.edgeVertices[key];
+    if (index !== -1) {
+      return index;
+    }
+
+    index = arrays.vertexOffset++;
+    const offset = index * 3;
+    switch (axis) {
+      case EDGE_X:
+        this.interpX(arrays.positions, arrays.normals, offset, threshold, i, j, k, valp1, valp2);
+        break;
+      case EDGE_Y:
+        this.interpY(arrays.positions, arrays.normals, offset, threshold, i, j, k, valp1, valp2);
+        break;
+      case EDGE_Z:
+        this.interpZ(arrays.positions, arrays.normals, offset, threshold, i, j, k, valp1, valp2);
+        break;
+    }
+    this.edgeVertices[key] = index;
+    arrays.edgeKeys[index] = key;
+    return index;
+  }
+
   interpX(out, nout, offset, threshold, i, j, k, valp1, valp2, q) {
     const vol = this.volume;
     const mu = (threshold - valp1) / (valp2 - valp1);
@@ -247,11 +616,11 @@ export class MarchingCubes {
     out[offset+1] = vol.yMin + (vol.yStep * j);
     out[offset+2] = vol.zMin + (vol.zStep * k);
 
-    if (nout) {
+    if (nout && !this.analyticNormal(out, nout, offset, i, j, k, i+1, j, k)) {
       this.computeNormal(TMP_VEC3_A, 0, i, j, k);
       this.computeNormal(TMP_VEC3_B, 0, i+1, j, k);
 
-      vec3.lerp(TMP_VEC3_A, TMP_VEC3_A, TMP_VEC3_B, mu);
+      lerp3(TMP_VEC3_A, TMP_VEC3_A, TMP_VEC3_B, mu);
       nout[offset] = TMP_VEC3_A[0];
       nout[offset+1] = TMP_VEC3_A[1];
       nout[offset+2] = TMP_VEC3_A[2];
@@ -265,11 +634,11 @@ export class MarchingCubes {
     out[offset+1] = vol.yMin + (vol.yStep * j) + (mu * vol.yStep);
     out[offset+2] = vol.zMin + (vol.zStep * k);
 
-    if (nout) {
+    if (nout && !this.analyticNormal(out, nout, offset, i, j, k, i, j+1, k)) {
       this.computeNormal(TMP_VEC3_A, 0, i, j, k);
       this.computeNormal(TMP_VEC3_B, 0, i, j+1, k);
     
-      vec3.lerp(TMP_VEC3_A, TMP_VEC3_A, TMP_VEC3_B, mu);
+      lerp3(TMP_VEC3_A, TMP_VEC3_A, TMP_VEC3_B, mu);
       nout[offset] = TMP_VEC3_A[0];
       nout[offset+1] = TMP_VEC3_A[1];
       nout[offset+2] = TMP_VEC3_A[2];
@@ -283,17 +652,57 @@ export class MarchingCubes {
     out[offset+1] = vol.yMin + (vol.yStep * j);
     out[offset+2] = vol.zMin + (vol.zStep * k) + (mu * vol.zStep);
 
-    if (nout) {
+    if (nout && !this.analyticNormal(out, nout, offset, i, j, k, i, j, k+1)) {
       this.computeNormal(TMP_VEC3_A, 0, i, j, k);
       this.computeNormal(TMP_VEC3_B, 0, i, j, k+1);
 
-      vec3.lerp(TMP_VEC3_A, TMP_VEC3_A, TMP_VEC3_B, mu);
+      lerp3(TMP_VEC3_A, TMP_VEC3_A, TMP_VEC3_B, mu);
       nout[offset] = TMP_VEC3_A[0];
       nout[offset+1] = TMP_VEC3_A[1];
       nout[offset+2] = TMP_VEC3_A[2];
     }
   };
 
+  // Writes the normal of the vertex at offset, which lies on the edge between voxels (i0, j0, k0) and
+  // (i1, j1, k1), from the gradient of the isosurface at its position. Only the balls binned into the
+  // brick the vertex is in are evaluated. Returns false if analytic normals aren't enabled or can't
+  // be used for this edge, in which case the normal needs to be computed from the volume instead.
+  analyticNormal(out, nout, offset, i0, j0, k0, i1, j1, k1) {
+    const vol = this.volume;
+    const isosurface = this.isosurface;
+    if (!vol.analyticNormals || !isosurface?.surfaceGradient) {
+      return false;
+    }
+
+    // If either end of the edge has been forced to a fixed value the crossing isn't on the field's
+    // surface, and its gradient won't point the right way.
+    if (isosurface.fieldIsAnalytic &&
+        (!isosurface.fieldIsAnalytic(vol.xMin + vol.xStep * i0, vol.yMin + vol.yStep * j0, vol.zMin + vol.zStep * k0) ||
+         !isosurface.fieldIsAnalytic(vol.xMin + vol.xStep * i1, vol.yMin + vol.yStep * j1, vol.zMin + vol.zStep * k1))) {
+      return false;
+    }
+
+    const x = out[offset];
+    const y = out[offset+1];
+    const z = out[offset+2];
+
+    let balls = undefined;
+    if (this.bins) {
+      const grid = this.brickGrid;
+      const bi = Math.min(Math.max(Math.floor((x - grid.min[0]) / grid.brickExtent[0]), 0), grid.size[0] - 1);
+      const bj = Math.min(Math.max(Math.floor((y - grid.min[1]) / grid.brickExtent[1]), 0), grid.size[1] - 1);
+      const bk = Math.min(Math.max(Math.floor((z - grid.min[2]) / grid.brickExtent[2]), 0), grid.size[2] - 1);
+      balls = this.bins[bi + (bj * grid.size[0]) + (bk * grid.size[0] * grid.size[1])];
+    }
+
+    // The field decreases away from the surface, so the normal points down the gradient.
+    isosurface.surfaceGradient(x, y, z, TMP_VEC3_A, balls);
+    nout[offset] = -TMP_VEC3_A[0];
+    nout[offset+1] = -TMP_VEC3_A[1];
+    nout[offset+2] = -TMP_VEC3_A[2];
+    return true;
+  }
+
   // TODO: How much difference does it make if we cache this?
   computeNormal = function(nout, offset, i, j ,k) {
     nout[offset] = this.valueAt(i-1, j, k) - this.valueAt(i+1, j, k);
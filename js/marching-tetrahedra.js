@@ -0,0 +1,352 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { CELL_CORNERS } from "./surface-nets.js";
+import { reportMeshOverflow } from "./mesh-overflow.js";
+
+//
+// Triangulates an isosurface using Marching Tetrahedra. Every cell is split into six tetrahedra
+// that all share the cell's main diagonal, and each tetrahedron is triangulated independently.
+// Unlike the Marching Cubes tables a tetrahedron has no ambiguous cases, and because neighboring
+// cells split their shared faces along the same diagonal the resulting mesh has no cracks.
+//
+// Shares the volume layout used by MarchingCubes (and so can share a volume that has already been
+// filled by MarchingCubes.updateVolume) and implements the same generateMesh(arrays, threshold)
+// contract. Vertices are welded along the edges of the tetrahedra.
+//
+
+// The six tetrahedra, each a chain of corners from corner 0 to corner 7 that steps along one axis at
+// a time. Corners are indexed by bit (x = 1, y = 2, z = 4), so every edge of a tetrahedron runs from
+// a corner to one that has a superset of its bits.
+const TETRAHEDRA = [
+  [0, 1, 3, 7],
+  [0, 1, 5, 7],
+  [0, 2, 3, 7],
+  [0, 2, 6, 7],
+  [0, 4, 5, 7],
+  [0, 4, 6, 7],
+];
+
+// Edges of the tetrahedra are keyed by the voxel they start at and their direction, which is one of
+// the 7 non-zero corner offsets (3 cell edges, 3 face diagonals and the main diagonal).
+const EDGE_DIRECTIONS = 7;
+
+// Every cell has 12 edges, 6 face diagonals and the main diagonal that vertices can be placed on.
+const CELL_EDGE_COUNT = 19;
+
+// Placeholder in edgeVertices for a vertex that was counted, but didn't fit in the output arrays.
+const COUNTED_VERTEX = -2;
+
+function cornerSum(out, a, b) {
+  for (let axis = 0; axis < 3; ++axis) {
+    out[axis] = CELL_CORNERS[a][axis] + CELL_CORNERS[b][axis];
+  }
+  return out;
+}
+
+// Builds the triangles for every tetrahedron and combination of corners inside the surface, as
+// lists of the tetrahedron edges ([corner, corner]) that each vertex lies on. Triangles are wound
+// counter-clockwise when viewed from outside of the surface.
+function buildTriangleTable() {
+  const table = [];
+  const m0 = [0, 0, 0], m1 = [0, 0, 0], m2 = [0, 0, 0];
+  const inside = [0, 0, 0], outside = [0, 0, 0];
+
+  const addTriangle = (triangles, e0, e1, e2) => {
+    // Orient the triangle using the midpoints of its edges (doubled, to keep them integers), which
+    // is never degenerate, so that its normal points from the inside corners to the outside ones.
+    cornerSum(m0, ...e0);
+    cornerSum(m1, ...e1);
+    cornerSum(m2, ...e2);
+    const ux = m1[0] - m0[0], uy = m1[1] - m0[1], uz = m1[2] - m0[2];
+    const vx = m2[0] - m0[0], vy = m2[1] - m0[1], vz = m2[2] - m0[2];
+    const nx = uy*vz - uz*vy;
+    const ny = uz*vx - ux*vz;
+    const nz = ux*vy - uy*vx;
+    const dot = nx * (outside[0] - inside[0]) + ny * (outside[1] - inside[1]) + nz * (outside[2] - inside[2]);
+    triangles.push(dot > 0 ? [e0, e1, e2] : [e0, e2, e1]);
+  };
+
+  for (const tet of TETRAHEDRA) {
+    const tetTable = [];
+    for (let mask = 0; mask < 16; ++mask) {
+      const triangles = [];
+      const insideCorners = tet.filter((corner, n) => mask & (1 << n));
+      const outsideCorners = tet.filter((corner, n) => !(mask & (1 << n)));
+
+      // Average positions of the inside and outside corners, scaled to avoid fractions.
+      for (let axis = 0; axis < 3; ++axis) {
+        inside[axis] = insideCorners.reduce((sum, c) => sum + CELL_CORNERS[c][axis], 0) * outsideCorners.length;
+        outside[axis] = outsideCorners.reduce((sum, c) => sum + CELL_CORNERS[c][axis], 0) * insideCorners.length;
+      }
+
+      const edge = (a, b) => a < b ? [a, b] : [b, a];
+      if (insideCorners.length == 1 || insideCorners.length == 3) {
+        // A single corner is separated from the other three.
+        const [apex, others] = insideCorners.length == 1 ?
+          [insideCorners[0], outsideCorners] :
+          [outsideCorners[0], insideCorners];
+        addTriangle(triangles, edge(apex, others[0]), edge(apex, others[1]), edge(apex, others[2]));
+      } else if (insideCorners.length == 2) {
+        // The surface cuts the tetrahedron in a quad.
+        const [a, b] = insideCorners;
+        const [c, d] = outsideCorners;
+        addTriangle(triangles, edge(a, c), edge(a, d), edge(b, d));
+        addTriangle(triangles, edge(a, c), edge(b, d), edge(b, c));
+      }
+      tetTable.push(triangles);
+    }
+    table.push(tetTable);
+  }
+  return table;
+}
+
+const TRIANGLE_TABLE = buildTriangleTable();
+
+export class MarchingTetrahedra extends EventTarget {
+  // Upper bounds used to size the output buffers.
+  static maxVerticesPerVoxel = EDGE_DIRECTIONS;
+  static maxIndicesPerCell = TETRAHEDRA.length * 2 * 3;
+
+  constructor(volume) {
+    super();
+
+    this.volume = volume;
+
+    // Index of the vertex generated for each edge of the tetrahedra during the current call to
+    // generateMesh, or -1 if there isn't one yet.
+    this.edgeVertices = new Int32Array(volume.width * volume.height * volume.depth * EDGE_DIRECTIONS);
+
+    // Statistics about the last call to generateMesh
+    this.stats = {
+      triangulatedCells: 0,
+    };
+
+    this.valueCache = new Float32Array(8);
+    this.countedKeys = new Int32Array(CELL_EDGE_COUNT);
+    this.cellCount = { vertices: 0, indices: 0 };
+    this.gradientA = new Float32Array(3);
+    this.gradientB = new Float32Array(3);
+  }
+
+  valueAt(i, j, k) {
+    const vol = this.volume;
+    i = Math.min(Math.max(i, 0), vol.width - 1);
+    j = Math.min(Math.max(j, 0), vol.height - 1);
+    k = Math.min(Math.max(k, 0), vol.depth - 1);
+    return vol.values[i + (j * vol.width) + (k * vol.width * vol.height)];
+  }
+
+  // Same convention as MarchingCubes.computeNormal, pointing away from the inside of the surface.
+  computeGradient(out, i, j, k) {
+    out[0] = this.valueAt(i-1, j, k) - this.valueAt(i+1, j, k);
+    out[1] = this.valueAt(i, j-1, k) - this.valueAt(i, j+1, k);
+    out[2] = this.valueAt(i, j, k-1) - this.valueAt(i, j, k+1);
+  }
+
+  generateMesh(arrays, threshold = this.volume.threshold) {
+    if (!arrays.positions) {
+      throw new Error('Must specify a positions array');
+    }
+    if (!arrays.indices) {
+      throw new Error('Must specify a index array');
+    }
+
+    if (!arrays.vertexOffset) {
+      arrays.vertexOffset = 0;
+    }
+    if (!arrays.indexOffset) {
+      arrays.indexOffset = 0;
+    }
+
+    arrays.maxVertices = Math.floor(arrays.positions.length / 3);
+    if (arrays.normals) {
+      arrays.maxVertices = Math.min(arrays.maxVertices, Math.floor(arrays.normals.length / 3));
+    }
+    arrays.overflow = false;
+
+    const initialIndexOffset = arrays.indexOffset;
+
+    this.stats.triangulatedCells = 0;
+    this.edgeVertices.fill(-1);
+
+    let required = null;
+    const vol = this.volume;
+    for (let k = 0; k < vol.depth-1; ++k) {
+      for (let j = 0; j < vol.height-1; ++j) {
+        for (let i = 0; i < vol.width-1; ++i) {
+          if (!required) {
+            if (this.triangulateCell(i, j, k, threshold, arrays)) { continue; }
+
+            // Out of room, so the rest of the surface is left out.
+            required = { vertices: arrays.vertexOffset, indices: arrays.indexOffset };
+          }
+
+          // Keep going to measure how much room the whole mesh needs.
+          const cornerMask = this.cellCornerMask(i, j, k, threshold);
+          if (cornerMask !== 0 && cornerMask !== 255) {
+            this.countCell(i, j, k, cornerMask, required);
+          }
+        }
+      }
+    }
+
+    if (required) {
+      reportMeshOverflow(this, arrays, required.vertices, required.indices);
+    }
+
+    return arrays.indexOffset - initialIndexOffset;
+  }
+
+  // Caches the values at the corners of cell (i, j, k) and returns a mask of the ones inside the
+  // surface.
+  cellCornerMask(i, j, k, threshold) {
+    const values = this.valueCache;
+    let cornerMask = 0;
+    for (let c = 0; c < 8; ++c) {
+      const corner = CELL_CORNERS[c];
+      values[c] = this.valueAt(i + corner[0], j + corner[1], k + corner[2]);
+      if (values[c] >= threshold) {
+        cornerMask |= 1 << c;
+      }
+    }
+    return cornerMask;
+  }
+
+  triangulateCell(i, j, k, threshold, arrays) {
+    const cornerMask = this.cellCornerMask(i, j, k, threshold);
+
+    // Cell is entirely in/out of the surface
+    if (cornerMask === 0 || cornerMask === 255) {
+      return true;
+    }
+    this.stats.triangulatedCells++;
+
+    // Will we run out of space? Conservatively assumes that none of the vertices are shared, and
+    // only counts exactly what the cell needs when that might not fit.
+    if (arrays.vertexOffset + CELL_EDGE_COUNT > arrays.maxVertices ||
+        arrays.indexOffset + MarchingTetrahedra.maxIndicesPerCell > arrays.indices.length) {
+      const count = this.cellCount;
+      count.vertices = 0;
+      count.indices = 0;
+      const countedKeys = this.countCell(i, j, k, cornerMask, count);
+      for (let n = 0; n < countedKeys; ++n) {
+        this.edgeVertices[this.countedKeys[n]] = -1;
+      }
+
+      if (arrays.vertexOffset + count.vertices > arrays.maxVertices ||
+          arrays.indexOffset + count.indices > arrays.indices.length) {
+        return false;
+      }
+    }
+
+    for (let t = 0; t < TETRAHEDRA.length; ++t) {
+      const tet = TETRAHEDRA[t];
+      let tetMask = 0;
+      for (let n = 0; n < 4; ++n) {
+        if (cornerMask & (1 << tet[n])) {
+          tetMask |= 1 << n;
+        }
+      }
+
+      for (const triangle of TRIANGLE_TABLE[t][tetMask]) {
+        for (const [a, b] of triangle) {
+          arrays.indices[arrays.indexOffset++] = this.edgeVertex(i, j, k, a, b, threshold, arrays);
+        }
+      }
+    }
+
+    return true;
+  }
+
+  // Adds the vertices and indices that cell (i, j, k) would generate to count, without generating
+  // them. Vertices that have already been generated or counted aren't counted again, and the new
+  // ones are marked as counted. Returns how many were marked, with their keys in countedKeys.
+  countCell(i, j, k, cornerMask, count) {
+    let countedKeys = 0;
+    for (let t = 0; t < TETRAHEDRA.length; ++t) {
+      const tet = TETRAHEDRA[t];
+      let tetMask = 0;
+      for (let n = 0; n < 4; ++n) {
+        if (cornerMask & (1 << tet[n])) {
+          tetMask |= 1 << n;
+        }
+      }
+
+      for (const triangle of TRIANGLE_TABLE[t][tetMask]) {
+        for (const [a, b] of triangle) {
+          const key = this.edgeKey(i, j, k, a, b);
+          if (this.edgeVertices[key] === -1) {
+            this.edgeVertices[key] = COUNTED_VERTEX;
+            this.countedKeys[countedKeys++] = key;
+            count.vertices++;
+          }
+        }
+        count.indices += 3;
+      }
+    }
+    return countedKeys;
+  }
+
+  // Key of the tetrahedron edge between corners a and b of cell (i, j, k), where b has a superset of
+  // a's bits.
+  edgeKey(i, j, k, a, b) {
+    const vol = this.volume;
+    const ca = CELL_CORNERS[a];
+    return ((i + ca[0]) + ((j + ca[1]) * vol.width) + ((k + ca[2]) * vol.width * vol.height)) * EDGE_DIRECTIONS + (b - a - 1);
+  }
+
+  // Returns the index of the vertex on the edge between corners a and b of cell (i, j, k), where b
+  // has a superset of a's bits, generating it if no other tetrahedron has yet.
+  edgeVertex(i, j, k, a, b, threshold, arrays) {
+    const vol = this.volume;
+    const ca = CELL_CORNERS[a];
+    const cb = CELL_CORNERS[b];
+    const ai = i + ca[0], aj = j + ca[1], ak = k + ca[2];
+    const key = this.edgeKey(i, j, k, a, b);
+
+    let index = this.edgeVertices[key];
+    if (index !== -1) {
+      return index;
+    }
+
+    const values = this.valueCache;
+    const mu = (threshold - values[a]) / (values[b] - values[a]);
+
+    index = arrays.vertexOffset++;
+    const offset = index * 3;
+    arrays.positions[offset] = vol.xMin + (vol.xStep * (ai + (cb[0] - ca[0]) * mu));
+    arrays.positions[offset+1] = vol.yMin + (vol.yStep * (aj + (cb[1] - ca[1]) * mu));
+    arrays.positions[offset+2] = vol.zMin + (vol.zStep * (ak + (cb[2] - ca[2]) * mu));
+
+    if (arrays.normals) {
+      const ga = this.gradientA;
+      const gb = this.gradientB;
+      this.computeGradient(ga, ai, aj, ak);
+      this.computeGradient(gb, i + cb[0], j + cb[1], k + cb[2]);
+      arrays.normals[offset] = ga[0] + (gb[0] - ga[0]) * mu;
+      arrays.normals[offset+1] = ga[1] + (gb[1] - ga[1]) * mu;
+      arrays.normals[offset+2] = ga[2] + (gb[2] - ga[2]) * mu;
+    }
+
+    this.edgeVertices[key] = index;
+    return index;
+  }
+}
@@ -0,0 +1,51 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+//
+// How the meshers report that the arrays given to generateMesh() were too small for the mesh.
+//
+// Rather than stopping at the first triangle that doesn't fit, a mesher that runs out of room leaves
+// the arrays holding a valid partial mesh and keeps going just to measure the rest of it. It then
+// sets these on the arrays:
+//
+//   overflow:         true if any of the mesh was left out. Set to false by every call otherwise.
+//   requiredVertices: the number of vertices the whole mesh needs room for.
+//   requiredIndices:  the number of indices the whole mesh needs room for.
+//
+// and dispatches a MeshOverflowEvent (type 'overflow') from the mesher, so that the caller can grow
+// its arrays and generate the mesh again.
+//
+
+export class MeshOverflowEvent extends Event {
+  constructor(arrays) {
+    super('overflow');
+    this.vertexCapacity = arrays.maxVertices;
+    this.indexCapacity = arrays.indices.length;
+    this.requiredVertices = arrays.requiredVertices;
+    this.requiredIndices = arrays.requiredIndices;
+  }
+}
+
+export function reportMeshOverflow(mesher, arrays, requiredVertices, requiredIndices) {
+  arrays.overflow = true;
+  arrays.requiredVertices = requiredVertices;
+  arrays.requiredIndices = requiredIndices;
+  mesher.dispatchEvent(new MeshOverflowEvent(arrays));
+}
@@ -0,0 +1,143 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { Metaballs } from "./metaballs.js";
+import { MarchingCubes } from "./marching-cubes.js";
+import { createRandom, defaultBallStrength, DEFAULT_BALL_SUBTRACT } from "./metaball-animation.js";
+
+//
+// Helpers for checking the meshes produced by the isosurface triangulators (MarchingCubes,
+// MarchingTetrahedra, etc.) Intended to be run from the console while working on them, for example:
+//
+//   import('./js/mesh-validation.js').then((v) => console.table(v.checkWatertightness(MarchingTetrahedra)));
+//
+
+// Returns the edges of the mesh (as pairs of vertex indices, followed by the number of triangles
+// sharing them) that aren't shared by exactly two triangles. Edges that lie on the faces of the
+// volume, where the surface is clipped, are ignored. Relies on the vertices being welded, so an empty
+// result means the mesh is watertight. Note that the dual methods (SurfaceNets, DualContouring)
+// never place vertices on the faces of the volume, so the rim left wherever the volume clips the
+// surface will be reported as open. They can also pinch thin necks of the surface down to a single
+// edge shared by four triangles, which is non-manifold but doesn't leave a hole.
+export function findOpenEdges(arrays, indexCount, volume) {
+  const { positions, indices } = arrays;
+  const edgeCounts = new Map();
+  const vertexCount = Math.floor(positions.length / 3);
+  for (let i = 0; i < indexCount; i += 3) {
+    for (let e = 0; e < 3; ++e) {
+      const a = indices[i + e];
+      const b = indices[i + (e + 1) % 3];
+      const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+      edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+    }
+  }
+
+  // Bitmask of the faces of the volume that a vertex lies on.
+  const min = [volume.xMin, volume.yMin, volume.zMin];
+  const max = [
+    volume.xMin + volume.xStep * (volume.width - 1),
+    volume.yMin + volume.yStep * (volume.height - 1),
+    volume.zMin + volume.zStep * (volume.depth - 1),
+  ];
+  const epsilon = Math.min(volume.xStep, volume.yStep, volume.zStep) * 1e-3;
+  const volumeFaces = (vertex) => {
+    let faces = 0;
+    for (let axis = 0; axis < 3; ++axis) {
+      const p = positions[vertex * 3 + axis];
+      if (Math.abs(p - min[axis]) < epsilon) { faces |= 1 << (axis * 2); }
+      if (Math.abs(p - max[axis]) < epsilon) { faces |= 1 << (axis * 2 + 1); }
+    }
+    return faces;
+  };
+
+  const openEdges = [];
+  for (const [key, count] of edgeCounts) {
+    if (count == 2) { continue; }
+    const a = Math.floor(key / vertexCount);
+    const b = key % vertexCount;
+    if (count == 1 && (volumeFaces(a) & volumeFaces(b))) { continue; }
+    openEdges.push([a, b, count]);
+  }
+  return openEdges;
+}
+
+// Triangulates a series of randomized (but reproducible) ball configurations with the given
+// triangulator class and reports whether each produced a watertight mesh. The class is constructed
+// with a volume filled by MarchingCubes.updateVolume, so it must share that volume layout.
+// Triangulators that sample the isosurface themselves (AdaptiveOctree) are updated with it directly.
+// A padding grows the volume on every side, which keeps the surface from being clipped by it.
+export function checkWatertightness(triangulatorType, options = {}) {
+  const seed = options.seed ?? 0;
+  const trials = options.trials ?? 8;
+  const ballCount = options.ballCount ?? 16;
+  const step = options.step ?? 0.05;
+  const padding = options.padding ?? 0;
+
+  const metaballs = new Metaballs();
+  const marchingCubes = new MarchingCubes({
+    xMin: -1.05 - padding, xMax: 1.05 + padding, xStep: step,
+    yMin: -0.1 - padding, yMax: 2.5 + padding, yStep: step,
+    zMin: -1.05 - padding, zMax: 1.05 + padding, zStep: step,
+    threshold: metaballs.threshold,
+  });
+  const triangulator = triangulatorType === MarchingCubes ?
+    marchingCubes : new triangulatorType(marchingCubes.volume);
+
+  const voxelCount = marchingCubes.volume.values.length;
+  const maxVerticesPerVoxel = triangulatorType.maxVerticesPerVoxel ?? 12;
+  const maxIndicesPerCell = triangulatorType.maxIndicesPerCell ?? 15;
+  const arrays = {
+    positions: new Float32Array(voxelCount * maxVerticesPerVoxel * 3),
+    normals: new Float32Array(voxelCount * maxVerticesPerVoxel * 3),
+    indices: new Uint32Array(voxelCount * maxIndicesPerCell),
+  };
+
+  const random = createRandom(seed);
+  const results = [];
+  for (let trial = 0; trial < trials; ++trial) {
+    metaballs.clearBalls();
+    for (let i = 0; i < ballCount; ++i) {
+      metaballs.addBall([
+        random() * 1.6 - 0.8,
+        random() * 2.2 + 0.1,
+        random() * 1.6 - 0.8,
+      ], defaultBallStrength(ballCount) * (0.5 + random()), DEFAULT_BALL_SUBTRACT);
+    }
+    marchingCubes.updateVolume(metaballs);
+    if (triangulator !== marchingCubes && triangulator.updateVolume) {
+      triangulator.updateVolume(metaballs);
+    }
+
+    arrays.vertexOffset = 0;
+    arrays.indexOffset = 0;
+    const indexCount = triangulator.generateMesh(arrays);
+    const openEdges = findOpenEdges(arrays, indexCount, marchingCubes.volume);
+    results.push({
+      trial,
+      triangles: indexCount / 3,
+      vertices: arrays.vertexOffset,
+      openEdges: openEdges.length,
+      // Edges shared by an odd number of triangles, which always leave a gap in the surface.
+      holes: openEdges.filter((edge) => edge[2] % 2).length,
+      watertight: openEdges.length == 0,
+    });
+  }
+  return results;
+}
@@ -0,0 +1,597 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { vec3 } from 'gl-matrix';
+import { MetaballContainer } from './metaball-container.js';
+
+const TMP_VEC3 = vec3.create();
+const TMP_WALL_NORMAL = new Float32Array(3);
+
+//
+// Animations that drive the motion of the balls in a Metaballs instance.
+//
+// Every animation keeps its own clock, advanced by the timeDelta passed to update(), rather than
+// relying on the page's timestamps. Combined with a seeded random number generator this means that
+// an animation will always produce the same sequence of ball positions for a given seed and
+// sequence of frame times, which keeps captures reproducible.
+//
+
+// Mulberry32, a small and fast seedable PRNG.
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Strength of each ball that keeps the total volume roughly constant as the ball count changes.
+export function defaultBallStrength(ballCount) {
+  return 5 / ((Math.sqrt(ballCount) - 1) / 4 + 1);
+}
+
+export const DEFAULT_BALL_COUNT = 16;
+export const DEFAULT_BALL_SUBTRACT = 12;
+
+export class MetaballAnimation {
+  constructor(seed = 0) {
+    this.seed = seed;
+    this.time = 0;
+    this.random = createRandom(seed);
+  }
+
+  // Rewinds the animation to its initial state.
+  reset() {
+    this.time = 0;
+    this.random = createRandom(this.seed);
+  }
+
+  // Advances the animation by timeDelta milliseconds and repopulates the metaballs' ball list.
+  update(metaballs, timeDelta) {
+    this.time += timeDelta;
+    metaballs.clearBalls();
+    this.addBalls(metaballs, this.time);
+  }
+
+  addBalls(metaballs, time) {
+    throw new Error('addBalls must be implemented in a class that extends MetaballAnimation');
+  }
+}
+
+//
+// Procedural presets
+//
+
+// The original motion, stolen and tweaked from https://www.clicktorelease.com/code/bumpy-metaballs/
+// Ignores the seed.
+export class ClickToReleaseAnimation extends MetaballAnimation {
+  constructor(seed = 0, ballCount = DEFAULT_BALL_COUNT) {
+    super(seed);
+    this.ballCount = ballCount;
+  }
+
+  addBalls(metaballs, time) {
+    const t = time * 0.0005;
+    const strength = defaultBallStrength(this.ballCount);
+
+    for (let i = 0; i < this.ballCount; i++) {
+      const position = [
+        Math.cos(i + 1.12 * t * 0.21 * Math.sin((0.72 + 0.83 * i))) * 0.5,
+        (Math.sin(i + 1.26 * t * (1.03 + 0.5 * Math.cos(0.21 * i))) + 1.0) * 1.0,
+        Math.cos(i + 1.32 * t * 0.1 * Math.sin((0.92 + 0.53 * i))) * 0.5,
+      ];
+
+      metaballs.addBall(position, strength, DEFAULT_BALL_SUBTRACT);
+    }
+  }
+}
+
+// Each ball traces a Lissajous curve with randomized frequencies and phases.
+export class LissajousAnimation extends MetaballAnimation {
+  constructor(seed = 0, ballCount = DEFAULT_BALL_COUNT) {
+    super(seed);
+    this.ballCount = ballCount;
+    this.curves = [];
+    for (let i = 0; i < ballCount; ++i) {
+      this.curves.push({
+        frequency: [1 + this.random() * 2, 1 + this.random() * 2, 1 + this.random() * 2],
+        phase: [this.random() * Math.PI * 2, this.random() * Math.PI * 2, this.random() * Math.PI * 2],
+        amplitude: [0.3 + this.random() * 0.3, 0.5 + this.random() * 0.5, 0.3 + this.random() * 0.3],
+      });
+    }
+  }
+
+  addBalls(metaballs, time) {
+    const t = time * 0.0003;
+    const strength = defaultBallStrength(this.ballCount);
+
+    for (const curve of this.curves) {
+      const position = [
+        Math.sin(curve.frequency[0] * t + curve.phase[0]) * curve.amplitude[0],
+        1.0 + Math.sin(curve.frequency[1] * t + curve.phase[1]) * curve.amplitude[1],
+        Math.sin(curve.frequency[2] * t + curve.phase[2]) * curve.amplitude[2],
+      ];
+
+      metaballs.addBall(position, strength, DEFAULT_BALL_SUBTRACT);
+    }
+  }
+}
+
+// Balls circle the center of the tube at randomized heights, radii and speeds while gently bobbing.
+export class OrbitAnimation extends MetaballAnimation {
+  constructor(seed = 0, ballCount = DEFAULT_BALL_COUNT) {
+    super(seed);
+    this.ballCount = ballCount;
+    this.orbits = [];
+    for (let i = 0; i < ballCount; ++i) {
+      this.orbits.push({
+        radius: 0.1 + this.random() * 0.5,
+        height: 0.2 + this.random() * 1.8,
+        speed: (0.5 + this.random()) * (this.random() < 0.5 ? -1 : 1),
+        phase: this.random() * Math.PI * 2,
+        bob: this.random() * 0.2,
+      });
+    }
+  }
+
+  addBalls(metaballs, time) {
+    const t = time * 0.001;
+    const strength = defaultBallStrength(this.ballCount);
+
+    for (const orbit of this.orbits) {
+      const angle = orbit.phase + orbit.speed * t;
+      const position = [
+        Math.cos(angle) * orbit.radius,
+        orbit.height + Math.sin(angle * 2) * orbit.bob,
+        Math.sin(angle) * orbit.radius,
+      ];
+
+      metaballs.addBall(position, strength, DEFAULT_BALL_SUBTRACT);
+    }
+  }
+}
+
+//
+// Keyframes
+//
+
+/**
+ * A list of keyframes for a single ball. Each keyframe is an object with a time (in milliseconds)
+ * and position, and may optionally override the ball's strength and subtract values. Keyframes
+ * must be given in increasing time order.
+ */
+export class KeyframeTrack {
+  constructor(keyframes, options = {}) {
+    if (!keyframes.length) {
+      throw new Error('A KeyframeTrack must have at least one keyframe');
+    }
+    this.keyframes = keyframes;
+    this.loop = options.loop ?? true;
+    this.interpolation = options.interpolation ?? 'linear'; // 'linear', 'smooth', or 'step'
+    this.strength = options.strength ?? defaultBallStrength(DEFAULT_BALL_COUNT);
+    this.subtract = options.subtract ?? DEFAULT_BALL_SUBTRACT;
+  }
+
+  get duration() {
+    return this.keyframes[this.keyframes.length-1].time;
+  }
+
+  // Returns the interpolated position, strength, and subtract values at the given time.
+  sample(time, out = { position: vec3.create() }) {
+    const keyframes = this.keyframes;
+    const duration = this.duration;
+    if (this.loop && duration > 0) {
+      time = time % duration;
+    }
+
+    let next = keyframes.findIndex((keyframe) => keyframe.time > time);
+    if (next == -1) { next = keyframes.length - 1; }
+    const prev = Math.max(next - 1, 0);
+
+    const a = keyframes[prev];
+    const b = keyframes[next];
+    let mu = b.time > a.time ? Math.min(Math.max((time - a.time) / (b.time - a.time), 0), 1) : 0;
+    switch (this.interpolation) {
+      case 'step':
+        mu = 0;
+        break;
+      case 'smooth':
+        mu = mu * mu * (3 - 2 * mu);
+        break;
+    }
+
+    vec3.lerp(out.position, a.position, b.position, mu);
+    const aStrength = a.strength ?? this.strength;
+    const bStrength = b.strength ?? this.strength;
+    const aSubtract = a.subtract ?? this.subtract;
+    const bSubtract = b.subtract ?? this.subtract;
+    out.strength = aStrength + (bStrength - aStrength) * mu;
+    out.subtract = aSubtract + (bSubtract - aSubtract) * mu;
+    return out;
+  }
+}
+
+export class KeyframeAnimation extends MetaballAnimation {
+  constructor(tracks = []) {
+    super(0);
+    this.tracks = tracks;
+  }
+
+  addTrack(track) {
+    this.tracks.push(track);
+    return track;
+  }
+
+  addBalls(metaballs, time) {
+    for (const track of this.tracks) {
+      const sample = track.sample(time);
+      metaballs.addBall(sample.position, sample.strength, sample.subtract);
+    }
+  }
+}
+
+//
+// Physics
+//
+
+const PHYSICS_TIME_STEP = 1 / 120; // Seconds
+const MAX_PHYSICS_DELTA = 0.25; // Seconds, avoids a spiral of death after the tab is backgrounded.
+
+function particleRadius(particle) {
+  return Math.sqrt(particle.strength / particle.subtract);
+}
+
+const DEFAULT_PHYSICS_OPTIONS = {
+  gravity: -1.0,
+  drag: 0.5,
+  restitution: 0.6,
+};
+
+/**
+ * A simple particle simulation where each ball has a randomized buoyancy that's weighed against
+ * gravity, and collides with the walls, floor, and ceiling of the container. The simulation is
+ * advanced in fixed time steps so that it's deterministic regardless of the frame rate.
+ */
+export class PhysicsAnimation extends MetaballAnimation {
+  constructor(seed = 0, ballCount = DEFAULT_BALL_COUNT, options = {}) {
+    super(seed);
+    this.ballCount = ballCount;
+    this.options = Object.assign({}, DEFAULT_PHYSICS_OPTIONS, options);
+    // The MetaballContainer the balls are kept in, which defaults to "the tube".
+    this.container = options.container ?? new MetaballContainer();
+    // Simulated time that hasn't been consumed by a fixed step yet.
+    this.accumulator = 0;
+    this.initParticles();
+  }
+
+  reset() {
+    super.reset();
+    this.accumulator = 0;
+    this.initParticles();
+  }
+
+  initParticles() {
+    const container = this.container;
+    const strength = defaultBallStrength(this.ballCount);
+
+    this.particles = [];
+    for (let i = 0; i < this.ballCount; ++i) {
+      const angle = this.random() * Math.PI * 2;
+      const spread = Math.sqrt(this.random()) * 0.7;
+      const y = container.floor + this.random() * (container.ceiling - container.floor);
+      const dist = spread * container.axisClearance(y);
+      this.particles.push({
+        position: vec3.fromValues(Math.cos(angle) * dist, y, Math.sin(angle) * dist),
+        velocity: vec3.fromValues(this.random() - 0.5, 0, this.random() - 0.5),
+        // Buoyancy of 1 exactly counters gravity.
+        buoyancy: 0.5 + this.random(),
+        strength,
+        subtract: DEFAULT_BALL_SUBTRACT,
+      });
+    }
+  }
+
+  // Particles outside of the new container will be pushed back inside on the next step.
+  setContainer(container) {
+    this.container = container;
+  }
+
+  update(metaballs, timeDelta) {
+    this.accumulator += Math.min(timeDelta / 1000, MAX_PHYSICS_DELTA);
+    while (this.accumulator >= PHYSICS_TIME_STEP) {
+      this.step(PHYSICS_TIME_STEP);
+      this.accumulator -= PHYSICS_TIME_STEP;
+    }
+    super.update(metaballs, timeDelta);
+  }
+
+  step(dt) {
+    for (const particle of this.particles) {
+      this.applyForces(particle, dt);
+      vec3.scaleAndAdd(particle.position, particle.position, particle.velocity, dt);
+      this.collide(particle);
+    }
+  }
+
+  applyForces(particle, dt) {
+    const options = this.options;
+    const velocity = particle.velocity;
+    velocity[1] += options.gravity * (1 - particle.buoyancy) * dt;
+    vec3.scale(velocity, velocity, Math.max(1 - options.drag * dt, 0));
+  }
+
+  // Keeps the particle's surface inside the container, which is approximated as half the ball's
+  // radius to allow neighboring balls to squish together against the walls.
+  collide(particle) {
+    const container = this.container;
+    const restitution = this.options.restitution;
+    const position = particle.position;
+    const velocity = particle.velocity;
+    const radius = particleRadius(particle) * 0.5;
+
+    const floor = container.floor + radius;
+    const ceiling = container.ceiling - radius;
+    if (position[1] < floor) {
+      position[1] = floor;
+      velocity[1] = Math.abs(velocity[1]) * restitution;
+    } else if (position[1] > ceiling) {
+      position[1] = ceiling;
+      velocity[1] = -Math.abs(velocity[1]) * restitution;
+    }
+
+    const penetration = container.wallDistance(position[0], position[1], position[2]) + radius;
+    if (penetration > 0) {
+      const normal = container.wallNormal(position[0], position[1], position[2], TMP_WALL_NORMAL);
+      const nx = normal[0];
+      const nz = normal[2];
+      position[0] -= nx * penetration;
+      position[2] -= nz * penetration;
+
+      // Reflect the outward component of the velocity.
+      const vn = velocity[0] * nx + velocity[2] * nz;
+      if (vn > 0) {
+        velocity[0] -= (1 + restitution) * vn * nx;
+        velocity[2] -= (1 + restitution) * vn * nz;
+      }
+    }
+  }
+
+  addBalls(metaballs, time) {
+    for (const particle of this.particles) {
+      metaballs.addBall(vec3.clone(particle.position), particle.strength, particle.subtract);
+    }
+  }
+}
+
+//
+// Lava lamp
+//
+
+const DEFAULT_LAVA_LAMP_OPTIONS = {
+  gravity: -1.5,
+  drag: 1.5,
+  restitution: 0.2,
+  heaterHeight: 0.3, // Distance above the container floor that balls are heated in
+  coolerHeight: 0.5, // Distance below the container ceiling that balls are cooled in
+  heatRate: 0.8, // Per second, scaled down by the ball's thermal mass
+  coolRate: 0.4,
+  ambientCoolRate: 0.02,
+  conductionRate: 0.2, // Rate at which overlapping balls equalize temperature
+  separation: 0.5, // Keeps balls that aren't merging from collapsing into a single clump
+  expansion: 1.5, // How much a ball's buoyancy changes with temperature
+  mergeOverlap: 0.7,
+  splitStrength: 2.0, // Relative to the strength of a single starting ball
+  splitSpeed: 0.25,
+  minBalls: 6,
+  maxBalls: 24,
+  cooldown: 1.5, // Seconds after a merge or split before the ball can merge or split again
+};
+
+/**
+ * Extends the physics simulation with a temperature for each ball. Balls are heated near the floor
+ * of the container, which makes them buoyant, and cool near the ceiling, which makes them sink.
+ * Balls whose fields overlap heavily merge together, and large balls that are moving quickly get
+ * pulled apart into two smaller balls.
+ *
+ * Each ball added to the Metaballs has a temperature in the 0-1 range, which the renderer uses to
+ * color the light attached to it.
+ */
+export class LavaLampAnimation extends PhysicsAnimation {
+  constructor(seed = 0, ballCount = 12, options = {}) {
+    super(seed, ballCount, Object.assign({}, DEFAULT_LAVA_LAMP_OPTIONS, options));
+  }
+
+  initParticles() {
+    super.initParticles();
+
+    // Start with the lava pooled at the bottom of the lamp, with a gradient of temperatures.
+    this.baseStrength = defaultBallStrength(this.ballCount);
+    for (const particle of this.particles) {
+      particle.position[1] = this.container.floor + this.random() * 0.6;
+      vec3.set(particle.velocity, 0, 0, 0);
+      particle.temperature = this.random() * 0.5;
+      particle.cooldown = 0;
+    }
+  }
+
+  applyForces(particle, dt) {
+    const options = this.options;
+    const container = this.container;
+    // Measured from the bottom and top of the ball's surface.
+    const radius = particleRadius(particle) * 0.5;
+    const bottom = particle.position[1] - radius;
+    const top = particle.position[1] + radius;
+    const thermalMass = particle.strength / this.baseStrength;
+
+    if (bottom < container.floor + options.heaterHeight) {
+      // The heat comes from a bulb under the center of the lamp.
+      const axisDist = Math.sqrt(particle.position[0] * particle.position[0] + particle.position[2] * particle.position[2]);
+      const heat = options.heatRate * Math.max(1 - axisDist / container.axisClearance(container.floor), 0.25);
+      particle.temperature += heat * dt * (1 - particle.temperature) / thermalMass;
+    }
+    if (top > container.ceiling - options.coolerHeight) {
+      particle.temperature -= options.coolRate * dt * particle.temperature / thermalMass;
+    }
+    particle.temperature -= options.ambientCoolRate * dt * particle.temperature;
+    particle.temperature = Math.min(Math.max(particle.temperature, 0), 1);
+    particle.cooldown = Math.max(particle.cooldown - dt, 0);
+
+    // Neutrally buoyant at half temperature.
+    particle.buoyancy = 1 + (particle.temperature - 0.5) * options.expansion;
+
+    super.applyForces(particle, dt);
+  }
+
+  step(dt) {
+    super.step(dt);
+    this.separateParticles(dt);
+    this.conductHeat(dt);
+    this.mergeParticles();
+    this.splitParticles();
+  }
+
+  // Approximates how much the fields of two balls overlap, from 0 (just touching) to 1 (coincident)
+  fieldOverlap(a, b) {
+    const dist = vec3.distance(a.position, b.position);
+    return Math.max(1 - dist / (particleRadius(a) + particleRadius(b)), 0);
+  }
+
+  // Gently pushes overlapping balls apart. Balls that overlap past the merge threshold are left
+  // alone so that they can merge.
+  separateParticles(dt) {
+    const particles = this.particles;
+    const options = this.options;
+    for (let i = 0; i < particles.length; ++i) {
+      for (let j = i + 1; j < particles.length; ++j) {
+        const a = particles[i];
+        const b = particles[j];
+        const overlap = this.fieldOverlap(a, b);
+        if (overlap <= 0 || overlap >= options.mergeOverlap) { continue; }
+
+        vec3.subtract(TMP_VEC3, a.position, b.position);
+        vec3.normalize(TMP_VEC3, TMP_VEC3);
+        const push = overlap * options.separation * dt;
+        vec3.scaleAndAdd(a.velocity, a.velocity, TMP_VEC3, push * (b.strength / (a.strength + b.strength)));
+        vec3.scaleAndAdd(b.velocity, b.velocity, TMP_VEC3, -push * (a.strength / (a.strength + b.strength)));
+      }
+    }
+  }
+
+  conductHeat(dt) {
+    const particles = this.particles;
+    const rate = this.options.conductionRate;
+    for (let i = 0; i < particles.length; ++i) {
+      for (let j = i + 1; j < particles.length; ++j) {
+        const a = particles[i];
+        const b = particles[j];
+        const overlap = this.fieldOverlap(a, b);
+        if (overlap > 0) {
+          const exchange = (b.temperature - a.temperature) * Math.min(overlap * rate * dt, 0.5);
+          a.temperature += exchange * (b.strength / (a.strength + b.strength));
+          b.temperature -= exchange * (a.strength / (a.strength + b.strength));
+        }
+      }
+    }
+  }
+
+  mergeParticles() {
+    const particles = this.particles;
+    const options = this.options;
+    const maxStrength = options.splitStrength * this.baseStrength;
+
+    for (let i = 0; i < particles.length && particles.length > options.minBalls; ++i) {
+      const a = particles[i];
+      if (a.cooldown > 0) { continue; }
+
+      for (let j = i + 1; j < particles.length; ++j) {
+        const b = particles[j];
+        if (b.cooldown > 0) { continue; }
+        if (a.strength + b.strength > maxStrength) { continue; }
+        if (this.fieldOverlap(a, b) < options.mergeOverlap) { continue; }
+
+        // Conserve mass, momentum and heat.
+        const strength = a.strength + b.strength;
+        const wa = a.strength / strength;
+        const wb = b.strength / strength;
+        vec3.lerp(a.position, b.position, a.position, wa);
+        vec3.lerp(a.velocity, b.velocity, a.velocity, wa);
+        a.temperature = a.temperature * wa + b.temperature * wb;
+        a.strength = strength;
+        a.cooldown = options.cooldown;
+
+        particles.splice(j, 1);
+        break;
+      }
+    }
+  }
+
+  splitParticles() {
+    const particles = this.particles;
+    const options = this.options;
+    const splitStrength = options.splitStrength * this.baseStrength * 0.75;
+
+    const count = particles.length;
+    for (let i = 0; i < count && particles.length < options.maxBalls; ++i) {
+      const a = particles[i];
+      if (a.cooldown > 0 || a.strength < splitStrength) { continue; }
+      if (Math.abs(a.velocity[1]) < options.splitSpeed) { continue; }
+
+      // The leading half of the blob carries on, and the trailing half lags behind it.
+      const direction = Math.sign(a.velocity[1]);
+      const offset = particleRadius(a) * 0.25;
+      const b = {
+        position: vec3.clone(a.position),
+        velocity: vec3.scale(vec3.create(), a.velocity, 0.5),
+        buoyancy: a.buoyancy,
+        strength: a.strength * 0.5,
+        subtract: a.subtract,
+        temperature: a.temperature - direction * 0.1,
+        cooldown: options.cooldown,
+      };
+      b.position[0] += (this.random() - 0.5) * offset;
+      b.position[1] -= direction * offset;
+      b.position[2] += (this.random() - 0.5) * offset;
+
+      a.position[1] += direction * offset;
+      a.strength *= 0.5;
+      a.cooldown = options.cooldown;
+
+      particles.push(b);
+    }
+  }
+
+  addBalls(metaballs, time) {
+    for (const particle of this.particles) {
+      const ball = metaballs.addBall(vec3.clone(particle.position), particle.strength, particle.subtract);
+      ball.temperature = particle.temperature;
+    }
+  }
+}
+
+export const MetaballAnimations = {
+  clickToRelease: ClickToReleaseAnimation,
+  lissajous: LissajousAnimation,
+  orbit: OrbitAnimation,
+  physics: PhysicsAnimation,
+  lavaLamp: LavaLampAnimation,
+};
@@ -0,0 +1,282 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+//
+// Registry of the shapes of container that the metaballs can be held in, and the container itself.
+//
+// A container is a vessel with vertical walls (which may slope or curve, like a lava lamp's glass)
+// between a flat floor and ceiling. The physics animations keep the balls inside of it, and it can
+// also force the value of the field so that the isosurface is:
+//
+//   clip: Emptied outside of the walls and above or below the floor and ceiling, so that balls
+//         pressed against the glass are capped flat against it rather than poking through.
+//   capFloor: Filled below the floor, inside the walls, so that there's always a surface covering
+//             the bottom of the container that the balls merge into as they settle.
+//
+// Each shape provides the signed distance to its walls (negative inside) as both a JS function,
+// used by MetaballContainer, and the equivalent WGSL function body, which is stitched into the
+// field shaders. Like the primitives, the two MUST be kept in sync. Any shape that can be expressed
+// as a signed distance function can be added with registerMetaballContainerShape().
+//
+// The JS and WGSL bodies have access to `container` (a MetaballContainer) and the sample point.
+// Shape specific options are packed into the four `container.params` by the shape's params
+// function, with any options that aren't given taken from its defaults.
+//
+
+// Describes the "tube" that the balls have always been kept in, with a pool of liquid on its floor.
+// The ceiling is left unset so that whatever creates the container can fit it to the volume the
+// isosurface is sampled in (see Renderer.setMetaballContainer).
+export const DEFAULT_METABALL_CONTAINER = {
+  shape: 'cylinder',
+  floor: 0,
+  ceiling: null,
+  clip: false,
+  capFloor: true,
+  fillValue: 100, // Value of the field where it's filled, which must be above the threshold
+};
+
+// Where the field is left to the balls or forced by the container. Returned by
+// MetaballContainer.region.
+export const ContainerRegion = {
+  open: 0,
+  filled: 1,
+  empty: 2,
+};
+
+// Bits of MetaballContainer.flags. Must match the WGSL constants in shaders/metaball.js.
+export const CONTAINER_CLIP = 1;
+export const CONTAINER_CAP_FLOOR = 2;
+
+// Number of values written by MetaballContainer.pack: the shape ID, flags, floor, ceiling,
+// fillValue and params (4).
+const PACKED_CONTAINER_SIZE = 9;
+const TMP_PACKED_CONTAINER = new Float64Array(PACKED_CONTAINER_SIZE);
+
+// Ceiling of containers that aren't given one, just under the top of the default metaball volume.
+const FALLBACK_CEILING = 2.4;
+
+// Offset used to numerically differentiate the wall distance.
+const NORMAL_EPSILON = 0.0001;
+
+export const MetaballContainerShapes = new Map();
+
+export function registerMetaballContainerShape(name, shape) {
+  if (MetaballContainerShapes.has(name)) {
+    throw new Error(`Metaball container shape "${name}" is already registered`);
+  }
+  if (!shape.wallDistance || !shape.wgsl) {
+    throw new Error(`Metaball container shape "${name}" must specify wallDistance and wgsl`);
+  }
+
+  const entry = {
+    name,
+    id: MetaballContainerShapes.size,
+    defaults: shape.defaults ?? {},
+    params: shape.params ?? (() => {}),
+    wallDistance: shape.wallDistance,
+    wgsl: shape.wgsl,
+  };
+  MetaballContainerShapes.set(name, entry);
+  return entry;
+}
+
+export function getMetaballContainerShape(name) {
+  const shape = MetaballContainerShapes.get(name);
+  if (!shape) {
+    throw new Error(`Unknown metaball container shape "${name}"`);
+  }
+  return shape;
+}
+
+// Containers are treated as immutable once they've been created, since the meshers detect changes
+// by comparing them by reference. To change one create a new container from its options.
+export class MetaballContainer {
+  constructor(options = {}) {
+    const shape = getMetaballContainerShape(options.shape ?? DEFAULT_METABALL_CONTAINER.shape);
+    this.options = Object.assign({}, DEFAULT_METABALL_CONTAINER, shape.defaults, options);
+    this.shape = shape;
+    this.floor = this.options.floor;
+    this.ceiling = this.options.ceiling ?? FALLBACK_CEILING;
+    this.clip = !!this.options.clip;
+    this.capFloor = !!this.options.capFloor;
+    this.fillValue = this.options.fillValue;
+    this.flags = (this.clip ? CONTAINER_CLIP : 0) | (this.capFloor ? CONTAINER_CAP_FLOOR : 0);
+    this.params = new Float32Array(4);
+    shape.params(this.options, this.params);
+  }
+
+  // Signed distance from the point to the walls, ignoring the floor and ceiling. Negative inside.
+  wallDistance(x, y, z) {
+    return this.shape.wallDistance(this, x, y, z);
+  }
+
+  // Horizontal direction that points out through the nearest wall.
+  wallNormal(x, y, z, out) {
+    const e = NORMAL_EPSILON;
+    const nx = this.wallDistance(x + e, y, z) - this.wallDistance(x - e, y, z);
+    const nz = this.wallDistance(x, y, z + e) - this.wallDistance(x, y, z - e);
+    const length = Math.sqrt(nx*nx + nz*nz);
+    out[0] = length > 0 ? nx / length : 0;
+    out[1] = 0;
+    out[2] = length > 0 ? nz / length : 0;
+    return out;
+  }
+
+  // Distance from the center of the container to its walls at the given height.
+  axisClearance(y) {
+    return -this.wallDistance(0, y, 0);
+  }
+
+  // Whether the container forces the field at the given point, and to what.
+  region(x, y, z) {
+    if (!this.flags) { return ContainerRegion.open; }
+
+    const wall = this.wallDistance(x, y, z);
+    if (this.capFloor && y < this.floor && wall < 0) {
+      return ContainerRegion.filled;
+    }
+    if (this.clip && (wall > 0 || y < this.floor || y > this.ceiling)) {
+      return ContainerRegion.empty;
+    }
+    return ContainerRegion.open;
+  }
+
+  // Packs the container into an array that can be posted to a worker and unpacked there by
+  // MetaballContainer.unpack.
+  pack(out = new Float64Array(PACKED_CONTAINER_SIZE)) {
+    out[0] = this.shape.id;
+    out[1] = this.flags;
+    out[2] = this.floor;
+    out[3] = this.ceiling;
+    out[4] = this.fillValue;
+    out.set(this.params, 5);
+    return out;
+  }
+
+  // True if the packed container is the same as this one.
+  matches(packed) {
+    const current = this.pack(TMP_PACKED_CONTAINER);
+    for (let i = 0; i < PACKED_CONTAINER_SIZE; ++i) {
+      if (current[i] !== packed[i]) { return false; }
+    }
+    return true;
+  }
+
+  // Only shapes that have been registered in this context can be unpacked.
+  static unpack(packed) {
+    let shape = null;
+    for (const entry of MetaballContainerShapes.values()) {
+      if (entry.id == packed[0]) { shape = entry; }
+    }
+    if (!shape) {
+      throw new Error(`Unknown metaball container shape ID ${packed[0]}`);
+    }
+
+    const container = new MetaballContainer({
+      shape: shape.name,
+      floor: packed[2],
+      ceiling: packed[3],
+      clip: !!(packed[1] & CONTAINER_CLIP),
+      capFloor: !!(packed[1] & CONTAINER_CAP_FLOOR),
+      fillValue: packed[4],
+    });
+    container.params.set(packed.subarray(5, PACKED_CONTAINER_SIZE));
+    return container;
+  }
+}
+
+// A straight glass tube.
+registerMetaballContainerShape('cylinder', {
+  defaults: {
+    radius: Math.sqrt(1.1),
+  },
+  params(options, out) {
+    out[0] = options.radius;
+  },
+  wallDistance(container, x, y, z) {
+    return Math.sqrt(x*x + z*z) - container.params[0];
+  },
+  wgsl: /*wgsl*/`
+    return length(position.xz) - container.params.x;
+  `,
+});
+
+// A tank with a rectangular floor, width along X and depth along Z.
+registerMetaballContainerShape('box', {
+  defaults: {
+    width: 1.9,
+    depth: 1.9,
+  },
+  params(options, out) {
+    out[0] = options.width * 0.5;
+    out[1] = options.depth * 0.5;
+  },
+  wallDistance(container, x, y, z) {
+    const qx = Math.abs(x) - container.params[0];
+    const qz = Math.abs(z) - container.params[1];
+    const ox = Math.max(qx, 0);
+    const oz = Math.max(qz, 0);
+    return Math.sqrt(ox*ox + oz*oz) + Math.min(Math.max(qx, qz), 0);
+  },
+  wgsl: /*wgsl*/`
+    let q = abs(position.xz) - container.params.xy;
+    return length(max(q, vec2f(0.0))) + min(max(q.x, q.y), 0.0);
+  `,
+});
+
+// The glass of a lava lamp: two cones joined at the widest point of the lamp (the waist), tapering
+// towards the floor and ceiling. The distance is scaled by the slope of the glass so that it stays
+// close to the true distance.
+registerMetaballContainerShape('lamp', {
+  defaults: {
+    bottomRadius: 0.55,
+    waistRadius: 1.0,
+    topRadius: 0.5,
+    waistHeight: 0.9,
+  },
+  params(options, out) {
+    out[0] = options.bottomRadius;
+    out[1] = options.waistRadius;
+    out[2] = options.topRadius;
+    out[3] = options.waistHeight;
+  },
+  wallDistance(container, x, y, z) {
+    const p = container.params;
+    const below = y < p[3];
+    const y0 = below ? container.floor : p[3];
+    const y1 = below ? p[3] : container.ceiling;
+    const r0 = below ? p[0] : p[1];
+    const r1 = below ? p[1] : p[2];
+    const slope = (r1 - r0) / Math.max(y1 - y0, 0.0001);
+    const radius = r0 + slope * Math.min(Math.max(y - y0, 0), y1 - y0);
+    return (Math.sqrt(x*x + z*z) - radius) / Math.sqrt(1 + slope * slope);
+  },
+  wgsl: /*wgsl*/`
+    let p = container.params;
+    let below = position.y < p.w;
+    let y0 = select(p.w, container.floor, below);
+    let y1 = select(container.ceiling, p.w, below);
+    let r0 = select(p.y, p.x, below);
+    let r1 = select(p.z, p.y, below);
+    let slope = (r1 - r0) / max(y1 - y0, 0.0001);
+    let radius = r0 + slope * clamp(position.y - y0, 0.0, y1 - y0);
+    return (length(position.xz) - radius) / sqrt(1.0 + slope * slope);
+  `,
+});
@@ -0,0 +1,342 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { MetaballPrimitives } from './metaball-primitives.js';
+import { getMetaballKernel } from './metaball-kernels.js';
+import { MetaballContainer, ContainerRegion } from './metaball-container.js';
+
+//
+// The scalar field produced by a list of metaballs, and everything needed to sample it. This is
+// kept separate from Metaballs, which adds the functions for building and animating the ball list,
+// so that it can be imported by workers without any dependencies that need the page's import map.
+//
+
+// Number of values recorded for each ball by markDirtyBricks to detect changes: the primitive ID,
+// position (3), params (4), strength, subtract, radius, polarity, boundsMin (3) and boundsMax (3).
+const BALL_STATE_SIZE = 18;
+const TMP_BALL_STATE = new Float64Array(BALL_STATE_SIZE);
+
+// Finds the range of bricks along the given axis that the box from min to max overlaps. Returns
+// false if it's entirely outside the grid.
+function brickRange(grid, min, max, axis, out) {
+  const lo = Math.floor((min[axis] - grid.min[axis]) / grid.brickExtent[axis]);
+  const hi = Math.floor((max[axis] - grid.min[axis]) / grid.brickExtent[axis]);
+  out[0] = Math.max(lo, 0);
+  out[1] = Math.min(hi, grid.size[axis] - 1);
+  return out[0] <= out[1];
+}
+
+const RANGE_X = [0, 0];
+const RANGE_Y = [0, 0];
+const RANGE_Z = [0, 0];
+
+// Calls callback with the index of every brick of the grid that the box from min to max overlaps.
+function forEachBrick(grid, min, max, callback) {
+  if (!brickRange(grid, min, max, 0, RANGE_X) ||
+      !brickRange(grid, min, max, 1, RANGE_Y) ||
+      !brickRange(grid, min, max, 2, RANGE_Z)) {
+    return; // Entirely outside the volume
+  }
+
+  for (let k = RANGE_Z[0]; k <= RANGE_Z[1]; ++k) {
+    for (let j = RANGE_Y[0]; j <= RANGE_Y[1]; ++j) {
+      for (let i = RANGE_X[0]; i <= RANGE_X[1]; ++i) {
+        callback(i + (j * grid.size[0]) + (k * grid.size[0] * grid.size[1]));
+      }
+    }
+  }
+}
+
+// Number of values written for each ball by packBalls: the primitive ID, position (3), params (4),
+// radius, strength, subtract and polarity.
+const PACKED_BALL_SIZE = 12;
+
+const TMP_GRADIENT = new Float64Array(3);
+const TMP_WEIGHTS = new Float64Array(2);
+
+export class MetaballField {
+  constructor(kernel = 'inverseSquare') {
+    this.balls = [];
+    this.kernel = getMetaballKernel(kernel);
+    this.container = null;
+  }
+
+  setKernel(name) {
+    this.kernel = getMetaballKernel(name);
+  }
+
+  // Sets the MetaballContainer that clips and/or caps the isosurface, or null for none.
+  setContainer(container) {
+    this.container = container;
+  }
+
+  // The isosurface threshold appropriate for the current kernel.
+  get threshold() {
+    return this.kernel.threshold;
+  }
+
+  updateBounds() {
+    for (const ball of this.balls) {
+      const support = ball.primitive.falloff?.support ?? this.kernel.support;
+      ball.primitive.bounds(ball, ball.radius * support, ball.boundsMin, ball.boundsMax);
+    }
+  }
+
+  // Sorts the balls into the bricks of the grid that their bounds overlap, so that each brick only
+  // has to evaluate the balls that can affect it. Returns an array of ball lists, one per brick.
+  binBalls(grid) {
+    this.updateBounds();
+
+    const brickCount = grid.size[0] * grid.size[1] * grid.size[2];
+    if (!grid.bins || grid.bins.length != brickCount) {
+      grid.bins = new Array(brickCount);
+      for (let i = 0; i < brickCount; ++i) {
+        grid.bins[i] = [];
+      }
+    }
+    const bins = grid.bins;
+    for (const bin of bins) {
+      bin.length = 0;
+    }
+
+    for (const ball of this.balls) {
+      forEachBrick(grid, ball.boundsMin, ball.boundsMax, (brickIndex) => {
+        bins[brickIndex].push(ball);
+      });
+    }
+
+    return bins;
+  }
+
+  // Flags the bricks of the grid that a ball has been added to, removed from, moved within or
+  // otherwise changed in since the last time the same grid was passed in, since those are the only
+  // bricks whose field values may be different. Balls are compared by their index in the ball list,
+  // so animations that rebuild the list every frame still only dirty the bricks around the balls
+  // that actually moved. Returns an array with a non-zero entry for each dirty brick.
+  markDirtyBricks(grid) {
+    this.updateBounds();
+
+    const brickCount = grid.size[0] * grid.size[1] * grid.size[2];
+    if (!grid.dirty || grid.dirty.length != brickCount) {
+      grid.dirty = new Uint8Array(brickCount);
+      grid.ballStates = null;
+    }
+    const dirty = grid.dirty;
+    const markDirty = (brickIndex) => { dirty[brickIndex] = 1; };
+
+    // Everything has to be evaluated again the first time, or if the field itself has changed.
+    const everythingDirty = !grid.ballStates || grid.dirtySource !== this ||
+                            grid.dirtyKernel !== this.kernel || grid.dirtyContainer !== this.container;
+    dirty.fill(everythingDirty ? 1 : 0);
+
+    const ballCount = this.balls.length;
+    const previousCount = everythingDirty ? 0 : grid.ballCount;
+    if (!grid.ballStates || grid.ballStates.length < ballCount * BALL_STATE_SIZE) {
+      const ballStates = new Float64Array(Math.max(ballCount, 1) * BALL_STATE_SIZE * 2);
+      if (grid.ballStates) {
+        ballStates.set(grid.ballStates);
+      }
+      grid.ballStates = ballStates;
+    }
+    const ballStates = grid.ballStates;
+
+    for (let i = 0; i < ballCount; ++i) {
+      const ball = this.balls[i];
+      const state = TMP_BALL_STATE;
+      state[0] = ball.primitive.id;
+      state[1] = ball.position[0];
+      state[2] = ball.position[1];
+      state[3] = ball.position[2];
+      state[4] = ball.params[0];
+      state[5] = ball.params[1];
+      state[6] = ball.params[2];
+      state[7] = ball.params[3];
+      state[8] = ball.strength;
+      state[9] = ball.subtract;
+      state[10] = ball.radius;
+      state[11] = ball.polarity;
+      state.set(ball.boundsMin, 12);
+      state.set(ball.boundsMax, 15);
+
+      const offset = i * BALL_STATE_SIZE;
+      if (i < previousCount) {
+        let changed = false;
+        for (let j = 0; j < BALL_STATE_SIZE; ++j) {
+          if (ballStates[offset + j] !== state[j]) {
+            changed = true;
+            break;
+          }
+        }
+        if (!changed) { continue; }
+
+        // The bricks the ball used to affect
+        forEachBrick(grid,
+          ballStates.subarray(offset + 12, offset + 15),
+          ballStates.subarray(offset + 15, offset + 18),
+          markDirty);
+      }
+
+      forEachBrick(grid, ball.boundsMin, ball.boundsMax, markDirty);
+      ballStates.set(state, offset);
+    }
+
+    // Balls that have been removed since the last update.
+    for (let i = ballCount; i < previousCount; ++i) {
+      const offset = i * BALL_STATE_SIZE;
+      forEachBrick(grid,
+        ballStates.subarray(offset + 12, offset + 15),
+        ballStates.subarray(offset + 15, offset + 18),
+        markDirty);
+    }
+
+    grid.ballCount = ballCount;
+    grid.dirtySource = this;
+    grid.dirtyKernel = this.kernel;
+    grid.dirtyContainer = this.container;
+
+    return dirty;
+  }
+
+  surfaceFunc(x, y, z, balls = this.balls) {
+    const kernel = this.kernel;
+    if (this.container) {
+      switch (this.container.region(x, y, z)) {
+        case ContainerRegion.filled: return this.container.fillValue;
+        case ContainerRegion.empty: return kernel.initial;
+      }
+    }
+
+    let result = kernel.initial;
+    for (const ball of balls) {
+      const falloff = ball.primitive.falloff ?? kernel;
+      const value = falloff.field(ball, ball.primitive.sqrDist(ball, x, y, z), kernel);
+      result = kernel.accumulate(result, value, ball.polarity);
+    }
+    return result;
+  }
+
+  // False where surfaceFunc returns a value forced by the container rather than the field of the
+  // balls, and surfaceGradient can't be used.
+  fieldIsAnalytic(x, y, z) {
+    return !this.container || this.container.region(x, y, z) == ContainerRegion.open;
+  }
+
+  // Writes the exact gradient of the balls' field at the given point into out. Only meaningful
+  // where fieldIsAnalytic is true.
+  surfaceGradient(x, y, z, out, balls = this.balls) {
+    const kernel = this.kernel;
+    let result = kernel.initial;
+    out[0] = 0;
+    out[1] = 0;
+    out[2] = 0;
+    for (const ball of balls) {
+      const falloff = ball.primitive.falloff ?? kernel;
+      const sqrDist = ball.primitive.sqrDist(ball, x, y, z);
+      const value = falloff.field(ball, sqrDist, kernel);
+      const weights = kernel.gradientWeights(result, value, ball.polarity, TMP_WEIGHTS);
+      const scale = falloff.derivative(ball, sqrDist, kernel) * weights[1];
+      if (scale) {
+        ball.primitive.gradient(ball, x, y, z, TMP_GRADIENT);
+        out[0] = out[0] * weights[0] + TMP_GRADIENT[0] * scale;
+        out[1] = out[1] * weights[0] + TMP_GRADIENT[1] * scale;
+        out[2] = out[2] * weights[0] + TMP_GRADIENT[2] * scale;
+      } else {
+        out[0] *= weights[0];
+        out[1] *= weights[0];
+        out[2] *= weights[0];
+      }
+      result = kernel.accumulate(result, value, ball.polarity);
+    }
+    return out;
+  }
+
+  // Packs the balls into an array that can be posted to a worker and unpacked there by unpackBalls.
+  packBalls(out = null) {
+    const size = this.balls.length * PACKED_BALL_SIZE;
+    if (!out || out.length < size) {
+      out = new Float64Array(size);
+    }
+
+    for (let i = 0; i < this.balls.length; ++i) {
+      const ball = this.balls[i];
+      const offset = i * PACKED_BALL_SIZE;
+      out[offset] = ball.primitive.id;
+      out[offset+1] = ball.position[0];
+      out[offset+2] = ball.position[1];
+      out[offset+3] = ball.position[2];
+      out[offset+4] = ball.params[0];
+      out[offset+5] = ball.params[1];
+      out[offset+6] = ball.params[2];
+      out[offset+7] = ball.params[3];
+      out[offset+8] = ball.radius;
+      out[offset+9] = ball.strength;
+      out[offset+10] = ball.subtract;
+      out[offset+11] = ball.polarity;
+    }
+    return out;
+  }
+
+  // Replaces the container with one packed by MetaballContainer.pack(), or removes it if packed is
+  // null. An unchanged container is kept so that it doesn't dirty every brick.
+  unpackContainer(packed) {
+    if (!packed) {
+      this.container = null;
+    } else if (!this.container?.matches(packed)) {
+      this.container = MetaballContainer.unpack(packed);
+    }
+  }
+
+  // Replaces the balls with the ballCount balls packed into the array by packBalls. Only primitives
+  // that have been registered in this context can be unpacked. Ball objects are reused from the
+  // previous call where possible.
+  unpackBalls(packed, ballCount) {
+    const primitives = [];
+    for (const primitive of MetaballPrimitives.values()) {
+      primitives[primitive.id] = primitive;
+    }
+
+    this.balls.length = ballCount;
+    for (let i = 0; i < ballCount; ++i) {
+      const offset = i * PACKED_BALL_SIZE;
+      let ball = this.balls[i];
+      if (!ball) {
+        ball = this.balls[i] = {
+          position: new Float32Array(3),
+          params: new Float32Array(4),
+          boundsMin: new Float32Array(3),
+          boundsMax: new Float32Array(3),
+        };
+      }
+      ball.primitive = primitives[packed[offset]];
+      ball.type = ball.primitive.name;
+      ball.position[0] = packed[offset+1];
+      ball.position[1] = packed[offset+2];
+      ball.position[2] = packed[offset+3];
+      ball.params[0] = packed[offset+4];
+      ball.params[1] = packed[offset+5];
+      ball.params[2] = packed[offset+6];
+      ball.params[3] = packed[offset+7];
+      ball.radius = packed[offset+8];
+      ball.strength = packed[offset+9];
+      ball.subtract = packed[offset+10];
+      ball.polarity = packed[offset+11];
+    }
+  }
+}
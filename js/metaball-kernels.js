@@ -0,0 +1,301 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+//
+// Registry of the falloff kernels used to turn primitive distances into an isosurface field.
+//
+// A kernel converts the squared distance from a primitive (see metaball-primitives.js) into a
+// field value and then accumulates it into the running total for the sample point. Each kernel
+// also declares the threshold at which its isosurface should be extracted. Like the primitives,
+// every kernel has a JS implementation used by Metaballs.surfaceFunc and an equivalent WGSL
+// implementation used by MetaballFieldComputeSource, which must be kept in sync.
+//
+// The WGSL field body has access to `ball : Metaball` and `sqrDist : f32`, and the accumulate body
+// has access to `result : f32`, `value : f32` and `polarity : f32`.
+//
+// To compute analytic surface normals kernels can also provide the derivative of the field with
+// respect to sqrDist (which is differentiated numerically if not) and, if they don't simply sum the
+// values, gradientWeights. That gives the weights (a, b) for which the gradient of the accumulated
+// result is a * (gradient of result) + b * (gradient of value). The WGSL versions have access to the
+// same variables as field and accumulate respectively, and gradientWeights returns a vec2f.
+//
+// With the exception of the smooth-min kernel the normalized kernels are tuned so that an isolated
+// ball's surface sits roughly halfway out to its ball.radius, which is where they fall to zero.
+// Kernels that don't fall to zero at ball.radius declare a larger support (as a multiple of
+// ball.radius) beyond which a ball can safely be ignored.
+//
+
+export const MetaballKernels = new Map();
+
+const SumAccumulate = {
+  accumulate(result, value, polarity) {
+    return result + value * polarity;
+  },
+  gradientWeights(result, value, polarity, out) {
+    out[0] = 1;
+    out[1] = polarity;
+    return out;
+  },
+  wgsl: /*wgsl*/`
+    return result + value * polarity;
+  `,
+  wgslGradientWeights: /*wgsl*/`
+    return vec2f(1.0, polarity);
+  `,
+};
+
+// Offset used to numerically differentiate kernels that don't provide a derivative.
+const DERIVATIVE_EPSILON = 0.0001;
+
+export function numericDerivative(field) {
+  return (ball, sqrDist, kernel) => {
+    const lo = Math.max(sqrDist - DERIVATIVE_EPSILON, 0);
+    const hi = sqrDist + DERIVATIVE_EPSILON;
+    return (field(ball, hi, kernel) - field(ball, lo, kernel)) / (hi - lo);
+  };
+}
+
+const NumericWgslDerivative = /*wgsl*/`
+  let lo = max(sqrDist - ${DERIVATIVE_EPSILON}, 0.0);
+  let hi = sqrDist + ${DERIVATIVE_EPSILON};
+  return (kernelField(ball, hi) - kernelField(ball, lo)) / (hi - lo);
+`;
+
+export function registerMetaballKernel(name, kernel) {
+  if (MetaballKernels.has(name)) {
+    throw new Error(`Metaball kernel "${name}" is already registered`);
+  }
+  if (!kernel.field || !kernel.wgsl?.field || kernel.threshold === undefined) {
+    throw new Error(`Metaball kernel "${name}" must specify a threshold, field and wgsl.field`);
+  }
+  if (!!kernel.accumulate != !!kernel.gradientWeights) {
+    throw new Error(`Metaball kernel "${name}" must specify gradientWeights along with accumulate`);
+  }
+
+  const entry = {
+    name,
+    threshold: kernel.threshold,
+    initial: kernel.initial ?? 0,
+    support: kernel.support ?? 1,
+    field: kernel.field,
+    accumulate: kernel.accumulate ?? SumAccumulate.accumulate,
+    derivative: kernel.derivative ?? numericDerivative(kernel.field),
+    gradientWeights: kernel.gradientWeights ?? SumAccumulate.gradientWeights,
+    wgsl: {
+      field: kernel.wgsl.field,
+      accumulate: kernel.wgsl.accumulate ?? SumAccumulate.wgsl,
+      derivative: kernel.wgsl.derivative ?? NumericWgslDerivative,
+      gradientWeights: kernel.wgsl.gradientWeights ?? SumAccumulate.wgslGradientWeights,
+    },
+  };
+  MetaballKernels.set(name, entry);
+  return entry;
+}
+
+export function getMetaballKernel(name) {
+  const kernel = MetaballKernels.get(name);
+  if (!kernel) {
+    throw new Error(`Unknown metaball kernel "${name}"`);
+  }
+  return kernel;
+}
+
+// The original strength / d² falloff. Infinite support is clipped by subtracting ball.subtract,
+// which produces the familiar "everything merges" look.
+registerMetaballKernel('inverseSquare', {
+  threshold: 40,
+  field(ball, sqrDist) {
+    return Math.max(ball.strength / (0.000001 + sqrDist) - ball.subtract, 0);
+  },
+  derivative(ball, sqrDist) {
+    const d = 0.000001 + sqrDist;
+    if (ball.strength / d <= ball.subtract) { return 0; }
+    return -ball.strength / (d * d);
+  },
+  wgsl: {
+    field: /*wgsl*/`
+      return max(ball.strength / (0.000001 + sqrDist) - ball.subtract, 0.0);
+    `,
+    derivative: /*wgsl*/`
+      let d = 0.000001 + sqrDist;
+      if (ball.strength / d <= ball.subtract) { return 0.0; }
+      return -ball.strength / (d * d);
+    `,
+  },
+});
+
+// Wyvill "soft objects" polynomial: 1 - 4/9a⁶ + 17/9a⁴ - 22/9a²
+registerMetaballKernel('wyvill', {
+  threshold: 0.5,
+  field(ball, sqrDist) {
+    const a2 = sqrDist / (ball.radius * ball.radius);
+    if (a2 >= 1) { return 0; }
+    const a4 = a2 * a2;
+    return 1 - (4/9) * a4 * a2 + (17/9) * a4 - (22/9) * a2;
+  },
+  derivative(ball, sqrDist) {
+    const r2 = ball.radius * ball.radius;
+    const a2 = sqrDist / r2;
+    if (a2 >= 1) { return 0; }
+    return (-(12/9) * a2 * a2 + (34/9) * a2 - (22/9)) / r2;
+  },
+  wgsl: {
+    field: /*wgsl*/`
+      let a2 = sqrDist / (ball.radius * ball.radius);
+      if (a2 >= 1.0) { return 0.0; }
+      let a4 = a2 * a2;
+      return 1.0 - (4.0/9.0) * a4 * a2 + (17.0/9.0) * a4 - (22.0/9.0) * a2;
+    `,
+    derivative: /*wgsl*/`
+      let r2 = ball.radius * ball.radius;
+      let a2 = sqrDist / r2;
+      if (a2 >= 1.0) { return 0.0; }
+      return (-(12.0/9.0) * a2 * a2 + (34.0/9.0) * a2 - (22.0/9.0)) / r2;
+    `,
+  },
+});
+
+// Blinn's "blobby molecule" exponential, truncated at ball.radius so that it has compact support.
+registerMetaballKernel('blinn', {
+  threshold: Math.exp(-1),
+  field(ball, sqrDist) {
+    const a2 = sqrDist / (ball.radius * ball.radius);
+    if (a2 >= 1) { return 0; }
+    return Math.exp(-4 * a2);
+  },
+  derivative(ball, sqrDist) {
+    const r2 = ball.radius * ball.radius;
+    const a2 = sqrDist / r2;
+    if (a2 >= 1) { return 0; }
+    return -4 * Math.exp(-4 * a2) / r2;
+  },
+  wgsl: {
+    field: /*wgsl*/`
+      let a2 = sqrDist / (ball.radius * ball.radius);
+      if (a2 >= 1.0) { return 0.0; }
+      return exp(-4.0 * a2);
+    `,
+    derivative: /*wgsl*/`
+      let r2 = ball.radius * ball.radius;
+      let a2 = sqrDist / r2;
+      if (a2 >= 1.0) { return 0.0; }
+      return -4.0 * exp(-4.0 * a2) / r2;
+    `,
+  },
+});
+
+// Compact support polynomial (1 - a²)³
+registerMetaballKernel('polynomial', {
+  threshold: 0.421875, // (1 - 0.5²)³
+  field(ball, sqrDist) {
+    const a2 = sqrDist / (ball.radius * ball.radius);
+    if (a2 >= 1) { return 0; }
+    const b = 1 - a2;
+    return b * b * b;
+  },
+  derivative(ball, sqrDist) {
+    const r2 = ball.radius * ball.radius;
+    const a2 = sqrDist / r2;
+    if (a2 >= 1) { return 0; }
+    const b = 1 - a2;
+    return -3 * b * b / r2;
+  },
+  wgsl: {
+    field: /*wgsl*/`
+      let a2 = sqrDist / (ball.radius * ball.radius);
+      if (a2 >= 1.0) { return 0.0; }
+      let b = 1.0 - a2;
+      return b * b * b;
+    `,
+    derivative: /*wgsl*/`
+      let r2 = ball.radius * ball.radius;
+      let a2 = sqrDist / r2;
+      if (a2 >= 1.0) { return 0.0; }
+      let b = 1.0 - a2;
+      return -3.0 * b * b / r2;
+    `,
+  },
+});
+
+// Treats every primitive as a signed distance field with a surface halfway out to ball.radius and
+// blends them with a polynomial smooth-min. The accumulated value is the negated distance, so it
+// is positive inside the surface like the other kernels. Subtractors use a smooth-max instead.
+const SMOOTH_MIN_K = 0.1;
+
+registerMetaballKernel('smoothMin', {
+  threshold: 0,
+  initial: -1000000,
+  // Far enough that the distances around the surface are still accurate.
+  support: 2,
+  field(ball, sqrDist) {
+    return ball.radius * 0.5 - Math.sqrt(sqrDist);
+  },
+  derivative(ball, sqrDist) {
+    return sqrDist > 0 ? -0.5 / Math.sqrt(sqrDist) : 0;
+  },
+  accumulate(result, value, polarity) {
+    const a = value * polarity;
+    const h = Math.max(SMOOTH_MIN_K - Math.abs(result - a), 0) / SMOOTH_MIN_K;
+    const blend = h * h * SMOOTH_MIN_K * 0.25;
+    return polarity > 0 ? Math.max(result, a) + blend : Math.min(result, a) - blend;
+  },
+  // The blend term shifts weight between the two sides as they get close to each other.
+  gradientWeights(result, value, polarity, out) {
+    const a = value * polarity;
+    const h = Math.max(SMOOTH_MIN_K - Math.abs(result - a), 0) / SMOOTH_MIN_K;
+    const shift = h * Math.sign(result - a) * 0.5;
+    const resultWeight = (polarity > 0 ? result > a : result < a) ? 1 : 0;
+    const blendSign = polarity > 0 ? 1 : -1;
+    out[0] = resultWeight - shift * blendSign;
+    out[1] = ((1 - resultWeight) + shift * blendSign) * polarity;
+    return out;
+  },
+  wgsl: {
+    field: /*wgsl*/`
+      return ball.radius * 0.5 - sqrt(sqrDist);
+    `,
+    derivative: /*wgsl*/`
+      if (sqrDist <= 0.0) { return 0.0; }
+      return -0.5 / sqrt(sqrDist);
+    `,
+    accumulate: /*wgsl*/`
+      let k = ${SMOOTH_MIN_K};
+      let a = value * polarity;
+      let h = max(k - abs(result - a), 0.0) / k;
+      let blend = h * h * k * 0.25;
+      if (polarity > 0.0) {
+        return max(result, a) + blend;
+      }
+      return min(result, a) - blend;
+    `,
+    gradientWeights: /*wgsl*/`
+      let k = ${SMOOTH_MIN_K};
+      let a = value * polarity;
+      let h = max(k - abs(result - a), 0.0) / k;
+      let blendSign = select(-1.0, 1.0, polarity > 0.0);
+      let shift = h * sign(result - a) * 0.5 * blendSign;
+      var resultWeight = select(0.0, 1.0, result < a);
+      if (polarity > 0.0) {
+        resultWeight = select(0.0, 1.0, result > a);
+      }
+      return vec2f(resultWeight - shift, ((1.0 - resultWeight) + shift) * polarity);
+    `,
+  },
+});
@@ -0,0 +1,440 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { numericDerivative } from './metaball-kernels.js';
+
+//
+// Registry of the field primitives that can contribute to the metaball isosurface.
+//
+// Every primitive is reduced to a squared distance from the sample point to the primitive's
+// "skeleton" (a point, a line segment, a ring, etc.) and the falloff kernel is applied to that
+// distance. Each entry carries both a JS implementation, used by Metaballs.surfaceFunc, and the
+// equivalent WGSL function body, which is stitched into MetaballFieldComputeSource. The two MUST
+// be kept in sync or the CPU and GPU paths will render different shapes.
+//
+// The WGSL bodies have access to `ball : Metaball` and `position : vec3f`. Primitive specific
+// values are packed into `ball.params`.
+//
+// Primitives also provide a bounds function which computes the box that the primitive influences
+// given the distance at which the kernel stops contributing. Those bounds are used to bin balls
+// into the bricks of the volume. Unbounded primitives should return UNBOUNDED extents.
+//
+// Optionally, a primitive can provide the gradient of its squared distance with respect to the
+// sample point (gradient in JS, wgslGradient in WGSL, which returns a vec3f), which is used to
+// compute analytic surface normals. Primitives that don't are differentiated numerically.
+//
+// A primitive can also bring its own falloff, which is used in place of the kernel's to turn its
+// squared distance into a field value. It's given as { field, derivative, support, wgsl: { field,
+// derivative } }, with the same meaning and WGSL variables as the kernel's equivalents (see
+// metaball-kernels.js), and only field and wgsl.field are required. The values are still
+// accumulated and thresholded by the current kernel, so a falloff needs to produce values on the
+// scale that the kernels it's used with expect. To help with that the JS functions are passed the
+// current kernel as a third argument, and the WGSL bodies can call kernelField and
+// kernelDerivative. Without a support the kernel's is used.
+//
+
+export const UNBOUNDED = 1e30;
+
+// Offset used to numerically differentiate primitives that don't provide a gradient.
+const GRADIENT_EPSILON = 0.0001;
+
+function numericGradient(sqrDist) {
+  return (ball, x, y, z, out) => {
+    const e = GRADIENT_EPSILON;
+    out[0] = (sqrDist(ball, x + e, y, z) - sqrDist(ball, x - e, y, z)) / (2 * e);
+    out[1] = (sqrDist(ball, x, y + e, z) - sqrDist(ball, x, y - e, z)) / (2 * e);
+    out[2] = (sqrDist(ball, x, y, z + e) - sqrDist(ball, x, y, z - e)) / (2 * e);
+    return out;
+  };
+}
+
+function numericWgslGradient(name) {
+  return /*wgsl*/`
+    let e = ${GRADIENT_EPSILON};
+    return vec3f(
+      ${name}SqrDist(ball, position + vec3f(e, 0.0, 0.0)) - ${name}SqrDist(ball, position - vec3f(e, 0.0, 0.0)),
+      ${name}SqrDist(ball, position + vec3f(0.0, e, 0.0)) - ${name}SqrDist(ball, position - vec3f(0.0, e, 0.0)),
+      ${name}SqrDist(ball, position + vec3f(0.0, 0.0, e)) - ${name}SqrDist(ball, position - vec3f(0.0, 0.0, e))
+    ) / (2.0 * e);
+  `;
+}
+
+function numericWgslFalloffDerivative(name) {
+  return /*wgsl*/`
+    let lo = max(sqrDist - ${GRADIENT_EPSILON}, 0.0);
+    let hi = sqrDist + ${GRADIENT_EPSILON};
+    return (${name}Falloff(ball, hi) - ${name}Falloff(ball, lo)) / (hi - lo);
+  `;
+}
+
+// Builds a falloff that evaluates the kernel's at a remapped squared distance, which keeps the
+// values on the kernel's scale whichever kernel is used. remap takes the squared distance as a
+// fraction of ball.radius² (a2 in WGSL) and returns the one to evaluate the kernel at, and
+// remapDerivative its derivative. Remaps should keep 0.25, where the normalized kernels put the
+// surface of an isolated ball, in place so that the falloff changes how the primitive blends
+// rather than how big it is.
+function remappedFalloff(remap, remapDerivative, wgsl) {
+  return {
+    field(ball, sqrDist, kernel) {
+      const r2 = ball.radius * ball.radius;
+      return kernel.field(ball, remap(ball, sqrDist / r2) * r2);
+    },
+    derivative(ball, sqrDist, kernel) {
+      const r2 = ball.radius * ball.radius;
+      const a2 = sqrDist / r2;
+      return kernel.derivative(ball, remap(ball, a2) * r2) * remapDerivative(ball, a2);
+    },
+    wgsl: {
+      field: /*wgsl*/`
+        let r2 = ball.radius * ball.radius;
+        let a2 = sqrDist / r2;
+        return kernelField(ball, (${wgsl.remap}) * r2);
+      `,
+      derivative: /*wgsl*/`
+        let r2 = ball.radius * ball.radius;
+        let a2 = sqrDist / r2;
+        return kernelDerivative(ball, (${wgsl.remap}) * r2) * (${wgsl.remapDerivative});
+      `,
+    },
+  };
+}
+
+// Falloff that matches the kernel's out to the surface of an isolated ball and then drops off
+// sharpness times faster, given by a function of the ball so that it can depend on its params.
+function sharpenedFalloff(sharpness, wgslSharpness) {
+  return remappedFalloff(
+    (ball, a2) => a2 > 0.25 ? 0.25 + (a2 - 0.25) * sharpness(ball) : a2,
+    (ball, a2) => a2 > 0.25 ? sharpness(ball) : 1, {
+      remap: `select(a2, 0.25 + (a2 - 0.25) * (${wgslSharpness}), a2 > 0.25)`,
+      remapDerivative: `select(1.0, ${wgslSharpness}, a2 > 0.25)`,
+    });
+}
+
+function createFalloff(name, falloff) {
+  if (!falloff.field || !falloff.wgsl?.field) {
+    throw new Error(`Metaball primitive "${name}" falloff must specify field and wgsl.field`);
+  }
+  return {
+    field: falloff.field,
+    derivative: falloff.derivative ?? numericDerivative(falloff.field),
+    support: falloff.support ?? null,
+    wgsl: {
+      field: falloff.wgsl.field,
+      derivative: falloff.wgsl.derivative ?? numericWgslFalloffDerivative(name),
+    },
+  };
+}
+
+export const MetaballPrimitives = new Map();
+
+export function registerMetaballPrimitive(name, primitive) {
+  if (MetaballPrimitives.has(name)) {
+    throw new Error(`Metaball primitive "${name}" is already registered`);
+  }
+  if (!primitive.sqrDist || !primitive.wgsl || !primitive.bounds) {
+    throw new Error(`Metaball primitive "${name}" must specify sqrDist, bounds and wgsl`);
+  }
+
+  const entry = {
+    name,
+    id: MetaballPrimitives.size,
+    sqrDist: primitive.sqrDist,
+    bounds: primitive.bounds,
+    wgsl: primitive.wgsl,
+    gradient: primitive.gradient ?? numericGradient(primitive.sqrDist),
+    wgslGradient: primitive.wgslGradient ?? numericWgslGradient(name),
+    // Null to use the kernel's falloff.
+    falloff: primitive.falloff ? createFalloff(name, primitive.falloff) : null,
+  };
+  MetaballPrimitives.set(name, entry);
+  return entry;
+}
+
+export function getMetaballPrimitive(name) {
+  const primitive = MetaballPrimitives.get(name);
+  if (!primitive) {
+    throw new Error(`Unknown metaball primitive "${name}"`);
+  }
+  return primitive;
+}
+
+// A classic point blob.
+const PointPrimitive = {
+  sqrDist(ball, x, y, z) {
+    const dx = x - ball.position[0];
+    const dy = y - ball.position[1];
+    const dz = z - ball.position[2];
+    return dx*dx + dy*dy + dz*dz;
+  },
+  gradient(ball, x, y, z, out) {
+    out[0] = 2 * (x - ball.position[0]);
+    out[1] = 2 * (y - ball.position[1]);
+    out[2] = 2 * (z - ball.position[2]);
+    return out;
+  },
+  bounds(ball, support, min, max) {
+    for (let i = 0; i < 3; ++i) {
+      min[i] = ball.position[i] - support;
+      max[i] = ball.position[i] + support;
+    }
+  },
+  wgsl: /*wgsl*/`
+    let d = position - ball.position;
+    return dot(d, d);
+  `,
+  wgslGradient: /*wgsl*/`
+    return 2.0 * (position - ball.position);
+  `,
+};
+
+registerMetaballPrimitive('point', PointPrimitive);
+
+// A point blob meant to be added with a negative polarity. Its field drops off sharply outside of
+// the surface it carves away so that it cuts a crisp hole rather than denting everything around it.
+registerMetaballPrimitive('subtractor', {
+  ...PointPrimitive,
+  falloff: sharpenedFalloff(() => 3, '3.0'),
+});
+
+// Line segment from position to params.xyz.
+registerMetaballPrimitive('capsule', {
+  sqrDist(ball, x, y, z) {
+    const a = ball.position;
+    const b = ball.params;
+    const abx = b[0] - a[0];
+    const aby = b[1] - a[1];
+    const abz = b[2] - a[2];
+    const apx = x - a[0];
+    const apy = y - a[1];
+    const apz = z - a[2];
+    const abLen = abx*abx + aby*aby + abz*abz;
+    const t = abLen > 0 ? Math.min(Math.max((apx*abx + apy*aby + apz*abz) / abLen, 0), 1) : 0;
+    const dx = apx - abx * t;
+    const dy = apy - aby * t;
+    const dz = apz - abz * t;
+    return dx*dx + dy*dy + dz*dz;
+  },
+  // Same as the point's, from the closest point on the segment.
+  gradient(ball, x, y, z, out) {
+    const a = ball.position;
+    const b = ball.params;
+    const abx = b[0] - a[0];
+    const aby = b[1] - a[1];
+    const abz = b[2] - a[2];
+    const apx = x - a[0];
+    const apy = y - a[1];
+    const apz = z - a[2];
+    const abLen = abx*abx + aby*aby + abz*abz;
+    const t = abLen > 0 ? Math.min(Math.max((apx*abx + apy*aby + apz*abz) / abLen, 0), 1) : 0;
+    out[0] = 2 * (apx - abx * t);
+    out[1] = 2 * (apy - aby * t);
+    out[2] = 2 * (apz - abz * t);
+    return out;
+  },
+  bounds(ball, support, min, max) {
+    for (let i = 0; i < 3; ++i) {
+      min[i] = Math.min(ball.position[i], ball.params[i]) - support;
+      max[i] = Math.max(ball.position[i], ball.params[i]) + support;
+    }
+  },
+  wgsl: /*wgsl*/`
+    let ab = ball.params.xyz - ball.position;
+    let ap = position - ball.position;
+    let abLen = dot(ab, ab);
+    var t = 0.0;
+    if (abLen > 0.0) {
+      t = clamp(dot(ap, ab) / abLen, 0.0, 1.0);
+    }
+    let d = ap - ab * t;
+    return dot(d, d);
+  `,
+  wgslGradient: /*wgsl*/`
+    let ab = ball.params.xyz - ball.position;
+    let ap = position - ball.position;
+    let abLen = dot(ab, ab);
+    var t = 0.0;
+    if (abLen > 0.0) {
+      t = clamp(dot(ap, ab) / abLen, 0.0, 1.0);
+    }
+    return 2.0 * (ap - ab * t);
+  `,
+  // Blends over half the distance that a point blob would, so that chains of capsules used as limbs
+  // or tubes don't swell up where they meet.
+  falloff: sharpenedFalloff(() => 2, '2.0'),
+});
+
+// Axis-aligned ellipsoid centered on position, params.xyz scales each axis.
+registerMetaballPrimitive('ellipsoid', {
+  sqrDist(ball, x, y, z) {
+    const dx = (x - ball.position[0]) / ball.params[0];
+    const dy = (y - ball.position[1]) / ball.params[1];
+    const dz = (z - ball.position[2]) / ball.params[2];
+    return dx*dx + dy*dy + dz*dz;
+  },
+  gradient(ball, x, y, z, out) {
+    const s = ball.params;
+    out[0] = 2 * (x - ball.position[0]) / (s[0] * s[0]);
+    out[1] = 2 * (y - ball.position[1]) / (s[1] * s[1]);
+    out[2] = 2 * (z - ball.position[2]) / (s[2] * s[2]);
+    return out;
+  },
+  bounds(ball, support, min, max) {
+    for (let i = 0; i < 3; ++i) {
+      min[i] = ball.position[i] - Math.abs(ball.params[i]) * support;
+      max[i] = ball.position[i] + Math.abs(ball.params[i]) * support;
+    }
+  },
+  wgsl: /*wgsl*/`
+    let d = (position - ball.position) / ball.params.xyz;
+    return dot(d, d);
+  `,
+  wgslGradient: /*wgsl*/`
+    return 2.0 * (position - ball.position) / (ball.params.xyz * ball.params.xyz);
+  `,
+  // The scaled distance stretches the blend out along the long axes, so it's sharpened by the
+  // aspect ratio to blend over roughly the distance that it does along the shortest one.
+  falloff: sharpenedFalloff((ball) => {
+    const s = ball.params;
+    const longest = Math.max(Math.abs(s[0]), Math.abs(s[1]), Math.abs(s[2]));
+    const shortest = Math.min(Math.abs(s[0]), Math.abs(s[1]), Math.abs(s[2]));
+    return longest / Math.max(shortest, 0.000001);
+  }, /*wgsl*/`
+    max(abs(ball.params.x), max(abs(ball.params.y), abs(ball.params.z))) /
+    max(min(abs(ball.params.x), min(abs(ball.params.y), abs(ball.params.z))), 0.000001)
+  `),
+});
+
+const TORUS_MAX_SHARPNESS = 8;
+
+// Ring centered on position around the (normalized) params.xyz axis with a radius of params.w.
+registerMetaballPrimitive('torus', {
+  sqrDist(ball, x, y, z) {
+    const n = ball.params;
+    const qx = x - ball.position[0];
+    const qy = y - ball.position[1];
+    const qz = z - ball.position[2];
+    const h = qx*n[0] + qy*n[1] + qz*n[2];
+    const rx = qx - n[0] * h;
+    const ry = qy - n[1] * h;
+    const rz = qz - n[2] * h;
+    const ring = Math.sqrt(rx*rx + ry*ry + rz*rz) - n[3];
+    return ring*ring + h*h;
+  },
+  // The ring term pulls towards the closest point on the ring within the plane of the ring, and the
+  // height term along the axis.
+  gradient(ball, x, y, z, out) {
+    const n = ball.params;
+    const qx = x - ball.position[0];
+    const qy = y - ball.position[1];
+    const qz = z - ball.position[2];
+    const h = qx*n[0] + qy*n[1] + qz*n[2];
+    const rx = qx - n[0] * h;
+    const ry = qy - n[1] * h;
+    const rz = qz - n[2] * h;
+    const rLen = Math.sqrt(rx*rx + ry*ry + rz*rz);
+    const ringScale = rLen > 0 ? 2 * (rLen - n[3]) / rLen : 0;
+    out[0] = rx * ringScale + 2 * h * n[0];
+    out[1] = ry * ringScale + 2 * h * n[1];
+    out[2] = rz * ringScale + 2 * h * n[2];
+    return out;
+  },
+  // Conservatively treated as a sphere enclosing the whole ring.
+  bounds(ball, support, min, max) {
+    const extent = ball.params[3] + support;
+    for (let i = 0; i < 3; ++i) {
+      min[i] = ball.position[i] - extent;
+      max[i] = ball.position[i] + extent;
+    }
+  },
+  wgsl: /*wgsl*/`
+    let q = position - ball.position;
+    let h = dot(q, ball.params.xyz);
+    let ring = length(q - ball.params.xyz * h) - ball.params.w;
+    return ring*ring + h*h;
+  `,
+  wgslGradient: /*wgsl*/`
+    let q = position - ball.position;
+    let h = dot(q, ball.params.xyz);
+    let r = q - ball.params.xyz * h;
+    let rLen = length(r);
+    var ringScale = 0.0;
+    if (rLen > 0.0) {
+      ringScale = 2.0 * (rLen - ball.params.w) / rLen;
+    }
+    return r * ringScale + 2.0 * h * ball.params.xyz;
+  `,
+  // Sharpened so that the field has fallen to zero by the middle of the ring, which keeps the hole
+  // open for as long as the ring is wider than the tube around it.
+  falloff: sharpenedFalloff((ball) => {
+    const hole = (ball.params[3] * ball.params[3]) / (ball.radius * ball.radius) - 0.25;
+    return hole > 0 ? Math.min(Math.max(0.75 / hole, 1), TORUS_MAX_SHARPNESS) : TORUS_MAX_SHARPNESS;
+  }, /*wgsl*/`
+    clamp(0.75 / max((ball.params.w * ball.params.w) / (ball.radius * ball.radius) - 0.25, 0.000001),
+          1.0, ${TORUS_MAX_SHARPNESS.toFixed(1)})
+  `),
+});
+
+// Squared fraction of ball.radius behind which the plane's field is held constant.
+const PLANE_CORE = 0.01;
+
+// Half-space passing through position with the (normalized) params.xyz normal. Everything behind
+// the plane is considered to be inside the surface.
+registerMetaballPrimitive('plane', {
+  sqrDist(ball, x, y, z) {
+    const n = ball.params;
+    const d = Math.max((x - ball.position[0]) * n[0] +
+                       (y - ball.position[1]) * n[1] +
+                       (z - ball.position[2]) * n[2], 0);
+    return d*d;
+  },
+  gradient(ball, x, y, z, out) {
+    const n = ball.params;
+    const d = Math.max((x - ball.position[0]) * n[0] +
+                       (y - ball.position[1]) * n[1] +
+                       (z - ball.position[2]) * n[2], 0);
+    out[0] = 2 * d * n[0];
+    out[1] = 2 * d * n[1];
+    out[2] = 2 * d * n[2];
+    return out;
+  },
+  bounds(ball, support, min, max) {
+    for (let i = 0; i < 3; ++i) {
+      min[i] = -UNBOUNDED;
+      max[i] = UNBOUNDED;
+    }
+  },
+  wgsl: /*wgsl*/`
+    let d = max(dot(position - ball.position, ball.params.xyz), 0.0);
+    return d*d;
+  `,
+  wgslGradient: /*wgsl*/`
+    let d = max(dot(position - ball.position, ball.params.xyz), 0.0);
+    return 2.0 * d * ball.params.xyz;
+  `,
+  // The squared distance is zero for the whole half-space behind the plane, where a kernel like
+  // inverseSquare peaks at millions and swamps anything blended with or carved out of it. Holding
+  // the field at its value a tenth of the way out keeps it well inside the surface but finite.
+  falloff: remappedFalloff(
+    (ball, a2) => Math.max(a2, PLANE_CORE),
+    (ball, a2) => a2 > PLANE_CORE ? 1 : 0, {
+      remap: `max(a2, ${PLANE_CORE})`,
+      remapDerivative: `select(0.0, 1.0, a2 > ${PLANE_CORE})`,
+    }),
+});
@@ -19,32 +19,23 @@
 // SOFTWARE.
 
 import { vec3 } from 'gl-matrix';
+import { getMetaballPrimitive } from './metaball-primitives.js';
+import { MetaballField } from './metaball-field.js';
+import { ClickToReleaseAnimation } from './metaball-animation.js';
 
-const TMP_VEC3 = vec3.create();
-
-export class Metaballs {
+export class Metaballs extends MetaballField {
   constructor() {
-    this.balls = [];
+    super();
+    this.animation = new ClickToReleaseAnimation();
   }
 
-  updateBalls(timestamp) {
-    this.clearBalls();
+  setAnimation(animation) {
+    this.animation = animation;
+  }
 
-    // Stolen and tweaked from https://www.clicktorelease.com/code/bumpy-metaballs/
-    const t = timestamp * 0.0005;
-    const numblobs = 16;
-    const subtract = 12;
-    const strength = 5 / ( ( Math.sqrt( numblobs ) - 1 ) / 4 + 1 );
-    
-    for (let i = 0; i < numblobs; i++) {
-      const position = [
-        Math.cos(i + 1.12 * t * 0.21 * Math.sin((0.72 + 0.83 * i))) * 0.5,
-        (Math.sin(i + 1.26 * t * (1.03 + 0.5 * Math.cos(0.21 * i))) + 1.0) * 1.0,
-        Math.cos(i + 1.32 * t * 0.1 * Math.sin((0.92 + 0.53 * i))) * 0.5,
-      ];
-      
-      this.addBall(position, strength, subtract);
-    }
+  // Advances the current animation by timeDelta milliseconds.
+  updateBalls(timeDelta) {
+    this.animation.update(this, timeDelta);
   }
 
   clearBalls() {
@@ -52,34 +43,48 @@ export class Metaballs {
   }
 
   addBall(position, strength, subtract) {
+    return this.addPrimitive('point', position, null, strength, subtract);
+  }
+
+  // Works like a regular ball, but carves its volume out of the surrounding surface.
+  addSubtractor(position, strength, subtract) {
+    return this.addPrimitive('subtractor', position, null, strength, subtract, true);
+  }
+
+  addCapsule(start, end, strength, subtract) {
+    return this.addPrimitive('capsule', start, [end[0], end[1], end[2], 0], strength, subtract);
+  }
+
+  addEllipsoid(position, scale, strength, subtract) {
+    return this.addPrimitive('ellipsoid', position, [scale[0], scale[1], scale[2], 0], strength, subtract);
+  }
+
+  addTorus(position, axis, ringRadius, strength, subtract) {
+    const normal = vec3.normalize(vec3.create(), axis);
+    return this.addPrimitive('torus', position, [normal[0], normal[1], normal[2], ringRadius], strength, subtract);
+  }
+
+  addPlane(position, normal, strength, subtract) {
+    const n = vec3.normalize(vec3.create(), normal);
+    return this.addPrimitive('plane', position, [n[0], n[1], n[2], 0], strength, subtract);
+  }
+
+  addPrimitive(type, position, params, strength, subtract, negative = false) {
     let ball = {
+      type,
+      primitive: getMetaballPrimitive(type),
       position,
+      params: params ?? [0, 0, 0, 0],
+      // Distance from the primitive's skeleton at which it stops contributing to the field.
       radius: Math.sqrt(strength / subtract),
       strength,
       subtract,
+      polarity: negative ? -1 : 1,
+      // Box that the ball influences, updated by updateBounds()
+      boundsMin: vec3.create(),
+      boundsMax: vec3.create(),
     };
     this.balls.push(ball);
     return ball;
   }
-
-  surfaceFunc(x, y, z) {
-    // No surfaces outside "the tube"
-    /*if(x*x + z*z > 1.1) {
-      return 0;
-    }*/
-    // Always render geometry on the floor
-    if ((x*x + z*z < 1.1) && y < 0) {
-      return 100;
-    }
-
-    vec3.set(TMP_VEC3, x, y, z);
-    let result = 0;
-    for (const ball of this.balls) {
-      const val = ball.strength / (0.000001 + vec3.sqrDist(TMP_VEC3, ball.position)) - ball.subtract;
-      if (val > 0.0) {
-        result += val;
-      }
-    }
-    return result;
-  }
 }
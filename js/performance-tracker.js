@@ -60,6 +60,7 @@ export class PerformanceTracker {
     #lastFpsTime = -1;
     #frameStart;
     #tweakpane;
+    #recording = null;
     constructor() {
         // Give this one a longer buffer
         let frameJsTime = new PerformanceEntry(SampleType.cpu, 100);
@@ -75,6 +76,9 @@ export class PerformanceTracker {
         const endTime = performance.now();
         const frameTime = endTime - this.#frameStart;
         this.addSample('frameJs µs', frameTime * 1000, SampleType.cpu); // Put it in µs
+        if (this.#recording) {
+            this.#recording.frameCount++;
+        }
         this.#framesRendered++;
         if (endTime - this.#lastFpsTime >= 1000) {
             this.#updateFps(endTime);
@@ -96,8 +100,35 @@ export class PerformanceTracker {
             this.#addTweakpaneEntry(name, false);
         }
         entry.addSample(value);
+        if (this.#recording) {
+            let recorded = this.#recording.samples.get(name);
+            if (!recorded) {
+                recorded = { type: entry.type, samples: [] };
+                this.#recording.samples.set(name, recorded);
+            }
+            recorded.samples.push(value);
+        }
         return entry;
     }
+    // Keeps every sample added from now on, rather than just the last few of each entry, until
+    // stopRecording() is called. Restarts the recording if one is already in progress.
+    startRecording() {
+        this.#recording = {
+            frameCount: 0,
+            samples: new Map(),
+        };
+    }
+    // The number of frames that have ended since startRecording() was called.
+    get recordedFrameCount() {
+        return this.#recording?.frameCount ?? 0;
+    }
+    // Returns the recording, as { frameCount, samples } where samples maps each entry name to
+    // { type, samples }, or null if nothing was being recorded.
+    stopRecording() {
+        const recording = this.#recording;
+        this.#recording = null;
+        return recording;
+    }
     getEntry(name) {
         let entry = this.entries.get(name);
         if (!entry) {
@@ -20,7 +20,35 @@
 
 import { vec3, mat4 } from 'gl-matrix';
 import { Metaballs } from './metaballs.js';
+import { MetaballAnimations } from './metaball-animation.js';
 import { MarchingCubes } from './marching-cubes.js'
+import { MarchingCubesWorkerPool } from './marching-cubes-worker-pool.js';
+import { MetaballContainer } from './metaball-container.js';
+
+// Color that the lights attached to hot metaballs shift towards.
+const HOT_METABALL_LIGHT_COLOR = [1.0, 0.8, 0.4];
+
+// The box the isosurface is sampled in and the step between samples, until changed with
+// Renderer.setMetaballVolume. A null threshold uses the one for the metaballs' kernel.
+const DEFAULT_METABALL_VOLUME = {
+  xMin: -1.05,
+  xMax: 1.05,
+  xStep: 0.1,
+  yMin: -0.1,
+  yMax: 2.5,
+  yStep: 0.1,
+  zMin: -1.05,
+  zMax: 1.1,
+  zStep: 0.1,
+  threshold: null,
+};
+
+// Options for the MetaballContainer, until changed with Renderer.setMetaballContainer. A null
+// ceiling sits just under the top of the volume.
+const DEFAULT_METABALL_CONTAINER = {
+  shape: 'cylinder',
+  ceiling: null,
+};
 
 const lightFloatCount = 8;
 const lightByteSize = lightFloatCount * 4;
@@ -125,16 +153,33 @@ export class Renderer {
     this.drawMetaballs = true;
     this.marchingCubes = null;
 
+    // When non-zero the CPU marching cubes is done by a pool of this many workers instead.
+    this.metaballWorkerCount = 0;
+    this.marchingCubesWorkers = null;
+
+    // Whether the meshers compute normals from the exact gradient of the field.
+    this.metaballAnalyticNormals = false;
+
     this.xrSession = null;
 
+    // When non-zero every frame advances the metaballs by this many milliseconds, however long it
+    // actually took, so that a seeded animation plays back identically from run to run.
+    this.fixedTimeDelta = 0;
+
+    // Time from frames that didn't update the metaballs, which the next update catches up on.
+    this.skippedMetaballTime = 0;
+
     let lastTimestamp = -1;
     this.frameCallback = (timestamp) => {
       if (this.xrSession) { return; }
-      const timeDelta = lastTimestamp == -1 ? 0 : timestamp - lastTimestamp;
+      const timeDelta = this.fixedTimeDelta || (lastTimestamp == -1 ? 0 : timestamp - lastTimestamp);
       lastTimestamp = timestamp;
       this.rafId = requestAnimationFrame(this.frameCallback);
       this.frameCount++;
-      if (this.frameCount % 200 == 0) { return; }
+      if (this.frameCount % 200 == 0) {
+        this.skippedMetaballTime += timeDelta;
+        return;
+      }
 
       if (this.stats) {
         this.stats.beginFrame();
@@ -150,11 +195,14 @@ export class Renderer {
     };
 
     this.xrFrameCallback = (timestamp, xrFrame) => {
-      const timeDelta = lastTimestamp == -1 ? 0 : timestamp - lastTimestamp;
+      const timeDelta = this.fixedTimeDelta || (lastTimestamp == -1 ? 0 : timestamp - lastTimestamp);
       lastTimestamp = timestamp;
       this.rafId = this.xrSession.requestAnimationFrame(this.xrFrameCallback);
       this.frameCount++;
-      if (this.frameCount % 200 == 0) { return; }
+      if (this.frameCount % 200 == 0) {
+        this.skippedMetaballTime += timeDelta;
+        return;
+      }
 
       if (this.stats) {
         this.stats.beginFrame();
@@ -274,30 +322,123 @@ export class Renderer {
     }
   }
 
+  setMetaballAnimation(animation, seed = 0) {
+    const animationConstructor = MetaballAnimations[animation];
+    if (!animationConstructor) {
+      throw new Error(`Unknown metaball animation "${animation}"`);
+    }
+    const metaballAnimation = new animationConstructor(seed);
+    if (this.metaballContainer) {
+      metaballAnimation.setContainer?.(this.metaballContainer);
+    }
+    this.metaballs.setAnimation(metaballAnimation);
+  }
+
+  // Thresholds only make sense for the kernel they were chosen for, so this also resets the volume
+  // to use the new kernel's threshold.
+  setMetaballKernel(kernel) {
+    this.metaballs.setKernel(kernel);
+    if (this.metaballVolume) {
+      this.setMetaballVolume({ threshold: null });
+    }
+  }
+
+  // Switches between normals computed from the exact gradient of the field and from central
+  // differences of the volume, for the methods that support it.
+  setMetaballAnalyticNormals(enabled) {
+    this.metaballAnalyticNormals = enabled;
+    // The meshers read this from the volume, so they need to be rebuilt.
+    if (this.metaballVolume) {
+      this.setMetaballVolume({});
+    }
+  }
+
   setMetaballStep(step) {
-    this.marchingCubes = new MarchingCubes({
-      xMin: -1.05,
-      xMax: 1.05,
-      xStep: step,
-      yMin: -0.1,
-      yMax: 2.5,
-      yStep: step,
-      zMin: -1.05,
-      zMax: 1.1,
-      zStep: step,
-    });
-  }
-
-  updateMetaballs(timestamp) {
-    this.metaballs.updateBalls(timestamp);
+    this.setMetaballVolume({ xStep: step, yStep: step, zStep: step });
+  }
+
+  // Changes any of the bounds (xMin, xMax, etc.), per-axis steps (xStep, yStep, zStep) or threshold
+  // of the volume the isosurface is sampled in. Values that aren't given are left as they are, and a
+  // null threshold uses the kernel's. Every mesher is rebuilt to match, along with the GPU resources
+  // of the current method in renderers that have them.
+  setMetaballVolume(volume) {
+    const settings = Object.assign({}, this.metaballVolumeSettings ?? DEFAULT_METABALL_VOLUME, volume);
+    for (const axis of ['x', 'y', 'z']) {
+      if (!(settings[`${axis}Step`] > 0)) {
+        throw new Error(`Metaball volume ${axis}Step must be greater than 0`);
+      }
+      if (!(settings[`${axis}Max`] > settings[`${axis}Min`])) {
+        throw new Error(`Metaball volume ${axis}Max must be greater than ${axis}Min`);
+      }
+    }
+    this.metaballVolumeSettings = settings;
+
+    this.metaballVolume = {
+      xMin: settings.xMin,
+      xMax: settings.xMax,
+      xStep: settings.xStep,
+      yMin: settings.yMin,
+      yMax: settings.yMax,
+      yStep: settings.yStep,
+      zMin: settings.zMin,
+      zMax: settings.zMax,
+      zStep: settings.zStep,
+      threshold: settings.threshold ?? this.metaballs.threshold,
+      analyticNormals: this.metaballAnalyticNormals,
+    };
+    this.marchingCubes = new MarchingCubes(this.metaballVolume);
+    this.setMetaballWorkers(this.metaballWorkerCount);
+
+    // The container's default ceiling depends on the volume.
+    this.setMetaballContainer({});
+  }
+
+  // Changes the shape (cylinder, box, lamp or any other registered MetaballContainer shape) and
+  // options of the container that the simulated balls are kept in and that clips and/or caps the
+  // isosurface. Options that aren't given are left as they are. Since the container is part of the
+  // field every method picks it up on its next update.
+  setMetaballContainer(options) {
+    const settings = Object.assign({}, this.metaballContainerSettings ?? DEFAULT_METABALL_CONTAINER, options);
+    const yMax = (this.metaballVolumeSettings ?? DEFAULT_METABALL_VOLUME).yMax;
+    this.metaballContainer = new MetaballContainer(Object.assign({}, settings, {
+      ceiling: settings.ceiling ?? yMax - 0.1,
+    }));
+    this.metaballContainerSettings = settings;
+
+    this.metaballs.setContainer(this.metaballContainer);
+    this.metaballs.animation.setContainer?.(this.metaballContainer);
+  }
+
+  // Moves the CPU marching cubes into a pool of workerCount workers, or back to the main thread if
+  // workerCount is 0.
+  setMetaballWorkers(workerCount) {
+    this.metaballWorkerCount = workerCount;
+    this.marchingCubesWorkers?.destroy();
+    this.marchingCubesWorkers = null;
+    if (workerCount && this.metaballVolume) {
+      this.marchingCubesWorkers = new MarchingCubesWorkerPool(this.metaballVolume, workerCount);
+    }
+  }
+
+  updateMetaballs(timestamp, timeDelta = 0) {
+    this.metaballs.updateBalls(this.skippedMetaballTime + timeDelta);
+    this.skippedMetaballTime = 0;
 
     // Attach a light to each ball
     let lightIndex = this.sceneLightCount;
     for (const ball of this.metaballs.balls) {
+      if (lightIndex >= this.lightManager.maxLightCount) { break; }
+
       let light = this.lightManager.lights[lightIndex];
       light.static = true;
 
-      vec3.copy(light.color, this.metaballLightColor);
+      if (ball.temperature !== undefined) {
+        // Hotter balls glow brighter and shift towards white.
+        vec3.scale(light.color, this.metaballLightColor, 0.25 + ball.temperature * 0.75);
+        vec3.lerp(light.color, light.color, HOT_METABALL_LIGHT_COLOR, ball.temperature * ball.temperature * 0.5);
+      } else {
+        vec3.copy(light.color, this.metaballLightColor);
+      }
       light.intensity = 4;
       vec3.copy(light.position, ball.position);
 
@@ -323,7 +464,7 @@ export class Renderer {
     //this.timeArray[0] = timestamp;
 
     if (this.drawMetaballs) {
-      this.updateMetaballs(timestamp);
+      this.updateMetaballs(timestamp, timeDelta);
     }
   }
 
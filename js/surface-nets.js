@@ -0,0 +1,349 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+//
+// Triangulates an isosurface using Surface Nets, a dual method that places a single vertex inside
+// every cell that the surface passes through and connects the vertices of the four cells around
+// each edge that crosses the surface with a quad. This produces far fewer, better shaped triangles
+// than Marching Cubes.
+//
+// Operates on the same volume as MarchingCubes (and so can share one that has already been filled
+// by MarchingCubes.updateVolume) and implements the same generateMesh(arrays, threshold) contract.
+//
+
+import { reportMeshOverflow } from "./mesh-overflow.js";
+
+// Offsets of the corners of a cell, indexed by bit (x = 1, y = 2, z = 4).
+export const CELL_CORNERS = [
+  [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+  [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1],
+];
+
+// The pairs of corners connected by each edge of a cell.
+export const CELL_EDGES = [
+  [0, 1], [2, 3], [4, 5], [6, 7], // X
+  [0, 2], [1, 3], [4, 6], [5, 7], // Y
+  [0, 4], [1, 5], [2, 6], [3, 7], // Z
+];
+
+// Number of bits set in a three bit mask.
+function popcount3(mask) {
+  return (mask & 1) + ((mask >> 1) & 1) + ((mask >> 2) & 1);
+}
+
+export class SurfaceNets extends EventTarget {
+  // Upper bounds used to size the output buffers. Each cell has a single vertex and emits a quad for
+  // each of the three edges that start at its first corner.
+  static maxVerticesPerVoxel = 1;
+  static maxIndicesPerCell = 18;
+
+  constructor(volume) {
+    super();
+
+    this.volume = volume;
+
+    // Index of the vertex generated for each cell during the current call to generateMesh, or -1
+    // if the surface doesn't pass through it.
+    this.cellVertices = new Int32Array((volume.width-1) * (volume.height-1) * (volume.depth-1));
+
+    // Statistics about the last call to generateMesh
+    this.stats = {
+      triangulatedCells: 0,
+    };
+
+    this.valueCache = new Float32Array(8);
+    this.gradientCache = new Float32Array(8 * 3);
+
+    // Where the surface crosses each edge of the current cell, in cell-local [0, 1] coordinates, and
+    // the gradient of the field at those points.
+    this.crossingCount = 0;
+    this.crossings = new Float32Array(12 * 3);
+    this.crossingNormals = new Float32Array(12 * 3);
+
+    this.cellPosition = new Float32Array(3);
+  }
+
+  valueAt(i, j, k) {
+    const vol = this.volume;
+    i = Math.min(Math.max(i, 0), vol.width - 1);
+    j = Math.min(Math.max(j, 0), vol.height - 1);
+    k = Math.min(Math.max(k, 0), vol.depth - 1);
+    return vol.values[i + (j * vol.width) + (k * vol.width * vol.height)];
+  }
+
+  // Same convention as MarchingCubes.computeNormal, pointing away from the inside of the surface.
+  computeGradient(out, offset, i, j, k) {
+    out[offset] = this.valueAt(i-1, j, k) - this.valueAt(i+1, j, k);
+    out[offset+1] = this.valueAt(i, j-1, k) - this.valueAt(i, j+1, k);
+    out[offset+2] = this.valueAt(i, j, k-1) - this.valueAt(i, j, k+1);
+  }
+
+  generateMesh(arrays, threshold = this.volume.threshold) {
+    if (!arrays.positions) {
+      throw new Error('Must specify a positions array');
+    }
+    if (!arrays.indices) {
+      throw new Error('Must specify a index array');
+    }
+
+    if (!arrays.vertexOffset) {
+      arrays.vertexOffset = 0;
+    }
+    if (!arrays.indexOffset) {
+      arrays.indexOffset = 0;
+    }
+
+    arrays.maxVertices = Math.floor(arrays.positions.length / 3);
+    if (arrays.normals) {
+      arrays.maxVertices = Math.min(arrays.maxVertices, Math.floor(arrays.normals.length / 3));
+    }
+    arrays.overflow = false;
+
+    const initialIndexOffset = arrays.indexOffset;
+
+    this.stats.triangulatedCells = 0;
+    this.cellVertices.fill(-1);
+
+    // Cells are visited in order, so by the time a cell is reached every other cell around the edges
+    // that start at its first corner already has its vertex.
+    const vol = this.volume;
+    const cellWidth = vol.width - 1;
+    const cellHeight = vol.height - 1;
+    const cellDepth = vol.depth - 1;
+    let cellIndex = 0;
+    let complete = true;
+    let requiredVertices = 0;
+    let requiredIndices = 0;
+    for (let k = 0; k < cellDepth; ++k) {
+      for (let j = 0; j < cellHeight; ++j) {
+        for (let i = 0; i < cellWidth; ++i, ++cellIndex) {
+          if (complete) {
+            if (arrays.vertexOffset < arrays.maxVertices || !this.cellHasVertex(i, j, k, threshold)) {
+              const vertex = this.cellVertex(i, j, k, threshold, arrays);
+              if (vertex === -1) { continue; }
+              this.cellVertices[cellIndex] = vertex;
+
+              const indexOffset = arrays.indexOffset;
+              if (this.emitQuads(i, j, k, threshold, arrays)) { continue; }
+
+              // Out of room for the cell's quads, so the rest of the surface is left out, along with
+              // any of the cell's quads that did fit. Its vertex was added, so only its quads still
+              // need to be counted.
+              arrays.indexOffset = indexOffset;
+              complete = false;
+              requiredVertices = arrays.vertexOffset;
+              requiredIndices = arrays.indexOffset + 6 * popcount3(this.quadEdges(i, j, k, threshold));
+              continue;
+            }
+
+            // Out of room for the cell's vertex, so it and the rest of the surface are left out.
+            complete = false;
+            requiredVertices = arrays.vertexOffset;
+            requiredIndices = arrays.indexOffset;
+          }
+
+          // Keep going to measure how much room the whole mesh needs.
+          if (this.cellHasVertex(i, j, k, threshold)) {
+            requiredVertices++;
+          }
+          requiredIndices += 6 * popcount3(this.quadEdges(i, j, k, threshold));
+        }
+      }
+    }
+
+    if (!complete) {
+      reportMeshOverflow(this, arrays, requiredVertices, requiredIndices);
+    }
+
+    return arrays.indexOffset - initialIndexOffset;
+  }
+
+  cellHasVertex(i, j, k, threshold) {
+    let insideCount = 0;
+    for (const corner of CELL_CORNERS) {
+      if (this.valueAt(i + corner[0], j + corner[1], k + corner[2]) < threshold) {
+        insideCount++;
+      }
+    }
+    return insideCount > 0 && insideCount < 8;
+  }
+
+  // Generates the vertex for cell (i, j, k) and returns its index, or -1 if the surface doesn't pass
+  // through the cell.
+  cellVertex(i, j, k, threshold, arrays) {
+    const values = this.valueCache;
+    let cornerMask = 0;
+    for (let c = 0; c < 8; ++c) {
+      const corner = CELL_CORNERS[c];
+      values[c] = this.valueAt(i + corner[0], j + corner[1], k + corner[2]);
+      if (values[c] < threshold) {
+        cornerMask |= 1 << c;
+      }
+    }
+
+    // Cell is entirely in/out of the surface
+    if (cornerMask === 0 || cornerMask === 255) {
+      return -1;
+    }
+    this.stats.triangulatedCells++;
+
+    const gradients = this.gradientCache;
+    for (let c = 0; c < 8; ++c) {
+      const corner = CELL_CORNERS[c];
+      this.computeGradient(gradients, c*3, i + corner[0], j + corner[1], k + corner[2]);
+    }
+
+    // Find where the surface crosses the edges of the cell.
+    const crossings = this.crossings;
+    const crossingNormals = this.crossingNormals;
+    let crossingCount = 0;
+    for (const [a, b] of CELL_EDGES) {
+      if (((cornerMask >> a) & 1) === ((cornerMask >> b) & 1)) { continue; }
+
+      const mu = (threshold - values[a]) / (values[b] - values[a]);
+      const offset = crossingCount * 3;
+      for (let axis = 0; axis < 3; ++axis) {
+        crossings[offset + axis] = CELL_CORNERS[a][axis] + (CELL_CORNERS[b][axis] - CELL_CORNERS[a][axis]) * mu;
+        crossingNormals[offset + axis] = gradients[a*3 + axis] + (gradients[b*3 + axis] - gradients[a*3 + axis]) * mu;
+      }
+      crossingCount++;
+    }
+    this.crossingCount = crossingCount;
+
+    const p = this.cellPosition;
+    this.placeVertex(p);
+
+    const vol = this.volume;
+    const index = arrays.vertexOffset++;
+    const offset = index * 3;
+    arrays.positions[offset] = vol.xMin + (vol.xStep * (i + p[0]));
+    arrays.positions[offset+1] = vol.yMin + (vol.yStep * (j + p[1]));
+    arrays.positions[offset+2] = vol.zMin + (vol.zStep * (k + p[2]));
+
+    if (arrays.normals) {
+      // Trilinearly interpolate the corner gradients, which gives smooth normals across cells.
+      for (let axis = 0; axis < 3; ++axis) {
+        let normal = 0;
+        for (let c = 0; c < 8; ++c) {
+          const corner = CELL_CORNERS[c];
+          const weight = (corner[0] ? p[0] : 1 - p[0]) *
+                         (corner[1] ? p[1] : 1 - p[1]) *
+                         (corner[2] ? p[2] : 1 - p[2]);
+          normal += gradients[c*3 + axis] * weight;
+        }
+        arrays.normals[offset + axis] = normal;
+      }
+    }
+
+    return index;
+  }
+
+  // Computes the cell-local position of the current cell's vertex from its edge crossings. Surface
+  // Nets simply uses their average.
+  placeVertex(out) {
+    const crossings = this.crossings;
+    out[0] = out[1] = out[2] = 0;
+    for (let n = 0; n < this.crossingCount; ++n) {
+      out[0] += crossings[n*3];
+      out[1] += crossings[n*3+1];
+      out[2] += crossings[n*3+2];
+    }
+    out[0] /= this.crossingCount;
+    out[1] /= this.crossingCount;
+    out[2] /= this.crossingCount;
+  }
+
+  // Which of the three edges starting at the first corner of cell (i, j, k) get a quad, as a mask of
+  // their axes (x = 1, y = 2, z = 4): those that cross the surface and aren't on the edge of the
+  // volume.
+  quadEdges(i, j, k, threshold) {
+    const inside = this.valueAt(i, j, k) >= threshold;
+    let edges = 0;
+    if (j > 0 && k > 0 && inside !== (this.valueAt(i+1, j, k) >= threshold)) { edges |= 1; }
+    if (i > 0 && k > 0 && inside !== (this.valueAt(i, j+1, k) >= threshold)) { edges |= 2; }
+    if (i > 0 && j > 0 && inside !== (this.valueAt(i, j, k+1) >= threshold)) { edges |= 4; }
+    return edges;
+  }
+
+  // Connects the vertices of the cells around each of the three edges starting at the first corner
+  // of cell (i, j, k), if that edge crosses the surface and isn't on the edge of the volume.
+  emitQuads(i, j, k, threshold, arrays) {
+    const inside = this.valueAt(i, j, k) >= threshold;
+    const edges = this.quadEdges(i, j, k, threshold);
+
+    if (edges & 1) {
+      if (!this.emitQuad(arrays, inside,
+          this.cellVertexAt(i, j-1, k-1), this.cellVertexAt(i, j, k-1),
+          this.cellVertexAt(i, j, k), this.cellVertexAt(i, j-1, k))) {
+        return false;
+      }
+    }
+
+    if (edges & 2) {
+      if (!this.emitQuad(arrays, inside,
+          this.cellVertexAt(i-1, j, k-1), this.cellVertexAt(i-1, j, k),
+          this.cellVertexAt(i, j, k), this.cellVertexAt(i, j, k-1))) {
+        return false;
+      }
+    }
+
+    if (edges & 4) {
+      if (!this.emitQuad(arrays, inside,
+          this.cellVertexAt(i-1, j-1, k), this.cellVertexAt(i, j-1, k),
+          this.cellVertexAt(i, j, k), this.cellVertexAt(i-1, j, k))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  cellVertexAt(i, j, k) {
+    const vol = this.volume;
+    return this.cellVertices[i + (j * (vol.width-1)) + (k * (vol.width-1) * (vol.height-1))];
+  }
+
+  // Quads are given counter-clockwise when viewed from the positive end of their edge, and are
+  // flipped when the surface faces the other way.
+  emitQuad(arrays, facesPositive, a, b, c, d) {
+    if (arrays.indexOffset + 6 > arrays.indices.length) {
+      // Not enough space in the index arrays for any more triangles.
+      return false;
+    }
+
+    const indices = arrays.indices;
+    if (facesPositive) {
+      indices[arrays.indexOffset++] = a;
+      indices[arrays.indexOffset++] = b;
+      indices[arrays.indexOffset++] = c;
+      indices[arrays.indexOffset++] = a;
+      indices[arrays.indexOffset++] = c;
+      indices[arrays.indexOffset++] = d;
+    } else {
+      indices[arrays.indexOffset++] = a;
+      indices[arrays.indexOffset++] = c;
+      indices[arrays.indexOffset++] = b;
+      indices[arrays.indexOffset++] = a;
+      indices[arrays.indexOffset++] = d;
+      indices[arrays.indexOffset++] = c;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,320 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import {
+  MarchingCubesEdgeTable,
+  MarchingCubesTriTable,
+} from "./marching-cubes-tables.js";
+import { ContainerRegion } from "./metaball-container.js";
+import { reportMeshOverflow } from "./mesh-overflow.js";
+
+//
+// Runs the same field evaluation and Marching Cubes triangulation as MarchingCubes, but in
+// WebAssembly (see wasm/marching-cubes.wat), with the field evaluated four voxels at a time using
+// SIMD. The generated mesh is left in the WASM heap so that it can be uploaded from there directly.
+//
+// Unlike MarchingCubes the whole volume is evaluated and triangulated every time, and the normals
+// are always computed from the volume (ignoring volume.analyticNormals), with clamped samples at its
+// edges.
+//
+
+const WASM_URL = new URL('./wasm/marching-cubes.wasm', import.meta.url);
+const WASM_PAGE_SIZE = 65536;
+
+// Byte offsets of the values in the header at the start of memory. Must match the .wat file.
+const HEADER = {
+  width: 0,
+  height: 4,
+  depth: 8,
+  ballCount: 12,
+  xMin: 16,
+  yMin: 20,
+  zMin: 24,
+  xStep: 28,
+  yStep: 32,
+  zStep: 36,
+  threshold: 40,
+  maxVertices: 44,
+  maxIndices: 48,
+  vertexCount: 52,
+  indexCount: 56,
+  triangulatedCells: 60,
+  ballsPtr: 64,
+  valuesPtr: 68,
+  edgeVerticesPtr: 72,
+  edgeTablePtr: 76,
+  triTablePtr: 80,
+  positionsPtr: 84,
+  normalsPtr: 88,
+  indicesPtr: 92,
+  rowPtr: 96,
+  edgeInfoPtr: 100,
+  scratchPtr: 104,
+  containerMaskPtr: 108,
+  fillValue: 112,
+  emptyValue: 116,
+};
+const HEADER_SIZE = 128;
+const SCRATCH_SIZE = 128;
+
+// Floats written for each ball: position (3), radius, strength, subtract, polarity and padding.
+const WASM_BALL_SIZE = 8;
+
+// For each of the 12 cube edges: the offset of the voxel it starts at, its axis and the two
+// corners it connects, matching the edges of MarchingCubes.marchingCube.
+const EDGE_INFO = new Int32Array([
+  0, 0, 0, 0, 0, 1,
+  1, 0, 0, 1, 1, 2,
+  0, 1, 0, 0, 3, 2,
+  0, 0, 0, 1, 0, 3,
+  0, 0, 1, 0, 4, 5,
+  1, 0, 1, 1, 5, 6,
+  0, 1, 1, 0, 7, 6,
+  0, 0, 1, 1, 4, 7,
+  0, 0, 0, 2, 0, 4,
+  1, 0, 0, 2, 1, 5,
+  1, 1, 0, 2, 2, 6,
+  0, 1, 0, 2, 3, 7,
+]);
+
+function align16(value) {
+  return Math.ceil(value / 16) * 16;
+}
+
+let compiledModule = null;
+
+export class WasmMarchingCubes extends EventTarget {
+  // Same limits as MarchingCubes, since the triangulation is the same.
+  static maxVerticesPerVoxel = 3;
+  static maxIndicesPerCell = 15;
+
+  // Compiles the WASM module (once) and returns a new WasmMarchingCubes for the volume. Rejects if
+  // the browser doesn't support WebAssembly SIMD.
+  static async create(volume) {
+    if (!compiledModule) {
+      compiledModule = WebAssembly.compileStreaming(fetch(WASM_URL));
+    }
+    return new WasmMarchingCubes(volume, await compiledModule);
+  }
+
+  // volume must already have its width, height and depth computed, like MarchingCubes.volume.
+  constructor(volume, module) {
+    super();
+
+    this.volume = volume;
+
+    this.stats = {
+      triangulatedCells: 0,
+    };
+
+    const voxelCount = volume.width * volume.height * volume.depth;
+    const cellCount = (volume.width - 1) * (volume.height - 1) * (volume.depth - 1);
+    this.maxVertices = WasmMarchingCubes.maxVerticesPerVoxel * voxelCount;
+    this.maxIndices = WasmMarchingCubes.maxIndicesPerCell * cellCount;
+
+    // Lay out everything the module reads and writes. The balls go last so that there's room for
+    // more of them just by growing the memory.
+    let offset = HEADER_SIZE;
+    const allocate = (byteLength) => {
+      const ptr = offset;
+      offset = align16(offset + byteLength);
+      return ptr;
+    };
+    this.layout = {
+      edgeTablePtr: allocate(256 * 4),
+      triTablePtr: allocate(256 * 16 * 4),
+      edgeInfoPtr: allocate(EDGE_INFO.byteLength),
+      scratchPtr: allocate(SCRATCH_SIZE),
+      rowPtr: allocate(align16(volume.width * 4)),
+      valuesPtr: allocate(voxelCount * 4),
+      containerMaskPtr: allocate(voxelCount),
+      edgeVerticesPtr: allocate(voxelCount * 3 * 4),
+      positionsPtr: allocate(this.maxVertices * 3 * 4),
+      normalsPtr: allocate(this.maxVertices * 3 * 4),
+      indicesPtr: allocate(this.maxIndices * 4),
+      ballsPtr: offset,
+    };
+    this.ballCapacity = 0;
+    this.maskContainer = null;
+
+    this.memory = new WebAssembly.Memory({ initial: Math.ceil(offset / WASM_PAGE_SIZE) });
+    this.instance = new WebAssembly.Instance(module, { env: { memory: this.memory } });
+    this.updateViews();
+
+    const header = new DataView(this.memory.buffer, 0, HEADER_SIZE);
+    header.setInt32(HEADER.width, volume.width, true);
+    header.setInt32(HEADER.height, volume.height, true);
+    header.setInt32(HEADER.depth, volume.depth, true);
+    header.setFloat32(HEADER.xMin, volume.xMin, true);
+    header.setFloat32(HEADER.yMin, volume.yMin, true);
+    header.setFloat32(HEADER.zMin, volume.zMin, true);
+    header.setFloat32(HEADER.xStep, volume.xStep, true);
+    header.setFloat32(HEADER.yStep, volume.yStep, true);
+    header.setFloat32(HEADER.zStep, volume.zStep, true);
+    header.setInt32(HEADER.maxVertices, this.maxVertices, true);
+    header.setInt32(HEADER.maxIndices, this.maxIndices, true);
+    for (const [name, ptr] of Object.entries(this.layout)) {
+      header.setInt32(HEADER[name], ptr, true);
+    }
+
+    new Int32Array(this.memory.buffer, this.layout.edgeTablePtr, 256).set(MarchingCubesEdgeTable);
+    new Int32Array(this.memory.buffer, this.layout.triTablePtr, 256 * 16).set(MarchingCubesTriTable);
+    new Int32Array(this.memory.buffer, this.layout.edgeInfoPtr, EDGE_INFO.length).set(EDGE_INFO);
+  }
+
+  // Views of the heap have to be created again whenever the memory grows.
+  updateViews() {
+    const buffer = this.memory.buffer;
+    const vol = this.volume;
+    const voxelCount = vol.width * vol.height * vol.depth;
+    this.header = new DataView(buffer, 0, HEADER_SIZE);
+    this.values = new Float32Array(buffer, this.layout.valuesPtr, voxelCount);
+    this.containerMask = new Uint8Array(buffer, this.layout.containerMaskPtr, voxelCount);
+    this.positions = new Float32Array(buffer, this.layout.positionsPtr, this.maxVertices * 3);
+    this.normals = new Float32Array(buffer, this.layout.normalsPtr, this.maxVertices * 3);
+    this.indices = new Uint32Array(buffer, this.layout.indicesPtr, this.maxIndices);
+    this.balls = new Float32Array(buffer, this.layout.ballsPtr, this.ballCapacity * WASM_BALL_SIZE);
+  }
+
+  // Number of vertices generated by the last call to generateMesh.
+  get vertexCount() {
+    return this.header.getInt32(HEADER.vertexCount, true);
+  }
+
+  // The WASM module can only evaluate point balls using the inverseSquare kernel.
+  canEvaluate(isosurface) {
+    if (isosurface.kernel?.name != 'inverseSquare' || !isosurface.balls) {
+      return false;
+    }
+    for (const ball of isosurface.balls) {
+      if (ball.primitive.name != 'point') {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  updateVolume(isosurface) {
+    if (!this.canEvaluate(isosurface)) {
+      this.updateVolumeJS(isosurface);
+      return;
+    }
+
+    const balls = isosurface.balls;
+    if (balls.length > this.ballCapacity) {
+      const byteLength = this.layout.ballsPtr + balls.length * 2 * WASM_BALL_SIZE * 4;
+      if (byteLength > this.memory.buffer.byteLength) {
+        this.memory.grow(Math.ceil((byteLength - this.memory.buffer.byteLength) / WASM_PAGE_SIZE));
+      }
+      this.ballCapacity = balls.length * 2;
+      this.updateViews();
+    }
+
+    const support = isosurface.kernel.support;
+    for (let i = 0; i < balls.length; ++i) {
+      const ball = balls[i];
+      const offset = i * WASM_BALL_SIZE;
+      this.balls[offset] = ball.position[0];
+      this.balls[offset+1] = ball.position[1];
+      this.balls[offset+2] = ball.position[2];
+      this.balls[offset+3] = ball.radius * support;
+      this.balls[offset+4] = ball.strength;
+      this.balls[offset+5] = ball.subtract;
+      this.balls[offset+6] = ball.polarity;
+    }
+    this.header.setInt32(HEADER.ballCount, balls.length, true);
+
+    if (isosurface.container !== this.maskContainer) {
+      this.updateContainerMask(isosurface.container);
+    }
+    this.header.setFloat32(HEADER.fillValue, isosurface.container?.fillValue ?? 0, true);
+    this.header.setFloat32(HEADER.emptyValue, isosurface.kernel.initial, true);
+
+    this.instance.exports.updateVolume();
+  }
+
+  // Records the region of the container that each voxel is in, for the module to apply.
+  updateContainerMask(container) {
+    this.maskContainer = container;
+    if (!container) {
+      this.containerMask.fill(ContainerRegion.open);
+      return;
+    }
+
+    const vol = this.volume;
+    const mask = this.containerMask;
+    let index = 0;
+    for (let k = 0; k < vol.depth; ++k) {
+      const z = vol.zMin + (vol.zStep * k);
+      for (let j = 0; j < vol.height; ++j) {
+        const y = vol.yMin + (vol.yStep * j);
+        for (let i = 0; i < vol.width; ++i) {
+          const x = vol.xMin + (vol.xStep * i);
+          mask[index++] = container.region(x, y, z);
+        }
+      }
+    }
+  }
+
+  // Fallback for fields the module can't evaluate, which fills the values in the heap from JS.
+  updateVolumeJS(isosurface) {
+    const vol = this.volume;
+    const values = this.values;
+    let index = 0;
+    for (let k = 0; k < vol.depth; ++k) {
+      const z = vol.zMin + (vol.zStep * k);
+      for (let j = 0; j < vol.height; ++j) {
+        const y = vol.yMin + (vol.yStep * j);
+        for (let i = 0; i < vol.width; ++i) {
+          const x = vol.xMin + (vol.xStep * i);
+          values[index++] = isosurface.surfaceFunc(x, y, z);
+        }
+      }
+    }
+  }
+
+  // Triangulates the volume into the positions, normals and indices views of the heap, then copies
+  // them into arrays if it's given. Returns the number of indices. The heap always has room for the
+  // whole mesh, so if arrays doesn't nothing is copied and the overflow is reported instead (see
+  // mesh-overflow.js).
+  generateMesh(arrays = null, threshold = this.volume.threshold) {
+    this.header.setFloat32(HEADER.threshold, threshold, true);
+    const indexCount = this.instance.exports.generateMesh();
+    this.stats.triangulatedCells = this.header.getInt32(HEADER.triangulatedCells, true);
+
+    if (arrays) {
+      const vertexCount = this.vertexCount;
+      arrays.maxVertices = Math.floor(arrays.positions.length / 3);
+      if (arrays.normals) {
+        arrays.maxVertices = Math.min(arrays.maxVertices, Math.floor(arrays.normals.length / 3));
+      }
+      arrays.overflow = false;
+      if (vertexCount > arrays.maxVertices || indexCount > arrays.indices.length) {
+        reportMeshOverflow(this, arrays, vertexCount, indexCount);
+        return 0;
+      }
+
+      arrays.positions.set(this.positions.subarray(0, vertexCount * 3));
+      arrays.normals?.set(this.normals.subarray(0, vertexCount * 3));
+      arrays.indices.set(this.indices.subarray(0, indexCount));
+    }
+    return indexCount;
+  }
+}
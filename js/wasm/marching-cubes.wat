@@ -0,0 +1,419 @@
+;; Copyright 2021 Brandon Jones
+;;
+;; Permission is hereby granted, free of charge, to any person obtaining a copy
+;; of this software and associated documentation files (the "Software"), to deal
+;; in the Software without restriction, including without limitation the rights
+;; to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+;; copies of the Software, and to permit persons to whom the Software is
+;; furnished to do so, subject to the following conditions:
+
+;; The above copyright notice and this permission notice shall be included in
+;; all copies or substantial portions of the Software.
+
+;; THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+;; IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+;; FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+;; AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+;; LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+;; OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+;; SOFTWARE.
+
+;;
+;; WebAssembly version of the field evaluation and Marching Cubes triangulation done by
+;; marching-cubes.js, used by wasm-marching-cubes.js. Everything is read from and written to the
+;; imported memory, which is laid out by the JS side. After editing rebuild the binary with:
+;;
+;;   wat2wasm js/wasm/marching-cubes.wat -o js/wasm/marching-cubes.wasm
+;;
+;; The header at the start of memory (byte offsets):
+;;    0 width            4 height           8 depth           12 ballCount
+;;   16 xMin            20 yMin            24 zMin            28 xStep
+;;   32 yStep           36 zStep           40 threshold       44 maxVertices
+;;   48 maxIndices      52 vertexCount*    56 indexCount*     60 triangulatedCells*
+;;   64 ballsPtr        68 valuesPtr       72 edgeVerticesPtr 76 edgeTablePtr
+;;   80 triTablePtr     84 positionsPtr    88 normalsPtr      92 indicesPtr
+;;   96 rowPtr         100 edgeInfoPtr    104 scratchPtr     108 containerMaskPtr
+;;  112 fillValue      116 emptyValue
+;; (* written by generateMesh)
+;;
+;; Balls are 8 floats each: position (3), radius, strength, subtract, polarity and padding. Only
+;; point balls with the inverseSquare kernel are evaluated here, anything else has its values
+;; written into the volume by the JS side instead.
+;;
+;; The container mask has a byte for every voxel with its MetaballContainer region, which is
+;; computed by the JS side whenever the container changes. Voxels that are filled or emptied by the
+;; container are set to fillValue or emptyValue instead of the field of the balls.
+;;
+
+(module
+  (import "env" "memory" (memory 1))
+
+  (global $width (mut i32) (i32.const 0))
+  (global $height (mut i32) (i32.const 0))
+  (global $depth (mut i32) (i32.const 0))
+  (global $ballCount (mut i32) (i32.const 0))
+  (global $xMin (mut f32) (f32.const 0))
+  (global $yMin (mut f32) (f32.const 0))
+  (global $zMin (mut f32) (f32.const 0))
+  (global $xStep (mut f32) (f32.const 0))
+  (global $yStep (mut f32) (f32.const 0))
+  (global $zStep (mut f32) (f32.const 0))
+  (global $threshold (mut f32) (f32.const 0))
+  (global $maxVertices (mut i32) (i32.const 0))
+  (global $maxIndices (mut i32) (i32.const 0))
+  (global $ballsPtr (mut i32) (i32.const 0))
+  (global $valuesPtr (mut i32) (i32.const 0))
+  (global $edgeVerticesPtr (mut i32) (i32.const 0))
+  (global $edgeTablePtr (mut i32) (i32.const 0))
+  (global $triTablePtr (mut i32) (i32.const 0))
+  (global $positionsPtr (mut i32) (i32.const 0))
+  (global $normalsPtr (mut i32) (i32.const 0))
+  (global $indicesPtr (mut i32) (i32.const 0))
+  (global $rowPtr (mut i32) (i32.const 0))
+  (global $edgeInfoPtr (mut i32) (i32.const 0))
+  (global $scratchPtr (mut i32) (i32.const 0))
+  (global $containerMaskPtr (mut i32) (i32.const 0))
+  (global $fillValue (mut f32) (f32.const 0))
+  (global $emptyValue (mut f32) (f32.const 0))
+  (global $vertexCount (mut i32) (i32.const 0))
+
+  (func $loadHeader
+    (global.set $width (i32.load offset=0 (i32.const 0)))
+    (global.set $height (i32.load offset=4 (i32.const 0)))
+    (global.set $depth (i32.load offset=8 (i32.const 0)))
+    (global.set $ballCount (i32.load offset=12 (i32.const 0)))
+    (global.set $xMin (f32.load offset=16 (i32.const 0)))
+    (global.set $yMin (f32.load offset=20 (i32.const 0)))
+    (global.set $zMin (f32.load offset=24 (i32.const 0)))
+    (global.set $xStep (f32.load offset=28 (i32.const 0)))
+    (global.set $yStep (f32.load offset=32 (i32.const 0)))
+    (global.set $zStep (f32.load offset=36 (i32.const 0)))
+    (global.set $threshold (f32.load offset=40 (i32.const 0)))
+    (global.set $maxVertices (i32.load offset=44 (i32.const 0)))
+    (global.set $maxIndices (i32.load offset=48 (i32.const 0)))
+    (global.set $ballsPtr (i32.load offset=64 (i32.const 0)))
+    (global.set $valuesPtr (i32.load offset=68 (i32.const 0)))
+    (global.set $edgeVerticesPtr (i32.load offset=72 (i32.const 0)))
+    (global.set $edgeTablePtr (i32.load offset=76 (i32.const 0)))
+    (global.set $triTablePtr (i32.load offset=80 (i32.const 0)))
+    (global.set $positionsPtr (i32.load offset=84 (i32.const 0)))
+    (global.set $normalsPtr (i32.load offset=88 (i32.const 0)))
+    (global.set $indicesPtr (i32.load offset=92 (i32.const 0)))
+    (global.set $rowPtr (i32.load offset=96 (i32.const 0)))
+    (global.set $edgeInfoPtr (i32.load offset=100 (i32.const 0)))
+    (global.set $scratchPtr (i32.load offset=104 (i32.const 0)))
+    (global.set $containerMaskPtr (i32.load offset=108 (i32.const 0)))
+    (global.set $fillValue (f32.load offset=112 (i32.const 0)))
+    (global.set $emptyValue (f32.load offset=116 (i32.const 0))))
+
+  ;; Evaluates the field for every voxel of the volume, a row at a time. Each row is accumulated in
+  ;; a scratch row padded out to a multiple of four so that it can be processed four voxels at a
+  ;; time, and only the part of the row within each ball's radius is visited.
+  (func (export "updateVolume")
+    (local $i i32) (local $j i32) (local $k i32) (local $b i32) (local $ball i32) (local $ptr i32)
+    (local $paddedWidth i32) (local $i0 i32) (local $i1 i32)
+    (local $y f32) (local $z f32) (local $dy f32) (local $dz f32) (local $dyz2 f32) (local $r2 f32)
+    (local $bx f32) (local $xr f32)
+    (local $lanes v128) (local $x v128) (local $dx v128) (local $value v128)
+    (local $strength v128) (local $subtract v128) (local $polarity v128)
+    (local $rowOffset i32) (local $region i32)
+    (call $loadHeader)
+    (local.set $paddedWidth (i32.and (i32.add (global.get $width) (i32.const 3)) (i32.const -4)))
+    (local.set $lanes (v128.const f32x4 0 1 2 3))
+
+    (local.set $k (i32.const 0))
+    (block $doneK (loop $loopK
+      (br_if $doneK (i32.ge_s (local.get $k) (global.get $depth)))
+      (local.set $z (f32.add (global.get $zMin)
+        (f32.mul (global.get $zStep) (f32.convert_i32_s (local.get $k)))))
+
+      (local.set $j (i32.const 0))
+      (block $doneJ (loop $loopJ
+        (br_if $doneJ (i32.ge_s (local.get $j) (global.get $height)))
+        (local.set $y (f32.add (global.get $yMin)
+          (f32.mul (global.get $yStep) (f32.convert_i32_s (local.get $j)))))
+
+        (memory.fill (global.get $rowPtr) (i32.const 0)
+          (i32.shl (local.get $paddedWidth) (i32.const 2)))
+
+        (local.set $b (i32.const 0))
+        (block $doneB (loop $loopB
+          (br_if $doneB (i32.ge_s (local.get $b) (global.get $ballCount)))
+          (local.set $ball (i32.add (global.get $ballsPtr) (i32.shl (local.get $b) (i32.const 5))))
+          (local.set $dy (f32.sub (local.get $y) (f32.load offset=4 (local.get $ball))))
+          (local.set $dz (f32.sub (local.get $z) (f32.load offset=8 (local.get $ball))))
+          (local.set $dyz2 (f32.add (f32.mul (local.get $dy) (local.get $dy))
+                                    (f32.mul (local.get $dz) (local.get $dz))))
+          (local.set $r2 (f32.mul (f32.load offset=12 (local.get $ball))
+                                  (f32.load offset=12 (local.get $ball))))
+
+          ;; Rows that the ball doesn't reach are skipped entirely.
+          (if (f32.lt (local.get $dyz2) (local.get $r2)) (then
+            (local.set $bx (f32.load offset=0 (local.get $ball)))
+            (local.set $xr (f32.sqrt (f32.sub (local.get $r2) (local.get $dyz2))))
+            (local.set $i0 (i32.trunc_sat_f32_s (f32.div
+              (f32.sub (f32.sub (local.get $bx) (local.get $xr)) (global.get $xMin))
+              (global.get $xStep))))
+            (local.set $i1 (i32.add (i32.trunc_sat_f32_s (f32.div
+              (f32.sub (f32.add (local.get $bx) (local.get $xr)) (global.get $xMin))
+              (global.get $xStep))) (i32.const 2)))
+            (if (i32.lt_s (local.get $i0) (i32.const 0)) (then (local.set $i0 (i32.const 0))))
+            (local.set $i0 (i32.and (local.get $i0) (i32.const -4)))
+            (if (i32.gt_s (local.get $i1) (local.get $paddedWidth))
+              (then (local.set $i1 (local.get $paddedWidth))))
+
+            (local.set $strength (f32x4.splat (f32.load offset=16 (local.get $ball))))
+            (local.set $subtract (f32x4.splat (f32.load offset=20 (local.get $ball))))
+            (local.set $polarity (f32x4.splat (f32.load offset=24 (local.get $ball))))
+
+            (local.set $i (local.get $i0))
+            (block $doneI (loop $loopI
+              (br_if $doneI (i32.ge_s (local.get $i) (local.get $i1)))
+              (local.set $x (f32x4.add (f32x4.splat (global.get $xMin))
+                (f32x4.mul (f32x4.splat (global.get $xStep))
+                  (f32x4.add (f32x4.splat (f32.convert_i32_s (local.get $i))) (local.get $lanes)))))
+              (local.set $dx (f32x4.sub (local.get $x) (f32x4.splat (local.get $bx))))
+              ;; max(strength / (0.000001 + d²) - subtract, 0) * polarity
+              (local.set $value (f32x4.mul (local.get $polarity) (f32x4.max
+                (f32x4.sub
+                  (f32x4.div (local.get $strength)
+                    (f32x4.add (f32x4.splat (f32.const 0.000001))
+                      (f32x4.add (f32x4.mul (local.get $dx) (local.get $dx))
+                                 (f32x4.splat (local.get $dyz2)))))
+                  (local.get $subtract))
+                (f32x4.splat (f32.const 0)))))
+              (local.set $ptr (i32.add (global.get $rowPtr) (i32.shl (local.get $i) (i32.const 2))))
+              (v128.store (local.get $ptr) (f32x4.add (v128.load (local.get $ptr)) (local.get $value)))
+              (local.set $i (i32.add (local.get $i) (i32.const 4)))
+              (br $loopI)))))
+
+          (local.set $b (i32.add (local.get $b) (i32.const 1)))
+          (br $loopB)))
+
+        ;; Voxels forced by the container: 1 = filled, 2 = empty.
+        (local.set $rowOffset (i32.mul (global.get $width)
+          (i32.add (local.get $j) (i32.mul (local.get $k) (global.get $height)))))
+        (local.set $i (i32.const 0))
+        (block $doneMask (loop $loopMask
+          (br_if $doneMask (i32.ge_s (local.get $i) (global.get $width)))
+          (local.set $region (i32.load8_u (i32.add (global.get $containerMaskPtr)
+            (i32.add (local.get $rowOffset) (local.get $i)))))
+          (if (local.get $region) (then
+            (f32.store (i32.add (global.get $rowPtr) (i32.shl (local.get $i) (i32.const 2)))
+              (select (global.get $fillValue) (global.get $emptyValue)
+                (i32.eq (local.get $region) (i32.const 1))))))
+          (local.set $i (i32.add (local.get $i) (i32.const 1)))
+          (br $loopMask)))
+
+        (memory.copy
+          (i32.add (global.get $valuesPtr) (i32.shl (local.get $rowOffset) (i32.const 2)))
+          (global.get $rowPtr)
+          (i32.shl (global.get $width) (i32.const 2)))
+
+        (local.set $j (i32.add (local.get $j) (i32.const 1)))
+        (br $loopJ)))
+
+      (local.set $k (i32.add (local.get $k) (i32.const 1)))
+      (br $loopK))))
+
+  ;; Value of the voxel at (i, j, k), clamped to the edges of the volume.
+  (func $valueAt (param $i i32) (param $j i32) (param $k i32) (result f32)
+    (if (i32.lt_s (local.get $i) (i32.const 0)) (then (local.set $i (i32.const 0))))
+    (if (i32.lt_s (local.get $j) (i32.const 0)) (then (local.set $j (i32.const 0))))
+    (if (i32.lt_s (local.get $k) (i32.const 0)) (then (local.set $k (i32.const 0))))
+    (if (i32.ge_s (local.get $i) (global.get $width))
+      (then (local.set $i (i32.sub (global.get $width) (i32.const 1)))))
+    (if (i32.ge_s (local.get $j) (global.get $height))
+      (then (local.set $j (i32.sub (global.get $height) (i32.const 1)))))
+    (if (i32.ge_s (local.get $k) (global.get $depth))
+      (then (local.set $k (i32.sub (global.get $depth) (i32.const 1)))))
+    (f32.load (i32.add (global.get $valuesPtr) (i32.shl
+      (i32.add (local.get $i) (i32.mul (global.get $width)
+        (i32.add (local.get $j) (i32.mul (local.get $k) (global.get $height)))))
+      (i32.const 2)))))
+
+  ;; Same central difference as MarchingCubes.computeNormal.
+  (func $normalAt (param $i i32) (param $j i32) (param $k i32) (result f32 f32 f32)
+    (f32.sub
+      (call $valueAt (i32.sub (local.get $i) (i32.const 1)) (local.get $j) (local.get $k))
+      (call $valueAt (i32.add (local.get $i) (i32.const 1)) (local.get $j) (local.get $k)))
+    (f32.sub
+      (call $valueAt (local.get $i) (i32.sub (local.get $j) (i32.const 1)) (local.get $k))
+      (call $valueAt (local.get $i) (i32.add (local.get $j) (i32.const 1)) (local.get $k)))
+    (f32.sub
+      (call $valueAt (local.get $i) (local.get $j) (i32.sub (local.get $k) (i32.const 1)))
+      (call $valueAt (local.get $i) (local.get $j) (i32.add (local.get $k) (i32.const 1)))))
+
+  ;; Returns the index of the vertex on the edge along axis starting at voxel (i, j, k), generating
+  ;; it if no other cell has yet.
+  (func $edgeVertex (param $axis i32) (param $i i32) (param $j i32) (param $k i32)
+                    (param $va f32) (param $vb f32) (result i32)
+    (local $key i32) (local $index i32) (local $mu f32) (local $out i32)
+    (local $px f32) (local $py f32) (local $pz f32)
+    (local $ax f32) (local $ay f32) (local $az f32) (local $bx f32) (local $by f32) (local $bz f32)
+    (local.set $key (i32.add (global.get $edgeVerticesPtr) (i32.shl
+      (i32.add (local.get $axis) (i32.mul (i32.const 3)
+        (i32.add (local.get $i) (i32.mul (global.get $width)
+          (i32.add (local.get $j) (i32.mul (local.get $k) (global.get $height)))))))
+      (i32.const 2))))
+    (local.set $index (i32.load (local.get $key)))
+    (if (i32.ne (local.get $index) (i32.const -1)) (then (return (local.get $index))))
+
+    (local.set $index (global.get $vertexCount))
+    (global.set $vertexCount (i32.add (local.get $index) (i32.const 1)))
+    (i32.store (local.get $key) (local.get $index))
+
+    (local.set $mu (f32.div (f32.sub (global.get $threshold) (local.get $va))
+                            (f32.sub (local.get $vb) (local.get $va))))
+    (local.set $px (f32.add (global.get $xMin) (f32.mul (global.get $xStep) (f32.convert_i32_s (local.get $i)))))
+    (local.set $py (f32.add (global.get $yMin) (f32.mul (global.get $yStep) (f32.convert_i32_s (local.get $j)))))
+    (local.set $pz (f32.add (global.get $zMin) (f32.mul (global.get $zStep) (f32.convert_i32_s (local.get $k)))))
+
+    (call $normalAt (local.get $i) (local.get $j) (local.get $k))
+    (local.set $az) (local.set $ay) (local.set $ax)
+    (if (result f32 f32 f32) (i32.eqz (local.get $axis)) (then
+      (local.set $px (f32.add (local.get $px) (f32.mul (local.get $mu) (global.get $xStep))))
+      (call $normalAt (i32.add (local.get $i) (i32.const 1)) (local.get $j) (local.get $k)))
+    (else (if (result f32 f32 f32) (i32.eq (local.get $axis) (i32.const 1)) (then
+      (local.set $py (f32.add (local.get $py) (f32.mul (local.get $mu) (global.get $yStep))))
+      (call $normalAt (local.get $i) (i32.add (local.get $j) (i32.const 1)) (local.get $k)))
+    (else
+      (local.set $pz (f32.add (local.get $pz) (f32.mul (local.get $mu) (global.get $zStep))))
+      (call $normalAt (local.get $i) (local.get $j) (i32.add (local.get $k) (i32.const 1)))))))
+    (local.set $bz) (local.set $by) (local.set $bx)
+
+    (local.set $out (i32.mul (local.get $index) (i32.const 12)))
+    (f32.store offset=0 (i32.add (global.get $positionsPtr) (local.get $out)) (local.get $px))
+    (f32.store offset=4 (i32.add (global.get $positionsPtr) (local.get $out)) (local.get $py))
+    (f32.store offset=8 (i32.add (global.get $positionsPtr) (local.get $out)) (local.get $pz))
+    (f32.store offset=0 (i32.add (global.get $normalsPtr) (local.get $out))
+      (f32.add (local.get $ax) (f32.mul (local.get $mu) (f32.sub (local.get $bx) (local.get $ax)))))
+    (f32.store offset=4 (i32.add (global.get $normalsPtr) (local.get $out))
+      (f32.add (local.get $ay) (f32.mul (local.get $mu) (f32.sub (local.get $by) (local.get $ay)))))
+    (f32.store offset=8 (i32.add (global.get $normalsPtr) (local.get $out))
+      (f32.add (local.get $az) (f32.mul (local.get $mu) (f32.sub (local.get $bz) (local.get $az)))))
+    (local.get $index))
+
+  ;; Triangulates the whole volume into the positions, normals and indices arrays, sharing vertices
+  ;; between neighboring cells. Stops early if the arrays run out of room. Returns the index count.
+  ;;
+  ;; The edge info table has six values for each of the 12 cube edges: the offset of the voxel the
+  ;; edge starts at (3), its axis and the two corners it connects. Corner values are kept in the
+  ;; first 8 floats of the scratch space and the vertex of each edge in the 12 ints after that.
+  (func (export "generateMesh") (result i32)
+    (local $i i32) (local $j i32) (local $k i32) (local $e i32) (local $t i32)
+    (local $base i32) (local $sliceSize i32) (local $corners i32) (local $edgeList i32)
+    (local $cubeIndex i32) (local $edges i32) (local $triOffset i32) (local $triCount i32)
+    (local $info i32) (local $indexCount i32) (local $cells i32)
+    (call $loadHeader)
+    (local.set $sliceSize (i32.mul (global.get $width) (global.get $height)))
+    (local.set $corners (global.get $scratchPtr))
+    (local.set $edgeList (i32.add (global.get $scratchPtr) (i32.const 32)))
+    (global.set $vertexCount (i32.const 0))
+
+    (memory.fill (global.get $edgeVerticesPtr) (i32.const 0xFF)
+      (i32.mul (i32.mul (local.get $sliceSize) (global.get $depth)) (i32.const 12)))
+
+    (block $done
+      (local.set $k (i32.const 0))
+      (block $doneK (loop $loopK
+        (br_if $doneK (i32.ge_s (local.get $k) (i32.sub (global.get $depth) (i32.const 1))))
+        (local.set $j (i32.const 0))
+        (block $doneJ (loop $loopJ
+          (br_if $doneJ (i32.ge_s (local.get $j) (i32.sub (global.get $height) (i32.const 1))))
+          (local.set $i (i32.const 0))
+          (block $doneI (loop $loopI
+            (br_if $doneI (i32.ge_s (local.get $i) (i32.sub (global.get $width) (i32.const 1))))
+            (block $nextCell
+              ;; Corner values, in the same order as MarchingCubes.marchingCube
+              (local.set $base (i32.add (global.get $valuesPtr) (i32.shl
+                (i32.add (local.get $i) (i32.add (i32.mul (local.get $j) (global.get $width))
+                                                 (i32.mul (local.get $k) (local.get $sliceSize))))
+                (i32.const 2))))
+              (f32.store offset=0 (local.get $corners) (f32.load (local.get $base)))
+              (f32.store offset=4 (local.get $corners) (f32.load offset=4 (local.get $base)))
+              (f32.store offset=8 (local.get $corners) (f32.load offset=4
+                (i32.add (local.get $base) (i32.shl (global.get $width) (i32.const 2)))))
+              (f32.store offset=12 (local.get $corners) (f32.load
+                (i32.add (local.get $base) (i32.shl (global.get $width) (i32.const 2)))))
+              (local.set $base (i32.add (local.get $base) (i32.shl (local.get $sliceSize) (i32.const 2))))
+              (f32.store offset=16 (local.get $corners) (f32.load (local.get $base)))
+              (f32.store offset=20 (local.get $corners) (f32.load offset=4 (local.get $base)))
+              (f32.store offset=24 (local.get $corners) (f32.load offset=4
+                (i32.add (local.get $base) (i32.shl (global.get $width) (i32.const 2)))))
+              (f32.store offset=28 (local.get $corners) (f32.load
+                (i32.add (local.get $base) (i32.shl (global.get $width) (i32.const 2)))))
+
+              ;; Determine the index into the edge table which tells us which corners are inside of
+              ;; the surface.
+              (local.set $cubeIndex (i32.const 0))
+              (local.set $e (i32.const 0))
+              (block $doneCorners (loop $loopCorners
+                (br_if $doneCorners (i32.ge_s (local.get $e) (i32.const 8)))
+                (if (f32.lt (f32.load (i32.add (local.get $corners) (i32.shl (local.get $e) (i32.const 2))))
+                            (global.get $threshold))
+                  (then (local.set $cubeIndex (i32.or (local.get $cubeIndex)
+                    (i32.shl (i32.const 1) (local.get $e))))))
+                (local.set $e (i32.add (local.get $e) (i32.const 1)))
+                (br $loopCorners)))
+
+              ;; Cube is entirely in/out of the surface
+              (local.set $edges (i32.load (i32.add (global.get $edgeTablePtr)
+                (i32.shl (local.get $cubeIndex) (i32.const 2)))))
+              (br_if $nextCell (i32.eqz (local.get $edges)))
+              (local.set $cells (i32.add (local.get $cells) (i32.const 1)))
+
+              ;; Stop if the arrays could run out of room. (Conservatively assumes that none of the
+              ;; vertices are shared with a previous cell.)
+              (local.set $triOffset (i32.add (global.get $triTablePtr)
+                (i32.shl (local.get $cubeIndex) (i32.const 6))))
+              (local.set $triCount (i32.load (local.get $triOffset)))
+              (br_if $done (i32.ge_s (i32.add (global.get $vertexCount) (i32.popcnt (local.get $edges)))
+                                     (global.get $maxVertices)))
+              (br_if $done (i32.gt_s (i32.add (local.get $indexCount) (local.get $triCount))
+                                     (global.get $maxIndices)))
+
+              ;; Find or generate the vertices where the surface intersects the cube
+              (local.set $e (i32.const 0))
+              (block $doneEdges (loop $loopEdges
+                (br_if $doneEdges (i32.ge_s (local.get $e) (i32.const 12)))
+                (if (i32.and (local.get $edges) (i32.shl (i32.const 1) (local.get $e))) (then
+                  (local.set $info (i32.add (global.get $edgeInfoPtr) (i32.mul (local.get $e) (i32.const 24))))
+                  (i32.store (i32.add (local.get $edgeList) (i32.shl (local.get $e) (i32.const 2)))
+                    (call $edgeVertex
+                      (i32.load offset=12 (local.get $info))
+                      (i32.add (local.get $i) (i32.load offset=0 (local.get $info)))
+                      (i32.add (local.get $j) (i32.load offset=4 (local.get $info)))
+                      (i32.add (local.get $k) (i32.load offset=8 (local.get $info)))
+                      (f32.load (i32.add (local.get $corners)
+                        (i32.shl (i32.load offset=16 (local.get $info)) (i32.const 2))))
+                      (f32.load (i32.add (local.get $corners)
+                        (i32.shl (i32.load offset=20 (local.get $info)) (i32.const 2))))))))
+                (local.set $e (i32.add (local.get $e) (i32.const 1)))
+                (br $loopEdges)))
+
+              ;; Record the triangle indices
+              (local.set $t (i32.const 0))
+              (block $doneTris (loop $loopTris
+                (br_if $doneTris (i32.ge_s (local.get $t) (local.get $triCount)))
+                (i32.store
+                  (i32.add (global.get $indicesPtr) (i32.shl (local.get $indexCount) (i32.const 2)))
+                  (i32.load (i32.add (local.get $edgeList) (i32.shl
+                    (i32.load offset=4 (i32.add (local.get $triOffset) (i32.shl (local.get $t) (i32.const 2))))
+                    (i32.const 2)))))
+                (local.set $indexCount (i32.add (local.get $indexCount) (i32.const 1)))
+                (local.set $t (i32.add (local.get $t) (i32.const 1)))
+                (br $loopTris))))
+
+            (local.set $i (i32.add (local.get $i) (i32.const 1)))
+            (br $loopI)))
+          (local.set $j (i32.add (local.get $j) (i32.const 1)))
+          (br $loopJ)))
+        (local.set $k (i32.add (local.get $k) (i32.const 1)))
+        (br $loopK))))
+
+    (i32.store offset=52 (i32.const 0) (global.get $vertexCount))
+    (i32.store offset=56 (i32.const 0) (local.get $indexCount))
+    (i32.store offset=60 (i32.const 0) (local.get $cells))
+    (local.get $indexCount))
+)
@@ -0,0 +1,143 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+//
+// Recycles mappable buffers rather than creating and destroying them each time they're needed.
+//
+// Buffers are pooled in buckets keyed by usage and size, with sizes rounded up to the next power of
+// two so that requests of similar sizes can share buffers. acquire() returns a buffer that's already
+// mapped: either one from the pool or, if the bucket is empty, a new buffer created with
+// mappedAtCreation. Once the commands that use a buffer have been submitted it's given back with
+// release(), which re-maps it with mapAsync() and returns it to its bucket when the mapping is done.
+//
+// Only buffers with MAP_WRITE usage can be re-mapped, so that must be part of the usage, and since
+// WebGPU only allows MAP_WRITE to be combined with COPY_SRC this is a pool of staging buffers.
+//
+
+const MIN_BUCKET_SIZE = 256;
+
+export class BufferPool {
+  #device;
+  #maxBuffersPerBucket;
+  #buckets = new Map();
+  #minBucketSize = 0;
+  #destroyed = false;
+
+  constructor(device, { maxBuffersPerBucket = 8 } = {}) {
+    this.#device = device;
+    this.#maxBuffersPerBucket = maxBuffersPerBucket;
+
+    // Running totals of how acquire() was satisfied.
+    this.createdBufferCount = 0;
+    this.reusedBufferCount = 0;
+  }
+
+  static bucketSize(size) {
+    return Math.max(2 ** Math.ceil(Math.log2(size)), MIN_BUCKET_SIZE);
+  }
+
+  #getBucket(usage, size) {
+    const key = `${usage}:${size}`;
+    let bucket = this.#buckets.get(key);
+    if (!bucket) {
+      bucket = [];
+      this.#buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  // Returns a mapped buffer of at least size bytes with the given usage, which must include
+  // MAP_WRITE.
+  acquire(size, usage) {
+    if (!(usage & GPUBufferUsage.MAP_WRITE)) {
+      throw new Error('Pooled buffers must have MAP_WRITE usage so that they can be re-mapped');
+    }
+
+    const bucketSize = BufferPool.bucketSize(size);
+    const buffer = this.#getBucket(usage, bucketSize).pop();
+    if (buffer) {
+      this.reusedBufferCount++;
+      return buffer;
+    }
+
+    this.createdBufferCount++;
+    return this.#device.createBuffer({
+      label: 'Pooled Buffer',
+      size: bucketSize,
+      usage,
+      mappedAtCreation: true,
+    });
+  }
+
+  // Gives a buffer from acquire() back to the pool. It's always re-mapped first, since the ranges
+  // returned by getMappedRange() can't be handed out again, so this must be called after the commands
+  // that read from it have been submitted.
+  release(buffer) {
+    if (buffer.mapState == 'mapped') {
+      buffer.unmap();
+    }
+    buffer.mapAsync(GPUMapMode.WRITE).then(() => {
+      this.#recycle(buffer);
+    }).catch((err) => {
+      if (!this.#destroyed) {
+        console.warn('Unable to re-map a pooled buffer. It will be dropped.', err);
+      }
+      buffer.destroy();
+    });
+  }
+
+  #recycle(buffer) {
+    if (this.#destroyed || buffer.size < this.#minBucketSize) {
+      buffer.destroy();
+      return;
+    }
+    const bucket = this.#getBucket(buffer.usage, buffer.size);
+    if (bucket.length >= this.#maxBuffersPerBucket) {
+      buffer.destroy();
+      return;
+    }
+    bucket.push(buffer);
+  }
+
+  // Destroys the pooled buffers that are too small to hold size bytes, along with any that are
+  // released later, for when the sizes being requested have grown past them for good.
+  evictSmallerThan(size) {
+    this.#minBucketSize = Math.max(this.#minBucketSize, BufferPool.bucketSize(size));
+    // Every buffer in a bucket is the same size.
+    for (const [key, bucket] of this.#buckets) {
+      if (!bucket.length || bucket[0].size >= this.#minBucketSize) { continue; }
+      for (const buffer of bucket) {
+        buffer.destroy();
+      }
+      this.#buckets.delete(key);
+    }
+  }
+
+  // Buffers that are still being re-mapped are destroyed once the mapping completes.
+  destroy() {
+    this.#destroyed = true;
+    for (const bucket of this.#buckets.values()) {
+      for (const buffer of bucket) {
+        buffer.destroy();
+      }
+    }
+    this.#buckets.clear();
+  }
+}
@@ -0,0 +1,226 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { SampleType } from '../performance-tracker.js';
+import { MetaballMethods } from './webgpu-renderer.js';
+
+//
+// Runs every combination of metaball method and volume resolution for a fixed number of frames and
+// reports the PerformanceTracker samples (which include the TimestampHelper pass timings) gathered
+// for each.
+//
+// Each combination restarts the same seeded animation and advances it by a fixed time every frame
+// (see Renderer.fixedTimeDelta), so every method meshes exactly the same sequence of ball positions.
+// A number of warmup frames are rendered and discarded first, which also gives the GPU timings and
+// other asynchronously read back samples of the previous combination time to arrive. Those lag a
+// couple of frames behind, so they're recorded over a window that's shifted by as much.
+//
+// The renderer must already be running. The settings it had are restored once the run is done.
+//
+
+// Volume steps, matching the resolution presets in the UI.
+export const DEFAULT_BENCHMARK_RESOLUTIONS = [0.2, 0.1, 0.075, 0.05];
+
+function nextFrame() {
+  return new Promise((resolve) => requestAnimationFrame(resolve));
+}
+
+function summarizeSamples(samples) {
+  const sorted = Float64Array.from(samples).sort();
+  let sum = 0;
+  for (const value of sorted) {
+    sum += value;
+  }
+  const percentile = (p) => sorted[Math.min(Math.floor(sorted.length * p), sorted.length - 1)];
+  return {
+    count: sorted.length,
+    mean: sum / sorted.length,
+    median: percentile(0.5),
+    p95: percentile(0.95),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+export class MetaballBenchmark {
+  constructor(renderer, stats, options = {}) {
+    this.renderer = renderer;
+    this.stats = stats;
+
+    // Every method by default.
+    this.methods = options.methods ?? Object.keys(MetaballMethods);
+    this.resolutions = options.resolutions ?? DEFAULT_BENCHMARK_RESOLUTIONS;
+    this.frameCount = options.frameCount ?? 300;
+    this.warmupFrameCount = options.warmupFrameCount ?? 30;
+    this.animation = options.animation ?? 'lissajous';
+    this.seed = options.seed ?? 0;
+    // Milliseconds the animation advances each frame.
+    this.timeDelta = options.timeDelta ?? 1000 / 60;
+
+    for (const method of this.methods) {
+      if (!MetaballMethods[method]) {
+        throw new Error(`Unknown metaball method "${method}"`);
+      }
+    }
+
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  // Stops the run after the combination that's currently being measured. run() still resolves with
+  // the results gathered up to that point.
+  cancel() {
+    this.cancelled = true;
+  }
+
+  // Resolves with the report once every combination has run. onProgress, if given, is called with
+  // the number of combinations completed so far, the total and the latest result.
+  async run(onProgress) {
+    if (this.running) {
+      throw new Error('The benchmark is already running');
+    }
+    this.running = true;
+    this.cancelled = false;
+
+    const renderer = this.renderer;
+    const adapterInfo = renderer.adapter?.info;
+    const report = {
+      date: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      adapter: adapterInfo ? {
+        vendor: adapterInfo.vendor,
+        architecture: adapterInfo.architecture,
+        device: adapterInfo.device,
+        description: adapterInfo.description,
+      } : null,
+      timestampsSupported: renderer.timestampHelper?.timestampsSupported ?? false,
+      vertexFormat: renderer.metaballVertexFormat,
+      animation: this.animation,
+      seed: this.seed,
+      timeDelta: this.timeDelta,
+      frameCount: this.frameCount,
+      warmupFrameCount: this.warmupFrameCount,
+      results: [],
+    };
+
+    const previousMethod = renderer.metaballMethod;
+    const previousVolume = renderer.metaballVolumeSettings;
+    const previousAnimation = renderer.metaballs.animation;
+    const previousTimeDelta = renderer.fixedTimeDelta;
+
+    renderer.fixedTimeDelta = this.timeDelta;
+
+    const total = this.methods.length * this.resolutions.length;
+    try {
+      for (const resolution of this.resolutions) {
+        renderer.setMetaballStep(resolution);
+
+        for (const method of this.methods) {
+          if (this.cancelled) { return report; }
+
+          const result = await this.#measure(method, resolution);
+          report.results.push(result);
+          onProgress?.(report.results.length, total, result);
+        }
+      }
+    } finally {
+      this.stats.stopRecording();
+      renderer.fixedTimeDelta = previousTimeDelta;
+      renderer.metaballs.setAnimation(previousAnimation);
+      renderer.setMetaballVolume({
+        xStep: previousVolume.xStep,
+        yStep: previousVolume.yStep,
+        zStep: previousVolume.zStep,
+      });
+      renderer.setMetaballMethod(previousMethod);
+      this.running = false;
+    }
+
+    return report;
+  }
+
+  async #measure(method, resolution) {
+    const renderer = this.renderer;
+    renderer.setMetaballMethod(method);
+    renderer.setMetaballAnimation(this.animation, this.seed);
+
+    await this.#recordFrames(this.warmupFrameCount);
+
+    const start = performance.now();
+    await this.#recordFrames(this.frameCount);
+    const duration = performance.now() - start;
+    const recording = this.stats.stopRecording();
+
+    const samples = {};
+    for (const [name, recorded] of recording.samples) {
+      samples[name] = Object.assign({
+        type: recorded.type == SampleType.gpu ? 'gpu' : 'cpu',
+      }, summarizeSamples(recorded.samples));
+    }
+
+    return {
+      method,
+      resolution,
+      frames: recording.frameCount,
+      duration,
+      fps: recording.frameCount * 1000 / duration,
+      samples,
+    };
+  }
+
+  // Starts a new recording and waits for frameCount frames to be rendered into it.
+  async #recordFrames(frameCount) {
+    this.stats.startRecording();
+    while (this.stats.recordedFrameCount < frameCount) {
+      await nextFrame();
+    }
+  }
+}
+
+function csvValue(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// Flattens a report from MetaballBenchmark.run() into CSV, with one row for each sample of each
+// combination.
+export function metaballBenchmarkCSV(report) {
+  const columns = ['method', 'resolution', 'frames', 'fps', 'sample', 'type', 'count', 'mean', 'median', 'p95', 'min', 'max'];
+  const rows = [columns.join(',')];
+  for (const result of report.results) {
+    for (const [name, sample] of Object.entries(result.samples)) {
+      rows.push([
+        result.method,
+        result.resolution,
+        result.frames,
+        result.fps,
+        name,
+        sample.type,
+        sample.count,
+        sample.mean,
+        sample.median,
+        sample.p95,
+        sample.min,
+        sample.max,
+      ].map(csvValue).join(','));
+    }
+  }
+  return rows.join('\n') + '\n';
+}
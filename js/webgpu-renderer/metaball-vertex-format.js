@@ -0,0 +1,195 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { ATTRIB_MAP } from './shaders/common.js';
+
+//
+// Layouts that the metaball meshes can be stored in on the GPU, so that the bandwidth each upload
+// method uses can be compared across them:
+//
+//   separate:    Positions and normals in two buffers, as float32x3 each (24 bytes per vertex).
+//   interleaved: Position and normal together in one buffer, as float32x3 each (24 bytes).
+//   quantized:   Position as float16x4 and the normalized normal as snorm16x4, interleaved in one
+//                buffer (16 bytes).
+//
+// Each format describes its vertex buffers for the render pipelines, the WGSL writeVertex() function
+// the compute meshers store vertices with (along with the storage buffers it writes, at bindings 2
+// and 3), and a pack() function that the CPU upload methods use to convert the positions and normals
+// arrays the meshers produce. The three MUST be kept in sync. Formats without a separate normal
+// stream don't use the normal buffer (or binding 3) at all.
+//
+
+const floatView = new Float32Array(1);
+const uintView = new Uint32Array(floatView.buffer);
+
+// Returns the bits of the half-float nearest to value. Values too small for a normal half-float are
+// flushed to zero, and ones too large become infinity.
+function toHalf(value) {
+  floatView[0] = value;
+  const bits = uintView[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  if (exponent >= 31) { return sign | 0x7c00; }
+  if (exponent <= 0) { return sign; }
+  const mantissa = bits & 0x7fffff;
+  // Rounding up may carry into the exponent, which is still the nearest half-float.
+  return (sign | (exponent << 10) | (mantissa >>> 13)) + ((mantissa >>> 12) & 1);
+}
+
+const HALF_ONE = 0x3c00;
+const SNORM16_MAX = 32767;
+
+export const MetaballVertexFormats = {
+  separate: {
+    name: 'separate',
+    byteStride: 12,
+    normalStream: true,
+    position: { format: 'float32x3', offset: 0 },
+    normal: { format: 'float32x3', offset: 0 },
+    wgsl: /*wgsl*/`
+      struct PositionBuffer {
+        values : array<f32>,
+      }
+      @group(0) @binding(2) var<storage, read_write> positionsOut : PositionBuffer;
+
+      struct NormalBuffer {
+        values : array<f32>,
+      }
+      @group(0) @binding(3) var<storage, read_write> normalsOut : NormalBuffer;
+
+      fn writeVertex(vertex : u32, position : vec3f, normal : vec3f) {
+        positionsOut.values[vertex*3] = position.x;
+        positionsOut.values[vertex*3 + 1] = position.y;
+        positionsOut.values[vertex*3 + 2] = position.z;
+
+        normalsOut.values[vertex*3] = normal.x;
+        normalsOut.values[vertex*3 + 1] = normal.y;
+        normalsOut.values[vertex*3 + 2] = normal.z;
+      }
+    `,
+    // The meshers write this format directly, so there's nothing to pack.
+    pack: null,
+  },
+
+  interleaved: {
+    name: 'interleaved',
+    byteStride: 24,
+    normalStream: false,
+    position: { format: 'float32x3', offset: 0 },
+    normal: { format: 'float32x3', offset: 12 },
+    wgsl: /*wgsl*/`
+      struct VertexBuffer {
+        values : array<f32>,
+      }
+      @group(0) @binding(2) var<storage, read_write> verticesOut : VertexBuffer;
+
+      fn writeVertex(vertex : u32, position : vec3f, normal : vec3f) {
+        verticesOut.values[vertex*6] = position.x;
+        verticesOut.values[vertex*6 + 1] = position.y;
+        verticesOut.values[vertex*6 + 2] = position.z;
+        verticesOut.values[vertex*6 + 3] = normal.x;
+        verticesOut.values[vertex*6 + 4] = normal.y;
+        verticesOut.values[vertex*6 + 5] = normal.z;
+      }
+    `,
+    pack(positions, normals, vertexCount, out) {
+      const values = new Float32Array(out, 0, vertexCount * 6);
+      for (let i = 0; i < vertexCount; ++i) {
+        values[i*6] = positions[i*3];
+        values[i*6 + 1] = positions[i*3 + 1];
+        values[i*6 + 2] = positions[i*3 + 2];
+        values[i*6 + 3] = normals[i*3];
+        values[i*6 + 4] = normals[i*3 + 1];
+        values[i*6 + 5] = normals[i*3 + 2];
+      }
+    },
+  },
+
+  quantized: {
+    name: 'quantized',
+    byteStride: 16,
+    normalStream: false,
+    position: { format: 'float16x4', offset: 0 },
+    normal: { format: 'snorm16x4', offset: 8 },
+    wgsl: /*wgsl*/`
+      struct VertexBuffer {
+        values : array<u32>,
+      }
+      @group(0) @binding(2) var<storage, read_write> verticesOut : VertexBuffer;
+
+      fn writeVertex(vertex : u32, position : vec3f, normal : vec3f) {
+        // Normals are normalized to make the most of the snorm range.
+        let n = select(vec3f(0), normalize(normal), dot(normal, normal) > 0);
+        verticesOut.values[vertex*4] = pack2x16float(position.xy);
+        verticesOut.values[vertex*4 + 1] = pack2x16float(vec2f(position.z, 1));
+        verticesOut.values[vertex*4 + 2] = pack2x16snorm(n.xy);
+        verticesOut.values[vertex*4 + 3] = pack2x16snorm(vec2f(n.z, 0));
+      }
+    `,
+    pack(positions, normals, vertexCount, out) {
+      const halves = new Uint16Array(out, 0, vertexCount * 8);
+      const snorms = new Int16Array(out, 0, vertexCount * 8);
+      for (let i = 0; i < vertexCount; ++i) {
+        halves[i*8] = toHalf(positions[i*3]);
+        halves[i*8 + 1] = toHalf(positions[i*3 + 1]);
+        halves[i*8 + 2] = toHalf(positions[i*3 + 2]);
+        halves[i*8 + 3] = HALF_ONE;
+
+        const nx = normals[i*3], ny = normals[i*3 + 1], nz = normals[i*3 + 2];
+        const length = Math.sqrt(nx*nx + ny*ny + nz*nz);
+        const scale = length > 0 ? SNORM16_MAX / length : 0;
+        snorms[i*8 + 4] = Math.round(nx * scale);
+        snorms[i*8 + 5] = Math.round(ny * scale);
+        snorms[i*8 + 6] = Math.round(nz * scale);
+        snorms[i*8 + 7] = 0;
+      }
+    },
+  },
+};
+
+export function getMetaballVertexFormat(name) {
+  const format = MetaballVertexFormats[name];
+  if (!format) {
+    throw new Error(`Unknown metaball vertex format "${name}"`);
+  }
+  return format;
+}
+
+// The vertex buffer layouts for a render pipeline that reads the format's positions and normals.
+export function metaballVertexBuffers(format) {
+  const position = {
+    shaderLocation: ATTRIB_MAP.POSITION,
+    format: format.position.format,
+    offset: format.position.offset,
+  };
+  const normal = {
+    shaderLocation: ATTRIB_MAP.NORMAL,
+    format: format.normal.format,
+    offset: format.normal.offset,
+  };
+
+  if (format.normalStream) {
+    return [
+      { arrayStride: format.byteStride, attributes: [position] },
+      { arrayStride: format.byteStride, attributes: [normal] },
+    ];
+  }
+  return [{ arrayStride: format.byteStride, attributes: [position, normal] }];
+}
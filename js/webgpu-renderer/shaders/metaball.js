@@ -23,6 +23,16 @@ import {
   MarchingCubesEdgeTable,
   MarchingCubesTriTable,
 } from "../../marching-cubes-tables.js";
+import { MetaballPrimitives } from "../../metaball-primitives.js";
+import {
+  MetaballContainerShapes,
+  ContainerRegion,
+  CONTAINER_CLIP,
+  CONTAINER_CAP_FLOOR,
+} from "../../metaball-container.js";
+import { BRICK_SIZE } from "../../marching-cubes.js";
+import { QEF_BIAS } from "../../dual-contouring.js";
+import { MetaballVertexFormats } from "../metaball-vertex-format.js";
 
 export const WORKGROUP_SIZE = [4, 4, 4];
 
@@ -37,98 +47,477 @@ const IsosurfaceVolume = /*wgsl*/`
   }
 `;
 
-export const MetaballFieldComputeSource = /*wgsl*/`
+// Must match the layout written by MetaballComputeRenderer.updateMetaballs
+export const METABALL_FLOAT_STRIDE = 20;
+export const METABALL_CONTAINER_OFFSET = 16;
+export const METABALL_HEADER_SIZE = 64;
+
+const MetaballList = /*wgsl*/`
+  struct MetaballContainer {
+    shape: u32,
+    flags: u32,
+    floor: f32,
+    ceiling: f32,
+    fillValue: f32,
+    params: vec4f,
+  }
+
   struct Metaball {
     position: vec3f,
     radius: f32,
     strength: f32,
     subtract: f32,
+    primitive: u32,
+    polarity: f32,
+    params: vec4f,
+    boundsMin: vec3f,
+    boundsMax: vec3f,
   }
 
   struct MetaballList {
     ballCount: u32,
+    container: MetaballContainer,
     balls: array<Metaball>,
   }
-  @group(0) @binding(0) var<storage> metaballs : MetaballList;
+`;
 
-  ${IsosurfaceVolume}
-  @group(0) @binding(1) var<storage, read_write> volume : IsosurfaceVolume;
+// Bricks that have more balls than this touching them fall back to evaluating every ball.
+export const MAX_BALLS_PER_BRICK = 64;
+export const BRICK_BYTE_SIZE = Uint32Array.BYTES_PER_ELEMENT * (MAX_BALLS_PER_BRICK + 1);
 
-  fn positionAt(index : vec3u) -> vec3f {
-    return volume.min + (volume.step * vec3f(index.xyz));
+// Requires an IsosurfaceVolume named volume.
+const BrickGrid = /*wgsl*/`
+  const BRICK_SIZE = ${BRICK_SIZE}u;
+
+  fn brickGridSize() -> vec3u {
+    return (volume.size + vec3u(BRICK_SIZE - 1u)) / BRICK_SIZE;
+  }
+
+  fn brickIndexAt(brick : vec3u) -> u32 {
+    let gridSize = brickGridSize();
+    return brick.x +
+          (brick.y * gridSize.x) +
+          (brick.z * gridSize.x * gridSize.y);
+  }
+`;
+
+const BrickList = /*wgsl*/`
+  ${BrickGrid}
+
+  const MAX_BALLS_PER_BRICK = ${MAX_BALLS_PER_BRICK}u;
+
+  struct Brick {
+    ballCount: u32,
+    balls: array<u32, MAX_BALLS_PER_BRICK>,
+  }
+
+  struct BrickList {
+    bricks: array<Brick>,
+  }
+`;
+
+// Counters written by the marching cubes shaders. Must match the layout read back by
+// MetaballComputeRenderer. vertexCount and indexCount are the number the mesh needed, which may be
+// more than the output buffers could hold.
+export const MESH_STATS_SIZE = Uint32Array.BYTES_PER_ELEMENT * 5;
+
+const MeshStats = /*wgsl*/`
+  struct MeshStats {
+    triangulatedCells: atomic<u32>,
+    skippedBricks: atomic<u32>,
+    vertexCount: atomic<u32>,
+    indexCount: atomic<u32>,
+    activeCells: atomic<u32>,
+  }
+`;
+
+const DrawIndirectArgs = /*wgsl*/`
+  struct DrawIndirectArgs {
+    vc : u32,
+    vertexCount : atomic<u32>, // Actually instance count, treated as vertex count for point cloud rendering.
+    firstVertex : u32,
+    firstInstance : u32,
+
+    indexCount : atomic<u32>,
+    indexedInstanceCount : u32,
+    indexedFirstIndex : u32,
+    indexedBaseVertex : u32,
+    indexedFirstInstance : u32,
+
+    // Not part of the draw arguments. The number of vertices and indices that the output buffers
+    // have room for, written by MetaballComputeRenderer.
+    vertexCapacity : u32,
+    indexCapacity : u32,
+  }
+`;
+
+// The vertices, indices and active cells of each brick of the volume. The count pass adds up how
+// many each brick needs, the scan pass turns those into the offset of each brick's first vertex,
+// index and active cell, and then the emit passes allocate their outputs by advancing those
+// offsets, so the mesh is packed into exactly as much space as it needs.
+export const BRICK_MESH_CURSOR_SIZE = Uint32Array.BYTES_PER_ELEMENT * 4;
+
+const BrickMeshCursorList = /*wgsl*/`
+  struct BrickMeshCursor {
+    vertexCount: atomic<u32>,
+    indexCount: atomic<u32>,
+    cellCount: atomic<u32>,
+    padding: u32,
+  }
+
+  struct BrickMeshCursorList {
+    bricks: array<BrickMeshCursor>,
+  }
+`;
+
+// The same buffer as the BrickMeshCursorList, but without the atomics.
+const BrickMeshCountList = /*wgsl*/`
+  struct BrickMeshCountList {
+    bricks: array<vec4u>,
+  }
+`;
+
+// The cells that generate any vertices or indices, in brick order, which are the only ones the
+// emit passes run over. Starts with the arguments for dispatching them indirectly.
+export const ACTIVE_CELL_WORKGROUP_SIZE = 64;
+export const ACTIVE_CELL_HEADER_SIZE = Uint32Array.BYTES_PER_ELEMENT * 4;
+
+// The guaranteed minimum of maxComputeWorkgroupsPerDimension.
+const MAX_DISPATCH_SIZE = 65535;
+
+const ActiveCellList = /*wgsl*/`
+  struct ActiveCellList {
+    dispatchSize: vec3u,
+    count: u32,
+    cells: array<u32>,
+  }
+`;
+
+// Requires an ActiveCellList named activeCells and an IsosurfaceVolume named volume.
+const ActiveCellFunctions = /*wgsl*/`
+  // Active cells are dispatched in rows of up to MAX_DISPATCH_SIZE workgroups.
+  fn activeCellIndex(invocation : vec3u, groupCount : vec3u) -> u32 {
+    return invocation.x + invocation.y * groupCount.x * ${ACTIVE_CELL_WORKGROUP_SIZE}u;
+  }
+
+  fn activeCellAt(index : u32) -> vec3u {
+    let cell = activeCells.cells[index];
+    return vec3u(cell % volume.size.x,
+                 (cell / volume.size.x) % volume.size.y,
+                 cell / (volume.size.x * volume.size.y));
+  }
+`;
+
+// Indices of the bricks that need their values updated.
+const DirtyBrickList = /*wgsl*/`
+  struct DirtyBrickList {
+    bricks: array<u32>,
+  }
+`;
+
+const BrickActiveList = /*wgsl*/`
+  struct BrickActiveList {
+    bricks: array<u32>,
+  }
+`;
+
+// Builds the distance functions for every registered primitive, so it needs to be called after any
+// custom primitives have been registered.
+function MetaballPrimitiveFunctions() {
+  let functions = '';
+  let cases = '';
+  let gradientCases = '';
+  for (const primitive of MetaballPrimitives.values()) {
+    functions += /*wgsl*/`
+      fn ${primitive.name}SqrDist(ball : Metaball, position : vec3f) -> f32 {${primitive.wgsl}}
+      fn ${primitive.name}SqrDistGradient(ball : Metaball, position : vec3f) -> vec3f {${primitive.wgslGradient}}
+    `;
+    cases += /*wgsl*/`
+        case ${primitive.id}u: { return ${primitive.name}SqrDist(ball, position); }`;
+    gradientCases += /*wgsl*/`
+        case ${primitive.id}u: { return ${primitive.name}SqrDistGradient(ball, position); }`;
   }
 
-  fn surfaceFunc(position : vec3f) -> f32 {
-    var result = 0.0;
+  return /*wgsl*/`
+    ${functions}
 
-    // Always render geometry on the floor
-    if ((position.x*position.x + position.z*position.z < 1.1) && position.y < 0) {
-      return 100;
+    fn primitiveSqrDist(ball : Metaball, position : vec3f) -> f32 {
+      switch (ball.primitive) {${cases}
+        default: { return 0.0; }
+      }
     }
 
-    for (var i = 0u; i < metaballs.ballCount; i = i + 1) {
-      let ball = metaballs.balls[i];
-      let dist = distance(position, ball.position);
-      let val = ball.strength / (0.000001 + (dist * dist)) - ball.subtract;
-      if (val > 0.0) {
-        result = result + val;
+    fn primitiveSqrDistGradient(ball : Metaball, position : vec3f) -> vec3f {
+      switch (ball.primitive) {${gradientCases}
+        default: { return vec3f(0.0); }
       }
     }
-    return result;
+  `;
+}
+
+// Builds the wall distance functions for every registered container shape, and containerRegion,
+// which matches MetaballContainer.region. Requires a MetaballList named metaballs.
+function MetaballContainerFunctions() {
+  let functions = '';
+  let cases = '';
+  for (const shape of MetaballContainerShapes.values()) {
+    functions += /*wgsl*/`
+      fn ${shape.name}WallDistance(container : MetaballContainer, position : vec3f) -> f32 {${shape.wgsl}}
+    `;
+    cases += /*wgsl*/`
+        case ${shape.id}u: { return ${shape.name}WallDistance(container, position); }`;
   }
 
+  return /*wgsl*/`
+    ${functions}
+
+    fn containerWallDistance(container : MetaballContainer, position : vec3f) -> f32 {
+      switch (container.shape) {${cases}
+        default: { return -1.0; }
+      }
+    }
+
+    const CONTAINER_CLIP = ${CONTAINER_CLIP}u;
+    const CONTAINER_CAP_FLOOR = ${CONTAINER_CAP_FLOOR}u;
+
+    const CONTAINER_OPEN = ${ContainerRegion.open}u;
+    const CONTAINER_FILLED = ${ContainerRegion.filled}u;
+    const CONTAINER_EMPTY = ${ContainerRegion.empty}u;
+
+    fn containerRegion(position : vec3f) -> u32 {
+      let container = metaballs.container;
+      if (container.flags == 0u) { return CONTAINER_OPEN; }
+
+      let wall = containerWallDistance(container, position);
+      if ((container.flags & CONTAINER_CAP_FLOOR) != 0u && position.y < container.floor && wall < 0.0) {
+        return CONTAINER_FILLED;
+      }
+      if ((container.flags & CONTAINER_CLIP) != 0u &&
+          (wall > 0.0 || position.y < container.floor || position.y > container.ceiling)) {
+        return CONTAINER_EMPTY;
+      }
+      return CONTAINER_OPEN;
+    }
+  `;
+}
+
+// Builds the kernel functions, along with ballField and ballDerivative, which use the falloff of the
+// ball's primitive if it has its own and the kernel's otherwise.
+function MetaballKernelFunctions(kernel) {
+  let functions = '';
+  let fieldCases = '';
+  let derivativeCases = '';
+  for (const primitive of MetaballPrimitives.values()) {
+    if (!primitive.falloff) { continue; }
+    functions += /*wgsl*/`
+      fn ${primitive.name}Falloff(ball : Metaball, sqrDist : f32) -> f32 {${primitive.falloff.wgsl.field}}
+      fn ${primitive.name}FalloffDerivative(ball : Metaball, sqrDist : f32) -> f32 {${primitive.falloff.wgsl.derivative}}
+    `;
+    fieldCases += /*wgsl*/`
+        case ${primitive.id}u: { return ${primitive.name}Falloff(ball, sqrDist); }`;
+    derivativeCases += /*wgsl*/`
+        case ${primitive.id}u: { return ${primitive.name}FalloffDerivative(ball, sqrDist); }`;
+  }
+
+  return /*wgsl*/`
+    const KERNEL_INITIAL = ${kernel.initial.toFixed(1)};
+
+    fn kernelField(ball : Metaball, sqrDist : f32) -> f32 {${kernel.wgsl.field}}
+
+    fn kernelAccumulate(result : f32, value : f32, polarity : f32) -> f32 {${kernel.wgsl.accumulate}}
+
+    fn kernelDerivative(ball : Metaball, sqrDist : f32) -> f32 {${kernel.wgsl.derivative}}
+
+    fn kernelGradientWeights(result : f32, value : f32, polarity : f32) -> vec2f {${kernel.wgsl.gradientWeights}}
+
+    ${functions}
+
+    fn ballField(ball : Metaball, sqrDist : f32) -> f32 {
+      switch (ball.primitive) {${fieldCases}
+        default: { return kernelField(ball, sqrDist); }
+      }
+    }
+
+    fn ballDerivative(ball : Metaball, sqrDist : f32) -> f32 {
+      switch (ball.primitive) {${derivativeCases}
+        default: { return kernelDerivative(ball, sqrDist); }
+      }
+    }
+  `;
+}
+
+// Exact gradient of the field, equivalent to MetaballField.surfaceGradient. Requires a
+// MetaballList named metaballs and a BrickList named brickList, and the balls of the brick the
+// position is in are evaluated. Vertices fall between the voxels that the brick's balls were binned
+// against, but the kernels fall to zero at the edge of the balls' bounds so any ball that's missed
+// contributes next to nothing.
+function MetaballGradientFunctions(kernel) {
+  return /*wgsl*/`
+    ${MetaballPrimitiveFunctions()}
+    ${MetaballKernelFunctions(kernel)}
+    ${MetaballContainerFunctions()}
+
+    // False where the container forces the field, like in MetaballField.fieldIsAnalytic.
+    fn fieldIsAnalytic(position : vec3f) -> bool {
+      return containerRegion(position) == CONTAINER_OPEN;
+    }
+
+    fn surfaceGradient(position : vec3f) -> vec3f {
+      let brick = vec3u(clamp(floor((position - volume.min) / (volume.step * f32(BRICK_SIZE))),
+                              vec3f(0), vec3f(brickGridSize() - vec3u(1))));
+      let brickIndex = brickIndexAt(brick);
+
+      // Bricks with too many balls to list evaluate all of them.
+      let brickBallCount = brickList.bricks[brickIndex].ballCount;
+      let listed = brickBallCount <= MAX_BALLS_PER_BRICK;
+      let ballCount = select(metaballs.ballCount, brickBallCount, listed);
+
+      var result = KERNEL_INITIAL;
+      var gradient = vec3f(0);
+      for (var i = 0u; i < ballCount; i = i + 1) {
+        var ballIndex = i;
+        if (listed) {
+          ballIndex = brickList.bricks[brickIndex].balls[i];
+        }
+        let ball = metaballs.balls[ballIndex];
+        let sqrDist = primitiveSqrDist(ball, position);
+        let value = ballField(ball, sqrDist);
+        let weights = kernelGradientWeights(result, value, ball.polarity);
+        gradient = gradient * weights.x +
+                   primitiveSqrDistGradient(ball, position) * (ballDerivative(ball, sqrDist) * weights.y);
+        result = kernelAccumulate(result, value, ball.polarity);
+      }
+      return gradient;
+    }
+  `;
+}
+
+// Lists the balls whose bounds overlap each brick of the volume, so that the field only needs to be
+// evaluated for the balls that can affect it. Dispatched with one thread per brick.
+export const MetaballBinComputeSource = /*wgsl*/`
+  ${MetaballList}
+  @group(0) @binding(0) var<storage> metaballs : MetaballList;
+
+  ${IsosurfaceVolume}
+  @group(0) @binding(1) var<storage> volume : IsosurfaceVolume;
+
+  ${BrickList}
+  @group(0) @binding(2) var<storage, read_write> brickList : BrickList;
+
   @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
   fn computeMain(@builtin(global_invocation_id) global_id : vec3u) {
-    if (any(global_id >= volume.size)) { return; }
-    let position = positionAt(global_id);
-    let valueIndex = global_id.x +
-                    (global_id.y * volume.size.x) +
-                    (global_id.z * volume.size.x * volume.size.y);
+    if (any(global_id >= brickGridSize())) { return; }
+    let brickIndex = brickIndexAt(global_id);
+
+    let firstVoxel = global_id * BRICK_SIZE;
+    let lastVoxel = min(firstVoxel + vec3u(BRICK_SIZE - 1u), volume.size - vec3u(1u));
+    let brickMin = volume.min + (volume.step * vec3f(firstVoxel));
+    let brickMax = volume.min + (volume.step * vec3f(lastVoxel));
 
-    volume.values[valueIndex] = surfaceFunc(position);
+    var ballCount = 0u;
+    for (var i = 0u; i < metaballs.ballCount; i = i + 1) {
+      let ball = metaballs.balls[i];
+      if (all(ball.boundsMin <= brickMax) && all(ball.boundsMax >= brickMin)) {
+        if (ballCount < MAX_BALLS_PER_BRICK) {
+          brickList.bricks[brickIndex].balls[ballCount] = i;
+        }
+        ballCount = ballCount + 1;
+      }
+    }
+    brickList.bricks[brickIndex].ballCount = ballCount;
   }
 `;
 
-export const MarchingCubesComputeSource = /*wgsl*/`
-  struct Tables {
-    edges: array<u32, ${MarchingCubesEdgeTable.length}>,
-    tris: array<i32, ${MarchingCubesTriTable.length}>,
-  }
-  @group(0) @binding(0) var<storage> tables : Tables;
+export function MetaballFieldComputeSource(kernel) { return /*wgsl*/`
+  ${MetaballList}
+  @group(0) @binding(0) var<storage> metaballs : MetaballList;
 
   ${IsosurfaceVolume}
   @group(0) @binding(1) var<storage, read_write> volume : IsosurfaceVolume;
 
-  // Output buffers
-  struct PositionBuffer {
-    values : array<f32>,
+  ${BrickList}
+  @group(0) @binding(2) var<storage> brickList : BrickList;
+
+  ${MetaballPrimitiveFunctions()}
+  ${MetaballKernelFunctions(kernel)}
+  ${MetaballContainerFunctions()}
+
+  fn positionAt(index : vec3u) -> vec3f {
+    return volume.min + (volume.step * vec3f(index.xyz));
   }
-  @group(0) @binding(2) var<storage, read_write> positionsOut : PositionBuffer;
 
-  struct NormalBuffer {
-    values : array<f32>,
+  fn surfaceFunc(position : vec3f, brickIndex : u32) -> f32 {
+    var result = KERNEL_INITIAL;
+
+    switch (containerRegion(position)) {
+      case CONTAINER_FILLED: { return metaballs.container.fillValue; }
+      case CONTAINER_EMPTY: { return KERNEL_INITIAL; }
+      default: {}
+    }
+
+    let brickBallCount = brickList.bricks[brickIndex].ballCount;
+    if (brickBallCount > MAX_BALLS_PER_BRICK) {
+      // Too many balls to list for this brick, so evaluate all of them.
+      for (var i = 0u; i < metaballs.ballCount; i = i + 1) {
+        let ball = metaballs.balls[i];
+        let value = ballField(ball, primitiveSqrDist(ball, position));
+        result = kernelAccumulate(result, value, ball.polarity);
+      }
+      return result;
+    }
+
+    for (var i = 0u; i < brickBallCount; i = i + 1) {
+      let ball = metaballs.balls[brickList.bricks[brickIndex].balls[i]];
+      let value = ballField(ball, primitiveSqrDist(ball, position));
+      result = kernelAccumulate(result, value, ball.polarity);
+    }
+    return result;
   }
-  @group(0) @binding(3) var<storage, read_write> normalsOut : NormalBuffer;
 
-  struct IndexBuffer {
-    tris : array<u32>,
+  fn updateVoxel(index : vec3u) {
+    if (any(index >= volume.size)) { return; }
+    let position = positionAt(index);
+    let valueIndex = index.x +
+                    (index.y * volume.size.x) +
+                    (index.z * volume.size.x * volume.size.y);
+
+    volume.values[valueIndex] = surfaceFunc(position, brickIndexAt(index / BRICK_SIZE));
   }
-  @group(0) @binding(4) var<storage, read_write> indicesOut : IndexBuffer;
 
-  struct DrawIndirectArgs {
-    vc : u32,
-    vertexCount : atomic<u32>, // Actually instance count, treated as vertex count for point cloud rendering.
-    firstVertex : u32,
-    firstInstance : u32,
+  // Updates the entire volume.
+  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
+  fn computeMain(@builtin(global_invocation_id) global_id : vec3u) {
+    updateVoxel(global_id);
+  }
 
-    indexCount : atomic<u32>,
-    indexedInstanceCount : u32,
-    indexedFirstIndex : u32,
-    indexedBaseVertex : u32,
-    indexedFirstInstance : u32,
+  ${DirtyBrickList}
+  @group(0) @binding(3) var<storage> dirtyBricks : DirtyBrickList;
+
+  // Only updates the bricks whose balls have changed. Dispatched with one workgroup per brick in
+  // the dirty list, each of which steps through its brick a workgroup-sized block at a time.
+  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
+  fn computeDirtyBricks(@builtin(workgroup_id) group_id : vec3u,
+                        @builtin(local_invocation_id) local_id : vec3u) {
+    let brickIndex = dirtyBricks.bricks[group_id.x];
+    let gridSize = brickGridSize();
+    let brick = vec3u(brickIndex % gridSize.x,
+                     (brickIndex / gridSize.x) % gridSize.y,
+                      brickIndex / (gridSize.x * gridSize.y));
+    let firstVoxel = (brick * BRICK_SIZE) + local_id;
+
+    for (var k = 0u; k < BRICK_SIZE; k = k + ${WORKGROUP_SIZE[2]}u) {
+      for (var j = 0u; j < BRICK_SIZE; j = j + ${WORKGROUP_SIZE[1]}u) {
+        for (var i = 0u; i < BRICK_SIZE; i = i + ${WORKGROUP_SIZE[0]}u) {
+          updateVoxel(firstVoxel + vec3u(i, j, k));
+        }
+      }
+    }
   }
-  @group(0) @binding(5) var<storage, read_write> drawOut : DrawIndirectArgs;
+`;
+}
 
+// Shared by the marching cubes shaders. Requires an IsosurfaceVolume named volume.
+const MarchingCubesVolumeFunctions = /*wgsl*/`
   // Data fetchers
   fn valueAt(index : vec3u) -> f32 {
     // Don't index outside of the volume bounds.
@@ -152,126 +541,799 @@ export const MarchingCubesComputeSource = /*wgsl*/`
     );
   }
 
-  // Vertex interpolation
-  var<private> positions : array<vec3f, 12>;
-  var<private> normals : array<vec3f, 12>;
-  var<private> indices : array<u32, 12>;
-  var<private> cubeVerts = 0u;
+  // Every edge of the volume is identified by the voxel it starts at and its axis (0 = x, 1 = y,
+  // 2 = z). Only voxels inside the volume can start an edge that crosses the surface.
+  fn edgeId(index : vec3u, axis : u32) -> u32 {
+    return (index.x +
+           (index.y * volume.size.x) +
+           (index.z * volume.size.x * volume.size.y)) * 3 + axis;
+  }
+`;
 
-  fn interpX(index : u32, i : vec3u, va : f32, vb : f32) {
-    let mu = (volume.threshold - va) / (vb - va);
-    positions[cubeVerts] = positionAt(i) + vec3f(volume.step.x * mu, 0, 0);
+const MarchingCubesTables = /*wgsl*/`
+  struct Tables {
+    edges: array<u32, ${MarchingCubesEdgeTable.length}>,
+    tris: array<i32, ${MarchingCubesTriTable.length}>,
+  }
+`;
 
-    let na = normalAt(i);
-    let nb = normalAt(i + vec3u(1, 0, 0));
-    normals[cubeVerts] = mix(na, nb, vec3(mu));
+// Shared by the marching cubes count and triangulation shaders. Requires Tables named tables and an
+// IsosurfaceVolume named volume.
+const MarchingCubesCellFunctions = /*wgsl*/`
+  fn cubeIndexAt(index : vec3u) -> u32 {
+    var cubeIndex = 0u;
+    if (valueAt(index) < volume.threshold) { cubeIndex = cubeIndex | 1; }
+    if (valueAt(index + vec3u(1, 0, 0)) < volume.threshold) { cubeIndex = cubeIndex | 2; }
+    if (valueAt(index + vec3u(1, 1, 0)) < volume.threshold) { cubeIndex = cubeIndex | 4; }
+    if (valueAt(index + vec3u(0, 1, 0)) < volume.threshold) { cubeIndex = cubeIndex | 8; }
+    if (valueAt(index + vec3u(0, 0, 1)) < volume.threshold) { cubeIndex = cubeIndex | 16; }
+    if (valueAt(index + vec3u(1, 0, 1)) < volume.threshold) { cubeIndex = cubeIndex | 32; }
+    if (valueAt(index + vec3u(1, 1, 1)) < volume.threshold) { cubeIndex = cubeIndex | 64; }
+    if (valueAt(index + vec3u(0, 1, 1)) < volume.threshold) { cubeIndex = cubeIndex | 128; }
+    return cubeIndex;
+  }
 
-    indices[index] = cubeVerts;
-    cubeVerts = cubeVerts + 1;
+  // Number of indices in the cell's triangles.
+  fn cellIndexCount(cubeIndex : u32) -> u32 {
+    if (tables.edges[cubeIndex] == 0u) { return 0u; }
+    return u32(tables.tris[cubeIndex << 4]);
   }
+`;
 
-  fn interpY(index : u32, i : vec3u, va : f32, vb : f32) {
-    let mu = (volume.threshold - va) / (vb - va);
-    positions[cubeVerts] = positionAt(i) + vec3f(0, volume.step.y * mu, 0);
+// Finds the min/max value of the voxels touched by each brick of cells and flags whether or not the
+// surface passes through it, so that the marching cubes pass can skip empty bricks. Dispatched with
+// one thread per brick.
+export const MarchingCubesBrickRangeSource = /*wgsl*/`
+  ${IsosurfaceVolume}
+  @group(0) @binding(0) var<storage> volume : IsosurfaceVolume;
 
-    let na = normalAt(i);
-    let nb = normalAt(i + vec3u(0, 1, 0));
-    normals[cubeVerts] = mix(na, nb, vec3(mu));
+  ${BrickGrid}
 
-    indices[index] = cubeVerts;
-    cubeVerts = cubeVerts + 1;
+  ${BrickActiveList}
+  @group(0) @binding(1) var<storage, read_write> brickActive : BrickActiveList;
+
+  ${MeshStats}
+  @group(0) @binding(2) var<storage, read_write> statsOut : MeshStats;
+
+  ${MarchingCubesVolumeFunctions}
+
+  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
+  fn computeMain(@builtin(global_invocation_id) global_id : vec3u) {
+    if (any(global_id >= brickGridSize())) { return; }
+
+    // A brick of cells touches one more voxel than it contains along each axis.
+    let firstVoxel = global_id * BRICK_SIZE;
+    var hasInside = false;
+    var hasOutside = false;
+    for (var k = 0u; k <= BRICK_SIZE; k = k + 1) {
+      for (var j = 0u; j <= BRICK_SIZE; j = j + 1) {
+        for (var i = 0u; i <= BRICK_SIZE; i = i + 1) {
+          if (valueAt(firstVoxel + vec3u(i, j, k)) < volume.threshold) {
+            hasOutside = true;
+          } else {
+            hasInside = true;
+          }
+        }
+      }
+    }
+
+    let active = hasInside && hasOutside;
+    brickActive.bricks[brickIndexAt(global_id)] = select(0u, 1u, active);
+    if (!active) {
+      atomicAdd(&statsOut.skippedBricks, 1u);
+    }
   }
+`;
+
+// Classifies the cells of the volume, adding up the vertices, indices and active cells (those that
+// generate any vertices or indices) of each brick. Dispatched over the whole volume before
+// MeshScanComputeSource. The classifier provides cellGridSize(), the cells the mesher runs over,
+// and cellMeshCounts(), the number of vertices and indices that its emit passes generate for a
+// cell, along with any bindings they need.
+function MeshCountComputeSource(cellClassifier) { return /*wgsl*/`
+  ${IsosurfaceVolume}
+  @group(0) @binding(1) var<storage> volume : IsosurfaceVolume;
+
+  ${BrickGrid}
+
+  ${BrickActiveList}
+  @group(0) @binding(7) var<storage> brickActive : BrickActiveList;
+
+  ${BrickMeshCursorList}
+  @group(0) @binding(11) var<storage, read_write> brickCursors : BrickMeshCursorList;
+
+  ${cellClassifier}
+
+  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
+  fn computeMain(@builtin(global_invocation_id) global_id : vec3u) {
+    if (any(global_id >= cellGridSize())) { return; }
+
+    let brickIndex = brickIndexAt(global_id / BRICK_SIZE);
+    if (brickActive.bricks[brickIndex] == 0u) { return; }
+
+    let counts = cellMeshCounts(global_id);
+    if (all(counts == vec2u(0))) { return; }
+
+    atomicAdd(&brickCursors.bricks[brickIndex].cellCount, 1u);
+    if (counts.x > 0u) {
+      atomicAdd(&brickCursors.bricks[brickIndex].vertexCount, counts.x);
+    }
+    if (counts.y > 0u) {
+      atomicAdd(&brickCursors.bricks[brickIndex].indexCount, counts.y);
+    }
+  }
+`;
+}
+
+const COMPACT_WORKGROUP_SIZE = 64;
+
+// Writes the active cells of each brick into the active cell list, starting at the brick's offset
+// from MeshScanComputeSource. Dispatched with a workgroup for each brick, in rows of up to
+// MAX_DISPATCH_SIZE, which steps through the brick's cells and places the active ones with a prefix
+// sum so that they keep the same order every frame. Uses the same classifier as
+// MeshCountComputeSource.
+function MeshCompactComputeSource(cellClassifier) { return /*wgsl*/`
+  ${IsosurfaceVolume}
+  @group(0) @binding(1) var<storage> volume : IsosurfaceVolume;
+
+  ${BrickGrid}
+
+  ${BrickActiveList}
+  @group(0) @binding(7) var<storage> brickActive : BrickActiveList;
+
+  ${BrickMeshCountList}
+  @group(0) @binding(11) var<storage> brickOffsets : BrickMeshCountList;
+
+  ${ActiveCellList}
+  @group(0) @binding(12) var<storage, read_write> activeCells : ActiveCellList;
+
+  ${cellClassifier}
+
+  const COMPACT_SIZE = ${COMPACT_WORKGROUP_SIZE}u;
+  var<workgroup> activeSums : array<u32, COMPACT_SIZE>;
+
+  @compute @workgroup_size(COMPACT_SIZE)
+  fn computeMain(@builtin(workgroup_id) group_id : vec3u,
+                 @builtin(num_workgroups) groupCount : vec3u,
+                 @builtin(local_invocation_index) thread : u32) {
+    let gridSize = brickGridSize();
+    let brickCount = gridSize.x * gridSize.y * gridSize.z;
+    let brickIndex = min(group_id.x + group_id.y * groupCount.x, brickCount - 1u);
+    let brick = vec3u(brickIndex % gridSize.x,
+                      (brickIndex / gridSize.x) % gridSize.y,
+                      brickIndex / (gridSize.x * gridSize.y));
+    // Extra workgroups in the last row repeat the last brick, and skip it here. Every thread has
+    // to reach the barriers, so inactive bricks still step through their cells.
+    let inActiveBrick = group_id.x + group_id.y * groupCount.x < brickCount &&
+                        brickActive.bricks[brickIndex] != 0u;
+
+    var offset = brickOffsets.bricks[brickIndex].z;
+    for (var first = 0u; first < BRICK_SIZE * BRICK_SIZE * BRICK_SIZE; first = first + COMPACT_SIZE) {
+      let i = first + thread;
+      let id = brick * BRICK_SIZE + vec3u(i % BRICK_SIZE, (i / BRICK_SIZE) % BRICK_SIZE, i / (BRICK_SIZE * BRICK_SIZE));
+
+      var active = 0u;
+      if (inActiveBrick && all(id < cellGridSize()) && any(cellMeshCounts(id) != vec2u(0))) {
+        active = 1u;
+      }
+
+      // Inclusive scan of the active flags.
+      activeSums[thread] = active;
+      workgroupBarrier();
+      for (var stride = 1u; stride < COMPACT_SIZE; stride = stride * 2u) {
+        var sum = activeSums[thread];
+        if (thread >= stride) {
+          sum = sum + activeSums[thread - stride];
+        }
+        workgroupBarrier();
+        activeSums[thread] = sum;
+        workgroupBarrier();
+      }
+
+      if (active != 0u) {
+        activeCells.cells[offset + activeSums[thread] - 1u] =
+            id.x + (id.y * volume.size.x) + (id.z * volume.size.x * volume.size.y);
+      }
+      offset = offset + activeSums[COMPACT_SIZE - 1u];
+      workgroupBarrier();
+    }
+  }
+`;
+}
+
+export const MESH_SCAN_WORKGROUP_SIZE = 256;
+
+// Turns the vertex, index and active cell counts of every brick into the offsets of the brick's
+// first vertex, index and active cell with an exclusive prefix sum. Sets the draw arguments to the
+// totals, clamped to what fits in the output buffers, and the active cell dispatch to cover every
+// active cell. Dispatched as a single workgroup, with each thread summing a contiguous run of
+// bricks, since there are few enough bricks that it's not worth splitting the scan across
+// workgroups.
+export const MeshScanComputeSource = /*wgsl*/`
+  ${IsosurfaceVolume}
+  @group(0) @binding(1) var<storage> volume : IsosurfaceVolume;
+
+  ${DrawIndirectArgs}
+  @group(0) @binding(5) var<storage, read_write> drawOut : DrawIndirectArgs;
+
+  ${MeshStats}
+  @group(0) @binding(6) var<storage, read_write> statsOut : MeshStats;
+
+  ${BrickGrid}
+
+  ${BrickMeshCountList}
+  @group(0) @binding(11) var<storage, read_write> brickCounts : BrickMeshCountList;
+
+  ${ActiveCellList}
+  @group(0) @binding(12) var<storage, read_write> activeCells : ActiveCellList;
+
+  const SCAN_SIZE = ${MESH_SCAN_WORKGROUP_SIZE}u;
+  var<workgroup> runSums : array<vec4u, SCAN_SIZE>;
+
+  @compute @workgroup_size(SCAN_SIZE)
+  fn computeMain(@builtin(local_invocation_index) thread : u32) {
+    let gridSize = brickGridSize();
+    let brickCount = gridSize.x * gridSize.y * gridSize.z;
+    let runLength = (brickCount + SCAN_SIZE - 1u) / SCAN_SIZE;
+    let first = min(thread * runLength, brickCount);
+    let last = min(first + runLength, brickCount);
+
+    var runSum = vec4u(0);
+    for (var i = first; i < last; i = i + 1) {
+      runSum = runSum + brickCounts.bricks[i];
+    }
+    runSums[thread] = runSum;
+    workgroupBarrier();
+
+    // Inclusive scan of the runs.
+    for (var offset = 1u; offset < SCAN_SIZE; offset = offset * 2u) {
+      var sum = runSums[thread];
+      if (thread >= offset) {
+        sum = sum + runSums[thread - offset];
+      }
+      workgroupBarrier();
+      runSums[thread] = sum;
+      workgroupBarrier();
+    }
+
+    var offset = runSums[thread] - runSum;
+    for (var i = first; i < last; i = i + 1) {
+      let count = brickCounts.bricks[i];
+      brickCounts.bricks[i] = offset;
+      offset = offset + count;
+    }
+
+    if (thread == SCAN_SIZE - 1u) {
+      let total = runSums[thread];
+      atomicStore(&statsOut.vertexCount, total.x);
+      atomicStore(&statsOut.indexCount, total.y);
+      atomicStore(&drawOut.vertexCount, min(total.x, drawOut.vertexCapacity));
+      atomicStore(&drawOut.indexCount, min(total.y, drawOut.indexCapacity));
+
+      atomicStore(&statsOut.activeCells, total.z);
+      let groups = (total.z + ${ACTIVE_CELL_WORKGROUP_SIZE - 1}u) / ${ACTIVE_CELL_WORKGROUP_SIZE}u;
+      let rows = (groups + ${MAX_DISPATCH_SIZE - 1}u) / ${MAX_DISPATCH_SIZE}u;
+      activeCells.dispatchSize = vec3u(select(${MAX_DISPATCH_SIZE}u, groups, rows <= 1u), rows, 1u);
+      activeCells.count = total.z;
+    }
+  }
+`;
+
+// Maps each edge ID to the index of the vertex generated for it. Only the entries for edges that
+// cross the surface are written each frame.
+const EdgeVertexList = /*wgsl*/`
+  struct EdgeVertexList {
+    vertices: array<u32>,
+  }
+`;
+
+// First half of the welded marching cubes triangulation. Each cell generates the vertices for the
+// three edges that start at its first corner, so every vertex is only generated once and can be
+// shared by all of the cells that surround the edge. If a kernel is given the normals are computed
+// from the exact gradient of the field at each vertex, which also needs the metaballs (binding 9)
+// and ball lists of each brick (binding 10). Vertices are written in the given MetaballVertexFormat.
+export function MarchingCubesVertexComputeSource(kernel = null, vertexFormat = MetaballVertexFormats.separate) { return /*wgsl*/`
+  ${IsosurfaceVolume}
+  @group(0) @binding(1) var<storage> volume : IsosurfaceVolume;
+
+  // Output buffers, in the vertex format
+  ${vertexFormat.wgsl}
+
+  ${DrawIndirectArgs}
+  @group(0) @binding(5) var<storage, read_write> drawOut : DrawIndirectArgs;
+
+  ${EdgeVertexList}
+  @group(0) @binding(8) var<storage, read_write> edgeVertices : EdgeVertexList;
+
+  ${BrickMeshCursorList}
+  @group(0) @binding(11) var<storage, read_write> brickCursors : BrickMeshCursorList;
+
+  ${ActiveCellList}
+  @group(0) @binding(12) var<storage> activeCells : ActiveCellList;
+
+  ${MarchingCubesVolumeFunctions}
+
+  ${ActiveCellFunctions}
+
+  ${kernel ? /*wgsl*/`
+    ${MetaballList}
+    @group(0) @binding(9) var<storage> metaballs : MetaballList;
+
+    ${BrickList}
+    @group(0) @binding(10) var<storage> brickList : BrickList;
+
+    ${MetaballGradientFunctions(kernel)}
+
+    fn vertexNormal(i : vec3u, offset : vec3u, mu : f32, position : vec3f) -> vec3f {
+      // Crossings next to voxels with a forced value aren't on the field's surface.
+      if (fieldIsAnalytic(positionAt(i)) && fieldIsAnalytic(positionAt(i + offset))) {
+        // The field decreases away from the surface, so the normal points down the gradient.
+        return -surfaceGradient(position);
+      }
+      return mix(normalAt(i), normalAt(i + offset), vec3(mu));
+    }
+  ` : /*wgsl*/`
+    ${BrickGrid}
+
+    fn vertexNormal(i : vec3u, offset : vec3u, mu : f32, position : vec3f) -> vec3f {
+      return mix(normalAt(i), normalAt(i + offset), vec3(mu));
+    }
+  `}
+
+  fn emitVertex(i : vec3u, axis : u32, va : f32, vb : f32) {
+    // Vertices past the end of the buffers are still given an index, so that the triangles that
+    // use them can be dropped.
+    let vertex = atomicAdd(&brickCursors.bricks[brickIndexAt(i / BRICK_SIZE)].vertexCount, 1u);
+    edgeVertices.vertices[edgeId(i, axis)] = vertex;
+    if (vertex >= drawOut.vertexCapacity) { return; }
+
+    var offset = vec3u(0);
+    offset[axis] = 1u;
 
-  fn interpZ(index : u32, i : vec3u, va : f32, vb : f32) {
     let mu = (volume.threshold - va) / (vb - va);
-    positions[cubeVerts] = positionAt(i) + vec3f(0, 0, volume.step.z * mu);
+    let position = positionAt(i) + volume.step * vec3f(offset) * mu;
+    let normal = vertexNormal(i, offset, mu, position);
+
+    writeVertex(vertex, position, normal);
+  }
+
+  @compute @workgroup_size(${ACTIVE_CELL_WORKGROUP_SIZE})
+  fn computeMain(@builtin(global_invocation_id) invocation : vec3u,
+                 @builtin(num_workgroups) groupCount : vec3u) {
+    let cell = activeCellIndex(invocation, groupCount);
+    if (cell >= activeCells.count) { return; }
+    let id = activeCellAt(cell);
+
+    // Must match the vertices counted by MarchingCubesCellClassifier.
+    let v0 = valueAt(id);
+    let vx = valueAt(id + vec3u(1, 0, 0));
+    let vy = valueAt(id + vec3u(0, 1, 0));
+    let vz = valueAt(id + vec3u(0, 0, 1));
+
+    let inside = v0 < volume.threshold;
+    if (inside != (vx < volume.threshold)) { emitVertex(id, 0u, v0, vx); }
+    if (inside != (vy < volume.threshold)) { emitVertex(id, 1u, v0, vy); }
+    if (inside != (vz < volume.threshold)) { emitVertex(id, 2u, v0, vz); }
+  }
+`;
+}
+
+// Second half of the welded marching cubes triangulation, which must be dispatched after
+// MarchingCubesVertexComputeSource. Each cell looks up the vertices that were generated for its
+// edges and writes out the indices of its triangles.
+export const MarchingCubesComputeSource = /*wgsl*/`
+  ${MarchingCubesTables}
+  @group(0) @binding(0) var<storage> tables : Tables;
 
-    let na = normalAt(i);
-    let nb = normalAt(i + vec3u(0, 0, 1));
-    normals[cubeVerts] = mix(na, nb, vec3(mu));
+  ${IsosurfaceVolume}
+  @group(0) @binding(1) var<storage> volume : IsosurfaceVolume;
 
-    indices[index] = cubeVerts;
-    cubeVerts = cubeVerts + 1;
+  struct IndexBuffer {
+    tris : array<u32>,
   }
+  @group(0) @binding(4) var<storage, read_write> indicesOut : IndexBuffer;
+
+  ${DrawIndirectArgs}
+  @group(0) @binding(5) var<storage, read_write> drawOut : DrawIndirectArgs;
+
+  ${MeshStats}
+  @group(0) @binding(6) var<storage, read_write> statsOut : MeshStats;
+
+  ${BrickGrid}
+
+  ${EdgeVertexList}
+  @group(0) @binding(8) var<storage> edgeVertices : EdgeVertexList;
+
+  ${BrickMeshCursorList}
+  @group(0) @binding(11) var<storage, read_write> brickCursors : BrickMeshCursorList;
+
+  ${ActiveCellList}
+  @group(0) @binding(12) var<storage> activeCells : ActiveCellList;
+
+  ${MarchingCubesVolumeFunctions}
+
+  ${MarchingCubesCellFunctions}
+
+  ${ActiveCellFunctions}
+
+  // The corner each edge of the cube starts at, and the axis it runs along.
+  var<private> edgeCorners : array<vec3u, 12> = array<vec3u, 12>(
+    vec3u(0, 0, 0), vec3u(1, 0, 0), vec3u(0, 1, 0), vec3u(0, 0, 0),
+    vec3u(0, 0, 1), vec3u(1, 0, 1), vec3u(0, 1, 1), vec3u(0, 0, 1),
+    vec3u(0, 0, 0), vec3u(1, 0, 0), vec3u(1, 1, 0), vec3u(0, 1, 0)
+  );
+  var<private> edgeAxes : array<u32, 12> = array<u32, 12>(0, 1, 0, 1, 0, 1, 0, 1, 2, 2, 2, 2);
 
   // Main marching cubes algorithm
-  @compute @workgroup_size(${WORKGROUP_SIZE[0]}, ${WORKGROUP_SIZE[1]}, ${WORKGROUP_SIZE[2]})
-  fn computeMain(@builtin(global_invocation_id) global_id : vec3u) {
-    if (any(global_id >= volume.size)) { return; }
-
-    // Cache the values we're going to be referencing frequently.
-    let i0 = global_id;
-    let i1 = global_id + vec3u(1, 0, 0);
-    let i2 = global_id + vec3u(1, 1, 0);
-    let i3 = global_id + vec3u(0, 1, 0);
-    let i4 = global_id + vec3u(0, 0, 1);
-    let i5 = global_id + vec3u(1, 0, 1);
-    let i6 = global_id + vec3u(1, 1, 1);
-    let i7 = global_id + vec3u(0, 1, 1);
-
-    let v0 = valueAt(i0);
-    let v1 = valueAt(i1);
-    let v2 = valueAt(i2);
-    let v3 = valueAt(i3);
-    let v4 = valueAt(i4);
-    let v5 = valueAt(i5);
-    let v6 = valueAt(i6);
-    let v7 = valueAt(i7);
+  @compute @workgroup_size(${ACTIVE_CELL_WORKGROUP_SIZE})
+  fn computeMain(@builtin(global_invocation_id) invocation : vec3u,
+                 @builtin(num_workgroups) groupCount : vec3u) {
+    let cell = activeCellIndex(invocation, groupCount);
+    if (cell >= activeCells.count) { return; }
+    let id = activeCellAt(cell);
 
-    var cubeIndex = 0u;
-    if (v0 < volume.threshold) { cubeIndex = cubeIndex | 1; }
-    if (v1 < volume.threshold) { cubeIndex = cubeIndex | 2; }
-    if (v2 < volume.threshold) { cubeIndex = cubeIndex | 4; }
-    if (v3 < volume.threshold) { cubeIndex = cubeIndex | 8; }
-    if (v4 < volume.threshold) { cubeIndex = cubeIndex | 16; }
-    if (v5 < volume.threshold) { cubeIndex = cubeIndex | 32; }
-    if (v6 < volume.threshold) { cubeIndex = cubeIndex | 64; }
-    if (v7 < volume.threshold) { cubeIndex = cubeIndex | 128; }
-
-    let edges = tables.edges[cubeIndex];
-
-    // Early-terminate here if edges == 0
-    if (edges == 0u) { return; }
-
-    if ((edges & 1) != 0) { interpX(0, i0, v0, v1); }
-    if ((edges & 2) != 0) { interpY(1, i1, v1, v2); }
-    if ((edges & 4) != 0) { interpX(2, i3, v3, v2); }
-    if ((edges & 8) != 0) { interpY(3, i0, v0, v3); }
-    if ((edges & 16) != 0) { interpX(4, i4, v4, v5); }
-    if ((edges & 32) != 0) { interpY(5, i5, v5, v6); }
-    if ((edges & 64) != 0) { interpX(6, i7, v7, v6); }
-    if ((edges & 128) != 0) { interpY(7, i4, v4, v7); }
-    if ((edges & 256) != 0) { interpZ(8, i0, v0, v4); }
-    if ((edges & 512) != 0) { interpZ(9, i1, v1, v5); }
-    if ((edges & 1024) != 0) { interpZ(10, i2, v2, v6); }
-    if ((edges & 2048) != 0) { interpZ(11, i3, v3, v7); }
+    let brickIndex = brickIndexAt(id / BRICK_SIZE);
+
+    let cubeIndex = cubeIndexAt(id);
+    let indexCount = cellIndexCount(cubeIndex);
+
+    // Cells can be active just for the vertices on their edges.
+    if (indexCount == 0u) { return; }
+
+    atomicAdd(&statsOut.triangulatedCells, 1u);
 
     let triTableOffset = (cubeIndex << 4) + 1;
-    let indexCount = u32(tables.tris[triTableOffset - 1]);
+    let firstIndex = atomicAdd(&brickCursors.bricks[brickIndex].indexCount, indexCount);
+
+    // Write out the indices of the shared vertices, leaving out any triangles that don't fit in
+    // the buffer. Triangles that use a vertex that didn't fit are collapsed to a point.
+    for (var i = 0u; i < indexCount; i = i + 3) {
+      if (firstIndex + i + 3 > drawOut.indexCapacity) { return; }
+
+      var triangle : array<u32, 3>;
+      var inBounds = true;
+      for (var j = 0u; j < 3; j = j + 1) {
+        let edge = u32(tables.tris[triTableOffset + i + j]);
+        triangle[j] = edgeVertices.vertices[edgeId(id + edgeCorners[edge], edgeAxes[edge])];
+        inBounds = inBounds && triangle[j] < drawOut.vertexCapacity;
+      }
+      for (var j = 0u; j < 3; j = j + 1) {
+        indicesOut.tris[firstIndex + i + j] = select(0u, triangle[j], inBounds);
+      }
+    }
+  }
+`;
 
-    // Increment atomics that track the current vertex and index offsets
-    var firstVertex = atomicAdd(&drawOut.vertexCount, cubeVerts);
-    let firstIndex = atomicAdd(&drawOut.indexCount, indexCount);
+// Classifies the cells for the marching cubes passes. Requires an IsosurfaceVolume named volume.
+const MarchingCubesCellClassifier = /*wgsl*/`
+  ${MarchingCubesTables}
+  @group(0) @binding(0) var<storage> tables : Tables;
 
-    // Copy positions to output buffer
-    for (var i = 0u; i < cubeVerts; i = i + 1) {
-      positionsOut.values[firstVertex*3 + i*3] = positions[i].x;
-      positionsOut.values[firstVertex*3 + i*3 + 1] = positions[i].y;
-      positionsOut.values[firstVertex*3 + i*3 + 2] = positions[i].z;
+  ${MarchingCubesVolumeFunctions}
 
-      normalsOut.values[firstVertex*3 + i*3] = normals[i].x;
-      normalsOut.values[firstVertex*3 + i*3 + 1] = normals[i].y;
-      normalsOut.values[firstVertex*3 + i*3 + 2] = normals[i].z;
+  ${MarchingCubesCellFunctions}
+
+  fn cellGridSize() -> vec3u {
+    return volume.size;
+  }
+
+  // One vertex for each of the edges starting at the cell's first corner that cross the surface,
+  // and the indices of the cell's triangles. Must match MarchingCubesVertexComputeSource and
+  // MarchingCubesComputeSource.
+  fn cellMeshCounts(id : vec3u) -> vec2u {
+    let inside = valueAt(id) < volume.threshold;
+    var vertexCount = 0u;
+    if (inside != (valueAt(id + vec3u(1, 0, 0)) < volume.threshold)) { vertexCount = vertexCount + 1; }
+    if (inside != (valueAt(id + vec3u(0, 1, 0)) < volume.threshold)) { vertexCount = vertexCount + 1; }
+    if (inside != (valueAt(id + vec3u(0, 0, 1)) < volume.threshold)) { vertexCount = vertexCount + 1; }
+
+    return vec2u(vertexCount, cellIndexCount(cubeIndexAt(id)));
+  }
+`;
+
+export const MarchingCubesCountComputeSource = MeshCountComputeSource(MarchingCubesCellClassifier);
+export const MarchingCubesCompactComputeSource = MeshCompactComputeSource(MarchingCubesCellClassifier);
+
+// Shared by the surface nets shaders. Requires an IsosurfaceVolume named volume and the
+// MarchingCubesVolumeFunctions.
+const SurfaceNetsCellFunctions = /*wgsl*/`
+  // Cells are identified by the index of their first corner's voxel, so the vertex list can share a
+  // buffer with the marching cubes edge list.
+  fn cellId(index : vec3u) -> u32 {
+    return index.x +
+          (index.y * volume.size.x) +
+          (index.z * volume.size.x * volume.size.y);
+  }
+
+  fn cellCount() -> vec3u {
+    return volume.size - vec3u(1);
+  }
+
+  // Which of the edges that start at the cell's first corner get a quad: those that cross the
+  // surface and have cells on every side of them.
+  fn quadEdges(id : vec3u) -> vec3<bool> {
+    let inside = valueAt(id) >= volume.threshold;
+    return vec3<bool>(
+      id.y > 0 && id.z > 0 && inside != (valueAt(id + vec3u(1, 0, 0)) >= volume.threshold),
+      id.x > 0 && id.z > 0 && inside != (valueAt(id + vec3u(0, 1, 0)) >= volume.threshold),
+      id.x > 0 && id.y > 0 && inside != (valueAt(id + vec3u(0, 0, 1)) >= volume.threshold)
+    );
+  }
+`;
+
+// First half of the Surface Nets/Dual Contouring triangulation. Places a vertex inside each cell
+// that the surface passes through, either at the average of the points where it crosses the cell's
+// edges (Surface Nets) or at the point that best fits the surface's tangent planes at those
+// crossings (Dual Contouring). Must match SurfaceNets.placeVertex and DualContouring.placeVertex.
+// Vertices are written in the given MetaballVertexFormat.
+export function SurfaceNetsVertexComputeSource(dualContouring = false, vertexFormat = MetaballVertexFormats.separate) { return /*wgsl*/`
+  ${IsosurfaceVolume}
+  @group(0) @binding(1) var<storage> volume : IsosurfaceVolume;
+
+  // Output buffers, in the vertex format
+  ${vertexFormat.wgsl}
+
+  ${DrawIndirectArgs}
+  @group(0) @binding(5) var<storage, read_write> drawOut : DrawIndirectArgs;
+
+  ${MeshStats}
+  @group(0) @binding(6) var<storage, read_write> statsOut : MeshStats;
+
+  ${BrickGrid}
+
+  ${EdgeVertexList}
+  @group(0) @binding(8) var<storage, read_write> cellVertices : EdgeVertexList;
+
+  ${BrickMeshCursorList}
+  @group(0) @binding(11) var<storage, read_write> brickCursors : BrickMeshCursorList;
+
+  ${ActiveCellList}
+  @group(0) @binding(12) var<storage> activeCells : ActiveCellList;
+
+  ${MarchingCubesVolumeFunctions}
+
+  ${SurfaceNetsCellFunctions}
+
+  ${ActiveCellFunctions}
+
+  // Corners are indexed by bit (x = 1, y = 2, z = 4), matching CELL_CORNERS and CELL_EDGES.
+  var<private> cellCorners : array<vec3u, 8> = array<vec3u, 8>(
+    vec3u(0, 0, 0), vec3u(1, 0, 0), vec3u(0, 1, 0), vec3u(1, 1, 0),
+    vec3u(0, 0, 1), vec3u(1, 0, 1), vec3u(0, 1, 1), vec3u(1, 1, 1)
+  );
+  var<private> cellEdges : array<vec2u, 12> = array<vec2u, 12>(
+    vec2u(0, 1), vec2u(2, 3), vec2u(4, 5), vec2u(6, 7),
+    vec2u(0, 2), vec2u(1, 3), vec2u(4, 6), vec2u(5, 7),
+    vec2u(0, 4), vec2u(1, 5), vec2u(2, 6), vec2u(3, 7)
+  );
+
+  var<private> values : array<f32, 8>;
+  var<private> gradients : array<vec3f, 8>;
+  var<private> crossings : array<vec3f, 12>;
+  var<private> crossingNormals : array<vec3f, 12>;
+  var<private> crossingCount = 0u;
+
+  fn placeVertex() -> vec3f {
+    var average = vec3f(0);
+    for (var i = 0u; i < crossingCount; i = i + 1) {
+      average = average + crossings[i];
+    }
+    average = average / f32(crossingCount);
+
+    ${dualContouring ? /*wgsl*/`
+    // Solve the normal equations AᵀA x = Aᵀb for the offset from the average, biased towards the
+    // average to keep the solution stable when the planes are (nearly) parallel.
+    let bias = ${QEF_BIAS};
+    var ata = mat3x3f(bias, 0, 0, 0, bias, 0, 0, 0, bias);
+    var atb = vec3f(0);
+    for (var i = 0u; i < crossingCount; i = i + 1) {
+      if (all(crossingNormals[i] == vec3f(0))) { continue; }
+      let n = normalize(crossingNormals[i]);
+      let d = dot(n, crossings[i] - average);
+      ata = ata + mat3x3f(n * n.x, n * n.y, n * n.z);
+      atb = atb + n * d;
     }
 
-    // Write out the indices
-    for (var i = 0u; i < indexCount; i = i + 1) {
-      let index = tables.tris[triTableOffset + i];
-      indicesOut.tris[firstIndex + i] = firstVertex + indices[index];
+    let det = determinant(ata);
+    if (abs(det) < 1e-12) { return average; }
+
+    // Cramer's rule
+    let offset = vec3f(
+      determinant(mat3x3f(atb, ata[1], ata[2])),
+      determinant(mat3x3f(ata[0], atb, ata[2])),
+      determinant(mat3x3f(ata[0], ata[1], atb))
+    ) / det;
+
+    // Keep the vertex inside of the cell, otherwise the mesh can fold over itself.
+    return clamp(average + offset, vec3f(0), vec3f(1));
+    ` : /*wgsl*/`
+    return average;
+    `}
+  }
+
+  @compute @workgroup_size(${ACTIVE_CELL_WORKGROUP_SIZE})
+  fn computeMain(@builtin(global_invocation_id) invocation : vec3u,
+                 @builtin(num_workgroups) groupCount : vec3u) {
+    let cell = activeCellIndex(invocation, groupCount);
+    if (cell >= activeCells.count) { return; }
+    let id = activeCellAt(cell);
+
+    let brickIndex = brickIndexAt(id / BRICK_SIZE);
+
+    var cornerMask = 0u;
+    for (var c = 0u; c < 8; c = c + 1) {
+      values[c] = valueAt(id + cellCorners[c]);
+      if (values[c] < volume.threshold) {
+        cornerMask = cornerMask | (1u << c);
+      }
+    }
+
+    // Cell is entirely in/out of the surface, and only active for its quads.
+    if (cornerMask == 0u || cornerMask == 255u) { return; }
+
+    atomicAdd(&statsOut.triangulatedCells, 1u);
+
+    // Vertices past the end of the buffers are still given an index, so that the quads that use
+    // them can be dropped.
+    let vertex = atomicAdd(&brickCursors.bricks[brickIndex].vertexCount, 1u);
+    cellVertices.vertices[cellId(id)] = vertex;
+    if (vertex >= drawOut.vertexCapacity) { return; }
+
+    for (var c = 0u; c < 8; c = c + 1) {
+      gradients[c] = normalAt(id + cellCorners[c]);
+    }
+
+    // Find where the surface crosses the edges of the cell.
+    for (var e = 0u; e < 12; e = e + 1) {
+      let a = cellEdges[e].x;
+      let b = cellEdges[e].y;
+      if (((cornerMask >> a) & 1u) == ((cornerMask >> b) & 1u)) { continue; }
+
+      let mu = (volume.threshold - values[a]) / (values[b] - values[a]);
+      crossings[crossingCount] = mix(vec3f(cellCorners[a]), vec3f(cellCorners[b]), vec3f(mu));
+      crossingNormals[crossingCount] = mix(gradients[a], gradients[b], vec3f(mu));
+      crossingCount = crossingCount + 1;
+    }
+
+    let p = placeVertex();
+    let position = positionAt(id) + volume.step * p;
+
+    // Trilinearly interpolate the corner gradients, which gives smooth normals across cells.
+    var normal = vec3f(0);
+    for (var c = 0u; c < 8; c = c + 1) {
+      let weights = select(vec3f(1) - p, p, cellCorners[c] == vec3u(1));
+      normal = normal + gradients[c] * (weights.x * weights.y * weights.z);
+    }
+
+    writeVertex(vertex, position, normal);
+  }
+`;
+}
+
+// Second half of the Surface Nets/Dual Contouring triangulation, which must be dispatched after
+// SurfaceNetsVertexComputeSource. Each cell connects the vertices of the cells around the edges
+// that start at its first corner with a quad, if that edge crosses the surface.
+export const SurfaceNetsComputeSource = /*wgsl*/`
+  ${IsosurfaceVolume}
+  @group(0) @binding(1) var<storage> volume : IsosurfaceVolume;
+
+  struct IndexBuffer {
+    tris : array<u32>,
+  }
+  @group(0) @binding(4) var<storage, read_write> indicesOut : IndexBuffer;
+
+  ${DrawIndirectArgs}
+  @group(0) @binding(5) var<storage, read_write> drawOut : DrawIndirectArgs;
+
+  ${BrickGrid}
+
+  ${EdgeVertexList}
+  @group(0) @binding(8) var<storage> cellVertices : EdgeVertexList;
+
+  ${BrickMeshCursorList}
+  @group(0) @binding(11) var<storage, read_write> brickCursors : BrickMeshCursorList;
+
+  ${ActiveCellList}
+  @group(0) @binding(12) var<storage> activeCells : ActiveCellList;
+
+  ${MarchingCubesVolumeFunctions}
+
+  ${SurfaceNetsCellFunctions}
+
+  ${ActiveCellFunctions}
+
+  // Quads are given counter-clockwise when viewed from the positive end of their edge, and are
+  // flipped when the surface faces the other way. Matches SurfaceNets.emitQuad. Quads that don't fit
+  // in the buffer are left out, and quads that use a vertex that didn't fit are collapsed to a point.
+  fn emitQuad(brickIndex : u32, facesPositive : bool, a : vec3u, b : vec3u, c : vec3u, d : vec3u) {
+    let firstIndex = atomicAdd(&brickCursors.bricks[brickIndex].indexCount, 6u);
+    if (firstIndex + 6 > drawOut.indexCapacity) { return; }
+
+    var va = cellVertices.vertices[cellId(a)];
+    var vb = cellVertices.vertices[cellId(b)];
+    var vc = cellVertices.vertices[cellId(c)];
+    var vd = cellVertices.vertices[cellId(d)];
+    if (max(max(va, vb), max(vc, vd)) >= drawOut.vertexCapacity) {
+      va = 0u;
+      vb = 0u;
+      vc = 0u;
+      vd = 0u;
+    }
+
+    if (facesPositive) {
+      indicesOut.tris[firstIndex] = va;
+      indicesOut.tris[firstIndex + 1] = vb;
+      indicesOut.tris[firstIndex + 2] = vc;
+      indicesOut.tris[firstIndex + 3] = va;
+      indicesOut.tris[firstIndex + 4] = vc;
+      indicesOut.tris[firstIndex + 5] = vd;
+    } else {
+      indicesOut.tris[firstIndex] = va;
+      indicesOut.tris[firstIndex + 1] = vc;
+      indicesOut.tris[firstIndex + 2] = vb;
+      indicesOut.tris[firstIndex + 3] = va;
+      indicesOut.tris[firstIndex + 4] = vd;
+      indicesOut.tris[firstIndex + 5] = vc;
+    }
+  }
+
+  @compute @workgroup_size(${ACTIVE_CELL_WORKGROUP_SIZE})
+  fn computeMain(@builtin(global_invocation_id) invocation : vec3u,
+                 @builtin(num_workgroups) groupCount : vec3u) {
+    let cell = activeCellIndex(invocation, groupCount);
+    if (cell >= activeCells.count) { return; }
+    let id = activeCellAt(cell);
+
+    let brickIndex = brickIndexAt(id / BRICK_SIZE);
+
+    let inside = valueAt(id) >= volume.threshold;
+    let quads = quadEdges(id);
+
+    if (quads.x) {
+      emitQuad(brickIndex, inside, id - vec3u(0, 1, 1), id - vec3u(0, 0, 1), id, id - vec3u(0, 1, 0));
+    }
+
+    if (quads.y) {
+      emitQuad(brickIndex, inside, id - vec3u(1, 0, 1), id - vec3u(1, 0, 0), id, id - vec3u(0, 0, 1));
+    }
+
+    if (quads.z) {
+      emitQuad(brickIndex, inside, id - vec3u(1, 1, 0), id - vec3u(0, 1, 0), id, id - vec3u(1, 0, 0));
     }
   }
 `;
 
+// Classifies the cells for the Surface Nets/Dual Contouring passes. Requires an IsosurfaceVolume
+// named volume.
+const SurfaceNetsCellClassifier = /*wgsl*/`
+  ${MarchingCubesVolumeFunctions}
+
+  ${SurfaceNetsCellFunctions}
+
+  fn cellGridSize() -> vec3u {
+    return cellCount();
+  }
+
+  // A vertex if the surface passes through the cell, and a quad for each of the edges starting at
+  // its first corner that cross the surface. Must match SurfaceNetsVertexComputeSource and
+  // SurfaceNetsComputeSource.
+  fn cellMeshCounts(id : vec3u) -> vec2u {
+    var insideCount = 0u;
+    for (var c = 0u; c < 8; c = c + 1) {
+      let corner = vec3u(c & 1u, (c >> 1u) & 1u, (c >> 2u) & 1u);
+      if (valueAt(id + corner) < volume.threshold) {
+        insideCount = insideCount + 1;
+      }
+    }
+
+    let quads = vec3u(quadEdges(id));
+    return vec2u(select(0u, 1u, insideCount > 0u && insideCount < 8u), 6u * (quads.x + quads.y + quads.z));
+  }
+`;
+
+export const SurfaceNetsCountComputeSource = MeshCountComputeSource(SurfaceNetsCellClassifier);
+export const SurfaceNetsCompactComputeSource = MeshCompactComputeSource(SurfaceNetsCellClassifier);
+
 export const MetaballRenderSource = /*wgsl*/`
   ${ProjectionUniforms}
   ${ViewUniforms}
@@ -0,0 +1,232 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+//
+// A general purpose pool of staging memory for uploading transient data to the GPU.
+//
+// Staging buffers are allocated in pages, and each frame's uploads are sub-allocated out of one set
+// of pages as slices that stay mapped until the frame's copies are encoded. Once the command buffer
+// those copies were recorded into has been submitted the set is fenced with onSubmittedWorkDone(),
+// re-mapped, and returned to the pool for a later frame to use. The pool keeps enough sets for
+// frameCount frames to be in flight at once. Sets beyond that are destroyed once the GPU is done with
+// them rather than being kept around, as are any whose pages fail to be re-mapped. The page size
+// grows to fit the largest slice that's been requested, so that large uploads made every frame
+// reuse their pages like everything else.
+//
+// Typical usage is to either allocate() a slice, write the data into its arrayBuffer and copy() it
+// to the destination, or to upload() data that's already in an ArrayBuffer. The copies are then
+// recorded into a command encoder with encodeCopies(), and afterSubmit() is called once that encoder
+// has been submitted. submit() does all of that with a command buffer of its own, for uploads that
+// happen outside of a frame.
+//
+// Slices are only valid until encodeCopies() is called, at which point their pages are unmapped and
+// the arrayBuffers are detached.
+//
+
+// getMappedRange() requires offsets to be 8 byte aligned, and copyBufferToBuffer() requires sizes to
+// be 4 byte aligned.
+const SLICE_OFFSET_ALIGNMENT = 8;
+const SLICE_SIZE_ALIGNMENT = 4;
+
+const DEFAULT_PAGE_SIZE = 4 * 1024 * 1024;
+
+function align(value, alignment) {
+  return Math.ceil(value / alignment) * alignment;
+}
+
+export class StagingRing {
+  #device;
+  #frameCount;
+  #pageSize;
+  #currentFrame = null;
+  #encodedFrames = [];
+  #freeFrames = [];
+  #copies = [];
+  #destroyed = false;
+
+  constructor(device, { frameCount = 3, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    this.#device = device;
+    this.#frameCount = frameCount;
+    this.#pageSize = pageSize;
+  }
+
+  // Returns a mapped slice of staging memory at least size bytes long:
+  // { buffer, offset, size, arrayBuffer }
+  allocate(size) {
+    const alignedSize = align(size, SLICE_SIZE_ALIGNMENT);
+    this.#pageSize = Math.max(this.#pageSize, alignedSize);
+    const frame = this.#getCurrentFrame();
+
+    let page = frame.pages[frame.pageIndex];
+    while (page && page.offset + alignedSize > page.buffer.size) {
+      page = frame.pages[++frame.pageIndex];
+    }
+
+    if (!page) {
+      page = {
+        buffer: this.#device.createBuffer({
+          label: 'Staging Ring Page',
+          size: this.#pageSize,
+          usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.MAP_WRITE,
+          mappedAtCreation: true,
+        }),
+        offset: 0,
+        mapped: true,
+      };
+      frame.pageIndex = frame.pages.length;
+      frame.pages.push(page);
+    }
+
+    const slice = {
+      buffer: page.buffer,
+      offset: page.offset,
+      size: alignedSize,
+      arrayBuffer: page.buffer.getMappedRange(page.offset, alignedSize),
+    };
+    page.offset += align(alignedSize, SLICE_OFFSET_ALIGNMENT);
+    return slice;
+  }
+
+  // Records a copy of the first size bytes of slice into dstBuffer at dstOffset.
+  copy(slice, dstBuffer, dstOffset = 0, size = slice.size) {
+    const alignedSize = align(size, SLICE_SIZE_ALIGNMENT);
+    if (!alignedSize) { return; }
+    this.#copies.push({
+      srcBuffer: slice.buffer,
+      srcOffset: slice.offset,
+      dstBuffer,
+      dstOffset,
+      size: alignedSize,
+    });
+  }
+
+  // Copies data (an ArrayBuffer or ArrayBufferView) into a new slice and records a copy of it into
+  // dstBuffer at dstOffset. The copy is rounded up to a multiple of 4 bytes, so dstBuffer must have
+  // room for that.
+  upload(dstBuffer, dstOffset, data) {
+    const bytes = ArrayBuffer.isView(data) ?
+        new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+        new Uint8Array(data);
+    const slice = this.allocate(bytes.byteLength);
+    new Uint8Array(slice.arrayBuffer).set(bytes);
+    this.copy(slice, dstBuffer, dstOffset);
+    return slice;
+  }
+
+  // Unmaps the pages that have been written to and records all of the copies since the last call
+  // into commandEncoder. Should be called before any commands that read from the destinations.
+  encodeCopies(commandEncoder) {
+    const frame = this.#currentFrame;
+    if (!frame) { return; }
+
+    for (const page of frame.pages) {
+      if (page.offset) {
+        page.buffer.unmap();
+        page.mapped = false;
+      }
+    }
+
+    for (const copy of this.#copies) {
+      commandEncoder.copyBufferToBuffer(copy.srcBuffer, copy.srcOffset, copy.dstBuffer, copy.dstOffset, copy.size);
+    }
+
+    this.#copies = [];
+    this.#currentFrame = null;
+    this.#encodedFrames.push(frame);
+  }
+
+  // Must be called once the command buffer that encodeCopies() recorded into has been submitted.
+  afterSubmit() {
+    if (!this.#encodedFrames.length) { return; }
+
+    const fence = this.#device.queue.onSubmittedWorkDone();
+    for (const frame of this.#encodedFrames) {
+      fence.then(() => {
+        return Promise.all(frame.pages.filter((page) => !page.mapped).map((page) => {
+          return page.buffer.mapAsync(GPUMapMode.WRITE).then(() => { page.mapped = true; });
+        }));
+      }).then(() => {
+        this.#recycleFrame(frame);
+      }).catch((err) => {
+        if (!this.#destroyed) {
+          console.warn('Unable to re-map a staging ring frame. Its pages will be dropped.', err);
+        }
+        this.#dropFrame(frame);
+      });
+    }
+    this.#encodedFrames = [];
+  }
+
+  // Submits any pending copies in a command buffer of their own.
+  submit() {
+    if (!this.#currentFrame) { return; }
+
+    const commandEncoder = this.#device.createCommandEncoder({});
+    this.encodeCopies(commandEncoder);
+    this.#device.queue.submit([commandEncoder.finish()]);
+    this.afterSubmit();
+  }
+
+  #getCurrentFrame() {
+    if (!this.#currentFrame) {
+      this.#currentFrame = this.#freeFrames.pop() || { pages: [], pageIndex: 0 };
+    }
+    return this.#currentFrame;
+  }
+
+  #recycleFrame(frame) {
+    if (this.#destroyed || this.#freeFrames.length >= this.#frameCount) {
+      this.#dropFrame(frame);
+      return;
+    }
+
+    for (const page of frame.pages) {
+      page.offset = 0;
+    }
+    frame.pageIndex = 0;
+
+    if (frame.pages.length) {
+      this.#freeFrames.push(frame);
+    }
+  }
+
+  #dropFrame(frame) {
+    for (const page of frame.pages) {
+      page.buffer.destroy();
+    }
+    frame.pages = [];
+  }
+
+  // Pages that are still in flight are destroyed once the GPU is done with them.
+  destroy() {
+    this.#destroyed = true;
+    const frames = [...this.#freeFrames, ...this.#encodedFrames];
+    if (this.#currentFrame) { frames.push(this.#currentFrame); }
+    for (const frame of frames) {
+      for (const page of frame.pages) {
+        page.buffer.destroy();
+      }
+    }
+    this.#freeFrames = [];
+    this.#encodedFrames = [];
+    this.#currentFrame = null;
+    this.#copies = [];
+  }
+}
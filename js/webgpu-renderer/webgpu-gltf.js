@@ -97,23 +97,12 @@ export class WebGPUglTF {
     });
     bufferView.renderData.gpuBuffer = gpuBuffer;
 
-    // TODO: Pretty sure this can all be handled more efficiently.
-    const copyBuffer = this.device.createBuffer({
-      size: alignedLength,
-      usage: GPUBufferUsage.COPY_SRC,
-      mappedAtCreation: true
-    });
-    const copyBufferArray = new Uint8Array(copyBuffer.getMappedRange());
-
     const bufferData = await bufferView.dataView;
 
-    const srcByteArray = new Uint8Array(bufferData.buffer, bufferData.byteOffset, bufferData.byteLength);
-    copyBufferArray.set(srcByteArray);
-    copyBuffer.unmap();
-
-    const commandEncoder = this.device.createCommandEncoder({});
-    commandEncoder.copyBufferToBuffer(copyBuffer, 0, gpuBuffer, 0, alignedLength);
-    this.device.queue.submit([commandEncoder.finish()]);
+    // The scene may be loaded before any frames run, so submit the copy right away rather than
+    // leaving it for the next frame to encode.
+    this.renderer.stagingRing.upload(gpuBuffer, 0, bufferData);
+    this.renderer.stagingRing.submit();
   }
 
   async initImage(image) {
@@ -15,18 +15,52 @@
 
 import { BIND_GROUP, ATTRIB_MAP } from './shaders/common.js';
 import {
+  MetaballBinComputeSource,
   MetaballFieldComputeSource,
+  MarchingCubesBrickRangeSource,
+  MarchingCubesCountComputeSource,
+  MarchingCubesCompactComputeSource,
+  MarchingCubesVertexComputeSource,
   MarchingCubesComputeSource,
+  SurfaceNetsCountComputeSource,
+  SurfaceNetsCompactComputeSource,
+  SurfaceNetsVertexComputeSource,
+  SurfaceNetsComputeSource,
+  MeshScanComputeSource,
   WORKGROUP_SIZE,
   MetaballRenderSource,
-  MetaballRenderPointSource
+  MetaballRenderPointSource,
+  METABALL_FLOAT_STRIDE,
+  METABALL_CONTAINER_OFFSET,
+  METABALL_HEADER_SIZE,
+  BRICK_BYTE_SIZE,
+  MESH_STATS_SIZE,
+  BRICK_MESH_CURSOR_SIZE,
+  ACTIVE_CELL_HEADER_SIZE,
 } from './shaders/metaball.js';
 import {
   MarchingCubesEdgeTable,
   MarchingCubesTriTable,
 } from "../marching-cubes-tables.js";
-
-const MAX_METABALLS = 32;
+import { BRICK_SIZE, MarchingCubes } from "../marching-cubes.js";
+import { MarchingTetrahedra } from "../marching-tetrahedra.js";
+import { SurfaceNets } from "../surface-nets.js";
+import { DualContouring } from "../dual-contouring.js";
+import { AdaptiveOctree } from "../adaptive-octree.js";
+import { WasmMarchingCubes } from "../wasm-marching-cubes.js";
+import { SampleType } from "../performance-tracker.js";
+import { getMetaballVertexFormat, metaballVertexBuffers } from "./metaball-vertex-format.js";
+import { BufferPool } from "./buffer-pool.js";
+
+// Initial number of metaballs the compute buffers have room for. Grows as needed.
+const INITIAL_METABALL_CAPACITY = 32;
+const METABALL_BYTE_STRIDE = Float32Array.BYTES_PER_ELEMENT * METABALL_FLOAT_STRIDE;
+
+// Initial number of vertices and indices the mesh buffers have room for. Grows by
+// MESH_GROWTH_FACTOR whenever a frame's mesh doesn't fit.
+const INITIAL_MESH_VERTEX_CAPACITY = 65536;
+const INITIAL_MESH_INDEX_CAPACITY = 6 * INITIAL_MESH_VERTEX_CAPACITY;
+const MESH_GROWTH_FACTOR = 1.5;
 
 // Common assets used by every variant of the Metaball renderer
 class WebGPUMetaballRendererBase {
@@ -35,29 +69,35 @@ class WebGPUMetaballRendererBase {
     this.device = renderer.device;
     this.volume = volume;
 
-    // Computes buffer sizes large enough for the maximum possible number of triangles in that volume
+    // How the mesh is laid out in the vertex buffers, see metaball-vertex-format.js.
+    this.vertexFormat = getMetaballVertexFormat(renderer.metaballVertexFormat);
+
+    // The maximum possible number of vertices and indices in that volume. The mesh buffers start out
+    // with room for a typical mesh instead, and grow whenever the mesher reports that one didn't fit.
+    const voxelCount = volume.width * volume.height * volume.depth;
     this.marchingCubeCells = (volume.width-1) * (volume.height-1) * (volume.depth-1);
-    this.vertexBufferSize = (Float32Array.BYTES_PER_ELEMENT * 3) * 12 * this.marchingCubeCells;
-    this.indexBufferSize = Uint32Array.BYTES_PER_ELEMENT * 15 * this.marchingCubeCells;
+    this.marchingCubeEdges = 3 * voxelCount;
+    this.maxVertexCapacity = this.mesherType.maxVerticesPerVoxel * voxelCount;
+    this.maxIndexCapacity = this.mesherType.maxIndicesPerCell * this.marchingCubeCells;
+    this.vertexCapacity = Math.min(INITIAL_MESH_VERTEX_CAPACITY, this.maxVertexCapacity);
+    this.indexCapacity = Math.min(INITIAL_MESH_INDEX_CAPACITY, this.maxIndexCapacity);
 
     this.indexCount = 0;
 
-    // Metaball resources
-    if (createBuffers) {
-      this.vertexBuffer = this.device.createBuffer({
-        size: this.vertexBufferSize,
-        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.VERTEX,
-      });
+    // Number of bytes written to the GPU since the last frame was submitted.
+    this.uploadedBytes = 0;
 
-      this.normalBuffer = this.device.createBuffer({
-        size: this.vertexBufferSize,
-        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.VERTEX,
-      });
+    // Number of balls that were left out of the last update because the method couldn't fit them.
+    this.droppedBallCount = 0;
 
-      this.indexBuffer = this.device.createBuffer({
-        size: this.indexBufferSize,
-        usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.INDEX,
-      });
+    // Methods that triangulate the volume with something other than the renderer's MarchingCubes set
+    // this to the object they use instead.
+    this.mesher = null;
+
+    // Metaball resources
+    this.hasMeshBuffers = createBuffers;
+    if (createBuffers) {
+      this.createMeshBuffers();
     }
 
     const module = this.device.createShaderModule({ code: MetaballRenderSource })
@@ -72,21 +112,7 @@ class WebGPUMetaballRendererBase {
       }),
       vertex: {
         module,
-        buffers: [{
-          arrayStride: 12,
-          attributes: [{
-            shaderLocation: ATTRIB_MAP.POSITION,
-            format: 'float32x3',
-            offset: 0
-          }],
-        }, {
-          arrayStride: 12,
-          attributes: [{
-            shaderLocation: ATTRIB_MAP.NORMAL,
-            format: 'float32x3',
-            offset: 0
-          }],
-        }]
+        buffers: metaballVertexBuffers(this.vertexFormat),
       },
       fragment: {
         module,
@@ -109,7 +135,147 @@ class WebGPUMetaballRendererBase {
     });
   }
 
+  // The class used to triangulate the volume, which determines how large the buffers need to be.
+  get mesherType() {
+    return MarchingCubes;
+  }
+
+  get vertexBufferSize() {
+    return this.vertexFormat.byteStride * this.vertexCapacity;
+  }
+
+  // Number of vertex buffers the mesh is split between.
+  get vertexStreamCount() {
+    return this.vertexFormat.normalStream ? 2 : 1;
+  }
+
+  get indexBufferSize() {
+    return Uint32Array.BYTES_PER_ELEMENT * this.indexCapacity;
+  }
+
+  createMeshBuffers() {
+    this.vertexBuffer = this.device.createBuffer({
+      size: this.vertexBufferSize,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.VERTEX,
+    });
+
+    this.normalBuffer = !this.vertexFormat.normalStream ? null : this.device.createBuffer({
+      size: this.vertexBufferSize,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.VERTEX,
+    });
+
+    this.indexBuffer = this.device.createBuffer({
+      size: this.indexBufferSize,
+      usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.INDEX,
+    });
+  }
+
+  // Generates the mesh with the vertices written into vertexData (and normalData, if the format has
+  // a separate normal stream) in the vertex format, and the indices into indexData. All three are
+  // ArrayBuffers. Returns the arrays that were given to generateMesh().
+  generateMeshInto(mesher, vertexData, normalData, indexData) {
+    const format = this.vertexFormat;
+    if (!format.pack) {
+      const arrays = {
+        positions: new Float32Array(vertexData),
+        normals:   new Float32Array(normalData),
+        indices:   new Uint32Array(indexData)
+      };
+      this.indexCount = mesher.generateMesh(arrays);
+      return arrays;
+    }
+
+    // The meshers only write separate positions and normals arrays, so any other format takes an
+    // extra pass on the CPU to pack them. The scratch arrays are only reallocated when they grow, so
+    // a capacity that shrinks again (see MetaballNewBuffer) uses the start of them.
+    if (!this.scratchPositions || this.scratchPositions.length < this.vertexCapacity * 3) {
+      this.scratchPositions = new Float32Array(this.vertexCapacity * 3);
+      this.scratchNormals = new Float32Array(this.vertexCapacity * 3);
+    }
+    const arrays = {
+      positions: this.scratchPositions.subarray(0, this.vertexCapacity * 3),
+      normals:   this.scratchNormals.subarray(0, this.vertexCapacity * 3),
+      indices:   new Uint32Array(indexData)
+    };
+    this.indexCount = mesher.generateMesh(arrays);
+    format.pack(arrays.positions, arrays.normals, arrays.vertexOffset, vertexData);
+    return arrays;
+  }
+
+  // Grows the mesh capacity (by at least MESH_GROWTH_FACTOR, to avoid frequent reallocation) if it
+  // can't hold a mesh of the given size, up to the largest mesh the volume can produce. Returns true
+  // if the capacity changed.
+  reserveMesh(vertexCount, indexCount) {
+    const previousVertexCapacity = this.vertexCapacity;
+    const previousIndexCapacity = this.indexCapacity;
+    if (vertexCount > this.vertexCapacity) {
+      this.vertexCapacity = Math.min(Math.max(vertexCount, Math.ceil(this.vertexCapacity * MESH_GROWTH_FACTOR)),
+                                     this.maxVertexCapacity);
+    }
+    if (indexCount > this.indexCapacity) {
+      const indexCapacity = Math.max(indexCount, Math.ceil(this.indexCapacity * MESH_GROWTH_FACTOR / 3) * 3);
+      this.indexCapacity = Math.min(indexCapacity, this.maxIndexCapacity);
+    }
+    return this.vertexCapacity != previousVertexCapacity || this.indexCapacity != previousIndexCapacity;
+  }
+
+  // Grows the mesh capacity to fit a mesh of the given size and recreates the mesh buffers, if this
+  // owns them, at the new size. Returns true if the capacity changed, in which case anything else
+  // that was sized from it needs to be recreated too.
+  growMeshBuffers(vertexCount, indexCount) {
+    if (!this.reserveMesh(vertexCount, indexCount)) { return false; }
+
+    if (this.hasMeshBuffers) {
+      this.vertexBuffer.destroy();
+      this.normalBuffer?.destroy();
+      this.indexBuffer.destroy();
+      this.createMeshBuffers();
+    }
+    return true;
+  }
+
+  // Copies the part of the staging buffers that the mesh just generated into arrays used into the
+  // mesh buffers.
+  copyMesh(arrays, vertexStagingBuffer, normalStagingBuffer, indexStagingBuffer) {
+    const vertexBytes = arrays.vertexOffset * this.vertexFormat.byteStride;
+    const indexBytes = this.indexCount * Uint32Array.BYTES_PER_ELEMENT;
+
+    const commandEncoder = this.device.createCommandEncoder({});
+    commandEncoder.copyBufferToBuffer(vertexStagingBuffer, 0, this.vertexBuffer, 0, vertexBytes);
+    if (normalStagingBuffer) {
+      commandEncoder.copyBufferToBuffer(normalStagingBuffer, 0, this.normalBuffer, 0, vertexBytes);
+    }
+    commandEncoder.copyBufferToBuffer(indexStagingBuffer, 0, this.indexBuffer, 0, indexBytes);
+    this.device.queue.submit([commandEncoder.finish()]);
+
+    this.uploadedBytes += (vertexBytes * this.vertexStreamCount) + indexBytes;
+  }
+
+  // Grows the mesh buffers if the mesh that was just generated into arrays didn't fit (see
+  // mesh-overflow.js). Returns true if they grew, in which case the mesh should be generated again.
+  growMeshToFit(arrays) {
+    return arrays.overflow && this.growMeshBuffers(arrays.requiredVertices, arrays.requiredIndices);
+  }
+
+  // The maximum number of balls this method is able to render. The CPU-based methods have no limit.
+  get maxBallCount() {
+    return Infinity;
+  }
+
+  // Records how many balls didn't fit and warns whenever that number changes.
+  reportDroppedBalls(ballCount) {
+    const droppedBallCount = Math.max(ballCount - this.maxBallCount, 0);
+    if (droppedBallCount != this.droppedBallCount) {
+      if (droppedBallCount) {
+        console.warn(`${this.constructor.name} can only render ${this.maxBallCount} metaballs. ${droppedBallCount} were dropped.`);
+      }
+      this.droppedBallCount = droppedBallCount;
+    }
+    return ballCount - droppedBallCount;
+  }
+
   updateMetaballs(metaballs, marchingCubes) {
+    this.marchingCubes = marchingCubes;
     marchingCubes.updateVolume(metaballs);
   }
 
@@ -121,13 +287,46 @@ class WebGPUMetaballRendererBase {
     // Only for the GPU-based renderers
   }
 
+  // Called once the frame's command buffer has been submitted. Reports how much of the volume the
+  // last mesh update actually had to triangulate.
+  afterSubmit(stats) {
+    this.reportUploadedBytes(stats);
+
+    const meshStats = (this.mesher ?? this.marchingCubes)?.stats;
+    if (stats && meshStats) {
+      stats.addSample('triangulated cells', meshStats.triangulatedCells, SampleType.cpu);
+      if (meshStats.skippedBricks !== undefined) {
+        stats.addSample('skipped bricks', meshStats.skippedBricks, SampleType.cpu);
+      }
+      if (meshStats.updatedBricks !== undefined) {
+        stats.addSample('updated bricks', meshStats.updatedBricks, SampleType.cpu);
+        stats.addSample('remeshed bricks', meshStats.remeshedBricks, SampleType.cpu);
+      }
+    }
+  }
+
+  // Reports how many bytes were written to the GPU for the frame, and starts counting the next one.
+  reportUploadedBytes(stats) {
+    stats?.addSample('uploaded bytes', this.uploadedBytes, SampleType.cpu);
+    this.uploadedBytes = 0;
+  }
+
+  // Frees the GPU buffers. Called when the renderer switches to another method or volume.
+  destroy() {
+    this.vertexBuffer?.destroy();
+    this.normalBuffer?.destroy();
+    this.indexBuffer?.destroy();
+  }
+
   draw(passEncoder, view) {
     if (this.indexCount && this.pipeline) {
       passEncoder.setPipeline(this.pipeline);
       passEncoder.setBindGroup(BIND_GROUP.Frame, view.bindGroup);
       passEncoder.setBindGroup(1, this.renderer.bindGroups.metaball);
       passEncoder.setVertexBuffer(0, this.vertexBuffer);
-      passEncoder.setVertexBuffer(1, this.normalBuffer);
+      if (this.vertexFormat.normalStream) {
+        passEncoder.setVertexBuffer(1, this.normalBuffer);
+      }
       passEncoder.setIndexBuffer(this.indexBuffer, 'uint32');
       passEncoder.drawIndexed(this.indexCount, 1, 0, 0, 0);
     }
@@ -160,25 +359,32 @@ class WebGPUMetaballRendererBase {
 export class MetaballWriteBuffer extends WebGPUMetaballRendererBase {
   constructor(renderer, volume) {
     super(renderer, volume);
+    this.allocateArrays();
+  }
 
-    this.vertexBufferElements = this.vertexBufferSize / Float32Array.BYTES_PER_ELEMENT;
-    this.indexBufferElements = this.indexBufferSize / Uint32Array.BYTES_PER_ELEMENT
-
-    this.vertexArray = new Float32Array(this.vertexBufferElements);
-    this.normalArray = new Float32Array(this.vertexBufferElements);
-    this.indexArray = new Uint32Array(this.indexBufferElements);
+  allocateArrays() {
+    this.vertexData = new ArrayBuffer(this.vertexBufferSize);
+    this.normalData = this.vertexFormat.normalStream ? new ArrayBuffer(this.vertexBufferSize) : null;
+    this.indexData = new ArrayBuffer(this.indexBufferSize);
   }
 
   async update(marchingCubes) {
-    this.indexCount = marchingCubes.generateMesh({
-      positions: this.vertexArray,
-      normals:   this.normalArray,
-      indices:   this.indexArray
-    });
+    const arrays = this.generateMeshInto(marchingCubes, this.vertexData, this.normalData, this.indexData);
+
+    if (this.growMeshToFit(arrays)) {
+      this.allocateArrays();
+      return this.update(marchingCubes);
+    }
 
-    this.device.queue.writeBuffer(this.vertexBuffer, 0, this.vertexArray, 0, this.vertexBufferElements);
-    this.device.queue.writeBuffer(this.normalBuffer, 0, this.normalArray, 0, this.vertexBufferElements);
-    this.device.queue.writeBuffer(this.indexBuffer, 0, this.indexArray, 0, this.indexBufferElements);
+    // Only the part of each array that the mesh used is uploaded.
+    const vertexBytes = arrays.vertexOffset * this.vertexFormat.byteStride;
+    const indexBytes = this.indexCount * Uint32Array.BYTES_PER_ELEMENT;
+    this.device.queue.writeBuffer(this.vertexBuffer, 0, this.vertexData, 0, vertexBytes);
+    if (this.normalData) {
+      this.device.queue.writeBuffer(this.normalBuffer, 0, this.normalData, 0, vertexBytes);
+    }
+    this.device.queue.writeBuffer(this.indexBuffer, 0, this.indexData, 0, indexBytes);
+    this.uploadedBytes += (vertexBytes * this.vertexStreamCount) + indexBytes;
   }
 }
 
@@ -219,7 +425,7 @@ export class MetaballNewBuffer extends WebGPUMetaballRendererBase {
       mappedAtCreation: true,
     });
 
-    const newNormalBuffer = this.device.createBuffer({
+    const newNormalBuffer = !this.vertexFormat.normalStream ? null : this.device.createBuffer({
       size: this.vertexBufferSize,
       usage: GPUBufferUsage.VERTEX,
       mappedAtCreation: true,
@@ -231,25 +437,42 @@ export class MetaballNewBuffer extends WebGPUMetaballRendererBase {
       mappedAtCreation: true,
     });
 
-    this.indexCount = marchingCubes.generateMesh({
-      positions: new Float32Array(newVertexBuffer.getMappedRange()),
-      normals:   new Float32Array(newNormalBuffer.getMappedRange()),
-      indices:   new Uint32Array(newIndexBuffer.getMappedRange())
-    });
+    const arrays = this.generateMeshInto(marchingCubes,
+                                         newVertexBuffer.getMappedRange(),
+                                         newNormalBuffer?.getMappedRange(),
+                                         newIndexBuffer.getMappedRange());
+
+    if (this.growMeshToFit(arrays)) {
+      newVertexBuffer.destroy();
+      newNormalBuffer?.destroy();
+      newIndexBuffer.destroy();
+      return this.update(marchingCubes);
+    }
 
     newVertexBuffer.unmap();
-    newNormalBuffer.unmap();
+    newNormalBuffer?.unmap();
     newIndexBuffer.unmap();
+    const vertexBytes = arrays.vertexOffset * this.vertexFormat.byteStride;
+    const indexBytes = this.indexCount * Uint32Array.BYTES_PER_ELEMENT;
+    this.uploadedBytes += (vertexBytes * this.vertexStreamCount) + indexBytes;
 
     if (this.vertexBuffer) {
       this.vertexBuffer.destroy();
-      this.normalBuffer.destroy();
+      this.normalBuffer?.destroy();
       this.indexBuffer.destroy();
     }
 
     this.vertexBuffer = newVertexBuffer;
     this.normalBuffer = newNormalBuffer;
     this.indexBuffer = newIndexBuffer;
+
+    // Every update creates new buffers anyway, so rather than keeping the largest capacity seen so
+    // far the next ones are sized to fit this mesh with some room to spare. If the next mesh doesn't
+    // fit it's regenerated at the size the mesher asks for (see growMeshToFit.)
+    this.vertexCapacity = Math.min(Math.max(Math.ceil(arrays.vertexOffset * MESH_GROWTH_FACTOR), 1),
+                                   this.maxVertexCapacity);
+    this.indexCapacity = Math.min(Math.max(Math.ceil(this.indexCount * MESH_GROWTH_FACTOR / 3) * 3, 3),
+                                  this.maxIndexCapacity);
   }
 }
 
@@ -284,7 +507,7 @@ export class MetaballNewStagingBuffer extends WebGPUMetaballRendererBase {
       mappedAtCreation: true,
     });
 
-    const normalStagingBuffer = this.device.createBuffer({
+    const normalStagingBuffer = !this.vertexFormat.normalStream ? null : this.device.createBuffer({
       size: this.vertexBufferSize,
       usage: GPUBufferUsage.COPY_SRC,
       mappedAtCreation: true,
@@ -296,28 +519,113 @@ export class MetaballNewStagingBuffer extends WebGPUMetaballRendererBase {
       mappedAtCreation: true,
     });
 
-    this.indexCount = marchingCubes.generateMesh({
-      positions: new Float32Array(vertexStagingBuffer.getMappedRange()),
-      normals:   new Float32Array(normalStagingBuffer.getMappedRange()),
-      indices:   new Uint32Array(indexStagingBuffer.getMappedRange())
-    });
+    const arrays = this.generateMeshInto(marchingCubes,
+                                         vertexStagingBuffer.getMappedRange(),
+                                         normalStagingBuffer?.getMappedRange(),
+                                         indexStagingBuffer.getMappedRange());
+
+    if (this.growMeshToFit(arrays)) {
+      vertexStagingBuffer.destroy();
+      normalStagingBuffer?.destroy();
+      indexStagingBuffer.destroy();
+      return this.update(marchingCubes);
+    }
 
     vertexStagingBuffer.unmap();
-    normalStagingBuffer.unmap();
+    normalStagingBuffer?.unmap();
     indexStagingBuffer.unmap();
 
-    const commandEncoder = this.device.createCommandEncoder({});
-    commandEncoder.copyBufferToBuffer(vertexStagingBuffer, 0, this.vertexBuffer, 0, this.vertexBufferSize);
-    commandEncoder.copyBufferToBuffer(normalStagingBuffer, 0, this.normalBuffer, 0, this.vertexBufferSize);
-    commandEncoder.copyBufferToBuffer(indexStagingBuffer, 0, this.indexBuffer, 0, this.indexBufferSize);
-    this.device.queue.submit([commandEncoder.finish()]);
+    this.copyMesh(arrays, vertexStagingBuffer, normalStagingBuffer, indexStagingBuffer);
 
     vertexStagingBuffer.destroy();
-    normalStagingBuffer.destroy();
+    normalStagingBuffer?.destroy();
     indexStagingBuffer.destroy();
   }
 }
 
+//
+// Staging buffers recycled through a pool.
+//
+
+/**
+ * This path is the same as the previous one, except that rather than being destroyed after each
+ * update the staging buffers are re-mapped and returned to a BufferPool (see buffer-pool.js), which
+ * hands them out again for later updates. New buffers are only created when the pool has none of the
+ * right size ready, so comparing this with the previous path separates the cost of creating buffers
+ * from the cost of mapping them. The number of buffers the pool had to create each frame is reported
+ * as 'pooled buffers created'.
+ *
+ * The same can't be done for the vertex/index buffers that MetaballNewBuffer creates, since a buffer
+ * can only be mappedAtCreation once and re-mapping it requires MAP_WRITE usage, which WebGPU only
+ * allows in combination with COPY_SRC.
+ *
+ * Advantages:
+ *  - Can set the buffer data immediately.
+ *  - Limits buffer creation, without tying the buffers to a fixed number of frames.
+ *  - Data can be written directly into the mapped buffer, avoiding a CPU-side copy in some cases.
+ *
+ * Disadvantages:
+ *  - Buffer sizes are rounded up to a power of two, so the pool uses more memory than it needs.
+ *  - Still creates buffers whenever the previous ones haven't finished re-mapping.
+ *  - User agent must zero out the staging buffers the first time they are mapped.
+ *  - If data is already in an ArrayBuffer, requires another CPU-side copy.
+ *  - Requires a GPU-side copy
+ */
+export class MetaballPooledStagingBuffer extends WebGPUMetaballRendererBase {
+  constructor(renderer, volume) {
+    super(renderer, volume);
+    this.bufferPool = new BufferPool(this.device);
+    this.reportedCreatedBufferCount = 0;
+  }
+
+  async update(marchingCubes) {
+    const usage = GPUBufferUsage.COPY_SRC | GPUBufferUsage.MAP_WRITE;
+    const vertexStagingBuffer = this.bufferPool.acquire(this.vertexBufferSize, usage);
+    const normalStagingBuffer = !this.vertexFormat.normalStream ? null : this.bufferPool.acquire(this.vertexBufferSize, usage);
+    const indexStagingBuffer = this.bufferPool.acquire(this.indexBufferSize, usage);
+
+    // The pooled buffers may be larger than the mesh buffers, so only map as much as those can hold.
+    const arrays = this.generateMeshInto(marchingCubes,
+                                         vertexStagingBuffer.getMappedRange(0, this.vertexBufferSize),
+                                         normalStagingBuffer?.getMappedRange(0, this.vertexBufferSize),
+                                         indexStagingBuffer.getMappedRange(0, this.indexBufferSize));
+
+    if (this.growMeshToFit(arrays)) {
+      // The mesh capacity never shrinks, so buffers smaller than it won't be acquired again.
+      this.bufferPool.evictSmallerThan(Math.min(this.vertexBufferSize, this.indexBufferSize));
+      this.bufferPool.release(vertexStagingBuffer);
+      if (normalStagingBuffer) {
+        this.bufferPool.release(normalStagingBuffer);
+      }
+      this.bufferPool.release(indexStagingBuffer);
+      return this.update(marchingCubes);
+    }
+
+    vertexStagingBuffer.unmap();
+    normalStagingBuffer?.unmap();
+    indexStagingBuffer.unmap();
+
+    this.copyMesh(arrays, vertexStagingBuffer, normalStagingBuffer, indexStagingBuffer);
+
+    this.bufferPool.release(vertexStagingBuffer);
+    if (normalStagingBuffer) {
+      this.bufferPool.release(normalStagingBuffer);
+    }
+    this.bufferPool.release(indexStagingBuffer);
+  }
+
+  afterSubmit(stats) {
+    super.afterSubmit(stats);
+    stats?.addSample('pooled buffers created', this.bufferPool.createdBufferCount - this.reportedCreatedBufferCount, SampleType.cpu);
+    this.reportedCreatedBufferCount = this.bufferPool.createdBufferCount;
+  }
+
+  destroy() {
+    super.destroy();
+    this.bufferPool.destroy();
+  }
+}
+
 //
 // Reusing a single staging buffer.
 //
@@ -346,14 +654,18 @@ export class MetaballNewStagingBuffer extends WebGPUMetaballRendererBase {
 export class MetaballSingleStagingBuffer extends WebGPUMetaballRendererBase {
   constructor(renderer, volume) {
     super(renderer, volume);
+    this.createStagingBuffers();
+    this.mappedPromise = Promise.resolve();
+  }
 
+  createStagingBuffers() {
     this.vertexStagingBuffer = this.device.createBuffer({
       size: this.vertexBufferSize,
       usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.MAP_WRITE,
       mappedAtCreation: true,
     });
 
-    this.normalStagingBuffer = this.device.createBuffer({
+    this.normalStagingBuffer = !this.vertexFormat.normalStream ? null : this.device.createBuffer({
       size: this.vertexBufferSize,
       usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.MAP_WRITE,
       mappedAtCreation: true,
@@ -364,32 +676,33 @@ export class MetaballSingleStagingBuffer extends WebGPUMetaballRendererBase {
       usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.MAP_WRITE,
       mappedAtCreation: true,
     });
-
-    this.mappedPromise = Promise.resolve();
   }
 
   async update(marchingCubes) {
     await this.mappedPromise;
 
-    this.indexCount = marchingCubes.generateMesh({
-      positions: new Float32Array(this.vertexStagingBuffer.getMappedRange()),
-      normals:   new Float32Array(this.normalStagingBuffer.getMappedRange()),
-      indices:   new Uint32Array(this.indexStagingBuffer.getMappedRange())
-    });
+    const arrays = this.generateMeshInto(marchingCubes,
+                                         this.vertexStagingBuffer.getMappedRange(),
+                                         this.normalStagingBuffer?.getMappedRange(),
+                                         this.indexStagingBuffer.getMappedRange());
+
+    if (this.growMeshToFit(arrays)) {
+      this.vertexStagingBuffer.destroy();
+      this.normalStagingBuffer?.destroy();
+      this.indexStagingBuffer.destroy();
+      this.createStagingBuffers();
+      return this.update(marchingCubes);
+    }
 
     this.vertexStagingBuffer.unmap();
-    this.normalStagingBuffer.unmap();
+    this.normalStagingBuffer?.unmap();
     this.indexStagingBuffer.unmap();
 
-    const commandEncoder = this.device.createCommandEncoder({});
-    commandEncoder.copyBufferToBuffer(this.vertexStagingBuffer, 0, this.vertexBuffer, 0, this.vertexBufferSize);
-    commandEncoder.copyBufferToBuffer(this.normalStagingBuffer, 0, this.normalBuffer, 0, this.vertexBufferSize);
-    commandEncoder.copyBufferToBuffer(this.indexStagingBuffer, 0, this.indexBuffer, 0, this.indexBufferSize);
-    this.device.queue.submit([commandEncoder.finish()]);
+    this.copyMesh(arrays, this.vertexStagingBuffer, this.normalStagingBuffer, this.indexStagingBuffer);
 
     this.mappedPromise = Promise.all([
       this.vertexStagingBuffer.mapAsync(GPUMapMode.WRITE),
-      this.normalStagingBuffer.mapAsync(GPUMapMode.WRITE),
+      this.normalStagingBuffer?.mapAsync(GPUMapMode.WRITE),
       this.indexStagingBuffer.mapAsync(GPUMapMode.WRITE)
     ]);
   }
@@ -400,19 +713,19 @@ export class MetaballSingleStagingBuffer extends WebGPUMetaballRendererBase {
 //
 
 /**
- * This path uses a rotating set of staging buffers and a single set of vertex/index buffers. Each
- * time the data is updated it first checks to see if a previously used staging buffer is already
- * mapped and ready to use, and if so writes the data into that. If not, a new staging buffer is
- * created with mappedAtCreation set to true so that it can immedately be populated. After the data
- * is copied GPU-side the staging buffer is immedately mapped again, and once the mapping is
- * complete it's placed in the queue of buffers which are ready for use. If the buffer data is
- * updated frequently this typically results in a list of 2-3 staging buffers that are cycled
- * through. This technique is best for buffers that change very frequency, such as every frame.
+ * This path allocates its staging memory from the renderer's StagingRing (see staging-ring.js),
+ * which is shared with everything else the renderer uploads each frame. The ring hands out slices
+ * of staging buffers that are already mapped, the mesh is generated directly into them, and the
+ * copies into the vertex/index buffers are recorded into the frame's own command buffer. Once that
+ * has been submitted the ring waits on onSubmittedWorkDone() before re-mapping the staging buffers
+ * and handing them out again, so with the data updated every frame it typically cycles through 2-3
+ * sets of them. This technique is best for buffers that change very frequency, such as every frame.
  *
  * Advantages:
  *  - Limits buffer creation.
  *  - Doesn't wait on previously used buffers to be mapped.
  *  - Staging buffer re-use means initialization costs are only paid once per set.
+ *  - Staging memory is shared with other uploads, and no extra command buffers are submitted.
  *  - Data can be written directly into the mapped buffer, avoiding a CPU-side copy in some cases.
  *
  * Disadvantages:
@@ -423,64 +736,104 @@ export class MetaballSingleStagingBuffer extends WebGPUMetaballRendererBase {
  *  - Requires a GPU-side copy
  */
 export class MetaballStagingBufferRing extends WebGPUMetaballRendererBase {
-  constructor(renderer, volume) {
-    super(renderer, volume);
+  async update(marchingCubes) {
+    const stagingRing = this.renderer.stagingRing;
 
-    this.readyBuffers = [];
-  }
+    const vertexSlice = stagingRing.allocate(this.vertexBufferSize);
+    const normalSlice = this.vertexFormat.normalStream ? stagingRing.allocate(this.vertexBufferSize) : null;
+    const indexSlice = stagingRing.allocate(this.indexBufferSize);
 
-  getOrCreateStagingBuffers() {
-    if (this.readyBuffers.length) {
-      return this.readyBuffers.pop();
+    const arrays = this.generateMeshInto(marchingCubes,
+                                         vertexSlice.arrayBuffer,
+                                         normalSlice?.arrayBuffer,
+                                         indexSlice.arrayBuffer);
+
+    if (this.growMeshToFit(arrays)) {
+      // The slices that were too small are simply never copied.
+      return this.update(marchingCubes);
     }
 
-    return {
-      vertex: this.device.createBuffer({
-        size: this.vertexBufferSize,
-        usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.MAP_WRITE,
-        mappedAtCreation: true,
-      }),
+    const vertexBytes = arrays.vertexOffset * this.vertexFormat.byteStride;
+    const indexBytes = this.indexCount * Uint32Array.BYTES_PER_ELEMENT;
 
-      normal: this.device.createBuffer({
-        size: this.vertexBufferSize,
-        usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.MAP_WRITE,
-        mappedAtCreation: true,
-      }),
+    stagingRing.copy(vertexSlice, this.vertexBuffer, 0, vertexBytes);
+    if (normalSlice) {
+      stagingRing.copy(normalSlice, this.normalBuffer, 0, vertexBytes);
+    }
+    stagingRing.copy(indexSlice, this.indexBuffer, 0, indexBytes);
 
-      index: this.device.createBuffer({
-        size: this.indexBufferSize,
-        usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.MAP_WRITE,
-        mappedAtCreation: true,
-      }),
-    };
+    this.uploadedBytes += (vertexBytes * this.vertexStreamCount) + indexBytes;
   }
+}
 
-  async update(marchingCubes) {
-    const stagingBuffers = this.getOrCreateStagingBuffers();
+//
+// writeBuffer() straight from the WASM heap
+//
+
+/**
+ * This path tests the claim above that writeBuffer() is a good fit for WASM apps. The volume is
+ * evaluated and triangulated by WasmMarchingCubes, which leaves the mesh in the WASM heap, and the
+ * heap's ArrayBuffer is passed to writeBuffer() directly with the offsets of the mesh arrays. There
+ * is no intermediate JS array at all.
+ *
+ * Advantages:
+ *  - The same single CPU-side copy as writeBuffer(), but straight out of the heap.
+ *  - The meshing itself runs as WASM, with the field evaluated using SIMD.
+ *
+ * Disadvantages:
+ *  - Requires WebAssembly SIMD support.
+ *  - The WASM module only evaluates point balls with the inverseSquare kernel itself. Other fields
+ *    are evaluated in JS and written into the heap.
+ *  - Requires a GPU-side copy
+ */
+export class MetaballWasmWriteBuffer extends WebGPUMetaballRendererBase {
+  constructor(renderer, volume) {
+    super(renderer, volume);
 
-    this.indexCount = marchingCubes.generateMesh({
-      positions: new Float32Array(stagingBuffers.vertex.getMappedRange()),
-      normals:   new Float32Array(stagingBuffers.normal.getMappedRange()),
-      indices:   new Uint32Array(stagingBuffers.index.getMappedRange())
+    // Nothing is drawn until the WASM module has been compiled.
+    WasmMarchingCubes.create(volume).then((mesher) => {
+      this.mesher = mesher;
+    }).catch((err) => {
+      console.error('Unable to load the WASM mesher. WebAssembly SIMD may not be supported.', err);
     });
+  }
 
-    stagingBuffers.vertex.unmap();
-    stagingBuffers.normal.unmap();
-    stagingBuffers.index.unmap();
+  get mesherType() {
+    return WasmMarchingCubes;
+  }
 
-    const commandEncoder = this.device.createCommandEncoder({});
-    commandEncoder.copyBufferToBuffer(stagingBuffers.vertex, 0, this.vertexBuffer, 0, this.vertexBufferSize);
-    commandEncoder.copyBufferToBuffer(stagingBuffers.normal, 0, this.normalBuffer, 0, this.vertexBufferSize);
-    commandEncoder.copyBufferToBuffer(stagingBuffers.index, 0, this.indexBuffer, 0, this.indexBufferSize);
-    this.device.queue.submit([commandEncoder.finish()]);
+  // The volume lives in the WASM heap, so the renderer's MarchingCubes is never filled.
+  updateMetaballs(metaballs, marchingCubes) {
+    this.marchingCubes = marchingCubes;
+    this.mesher?.updateVolume(metaballs);
+  }
 
-    Promise.all([
-      stagingBuffers.vertex.mapAsync(GPUMapMode.WRITE),
-      stagingBuffers.normal.mapAsync(GPUMapMode.WRITE),
-      stagingBuffers.index.mapAsync(GPUMapMode.WRITE)
-    ]).then(() => {
-      this.readyBuffers.push(stagingBuffers);
-    });
+  update(marchingCubes) {
+    if (!this.mesher) { return; }
+
+    this.indexCount = this.mesher.generateMesh();
+
+    // The heap always has room for the whole mesh, but the mesh buffers may not.
+    this.growMeshBuffers(this.mesher.vertexCount, this.indexCount);
+
+    const heap = this.mesher.memory.buffer;
+    const layout = this.mesher.layout;
+    const vertexCount = this.mesher.vertexCount;
+    const vertexBytes = vertexCount * this.vertexFormat.byteStride;
+    const indexBytes = this.indexCount * Uint32Array.BYTES_PER_ELEMENT;
+    if (this.vertexFormat.pack) {
+      // Other vertex formats have to be packed out of the heap first.
+      if (this.packedVertexData?.byteLength != this.vertexBufferSize) {
+        this.packedVertexData = new ArrayBuffer(this.vertexBufferSize);
+      }
+      this.vertexFormat.pack(this.mesher.positions, this.mesher.normals, vertexCount, this.packedVertexData);
+      this.device.queue.writeBuffer(this.vertexBuffer, 0, this.packedVertexData, 0, vertexBytes);
+    } else {
+      this.device.queue.writeBuffer(this.vertexBuffer, 0, heap, layout.positionsPtr, vertexBytes);
+      this.device.queue.writeBuffer(this.normalBuffer, 0, heap, layout.normalsPtr, vertexBytes);
+    }
+    this.device.queue.writeBuffer(this.indexBuffer, 0, heap, layout.indicesPtr, indexBytes);
+    this.uploadedBytes += (vertexBytes * this.vertexStreamCount) + indexBytes;
   }
 }
 
@@ -550,56 +903,132 @@ export class MetaballComputeRenderer extends WebGPUMetaballRendererBase {
     volumeSize[1] = volume.height;
     volumeSize[2] = volume.depth;
 
-    volumeFloat32[15] = 40; // Threshold. TODO: Should be dynamic.
+    volumeFloat32[15] = volume.threshold;
 
     this.volumeBuffer.unmap();
 
-    this.metaballBufferSize = (Uint32Array.BYTES_PER_ELEMENT * 4) + (Float32Array.BYTES_PER_ELEMENT * 8 * MAX_METABALLS);
-    this.metaballArray = new ArrayBuffer(this.metaballBufferSize);
-    this.metaballArrayHeader = new Uint32Array(this.metaballArray, 0, 4);
-    this.metaballArrayBalls = new Float32Array(this.metaballArray, 16);
+    this.allocateMetaballArray(INITIAL_METABALL_CAPACITY);
 
-    this.marchingCubeCells = (volume.width) * (volume.height) * (volume.depth);
-    this.vertexBufferSize = (Float32Array.BYTES_PER_ELEMENT * 3) * 12 * this.marchingCubeCells;
-    this.indexBufferSize = Uint32Array.BYTES_PER_ELEMENT * 15 * this.marchingCubeCells;
+    // Lists of the balls that touch each brick of the volume, filled by the binning pass.
+    this.brickGridSize = [
+      Math.ceil(volume.width / BRICK_SIZE),
+      Math.ceil(volume.height / BRICK_SIZE),
+      Math.ceil(volume.depth / BRICK_SIZE),
+    ];
+    this.brickCount = this.brickGridSize[0] * this.brickGridSize[1] * this.brickGridSize[2];
+    this.brickBuffer = this.device.createBuffer({
+      label: 'Metaball Brick Buffer',
+      size: BRICK_BYTE_SIZE * this.brickCount,
+      usage: GPUBufferUsage.STORAGE,
+    });
+
+    // The volume buffer is shared by both sets of resources, so its values only need to be updated
+    // for the bricks that the balls have changed since the last update. The metaballs report
+    // those against this grid, and they're accumulated until the compute passes next run. Unlike the
+    // CPU path only the field is updated incrementally, see updateCompute() for the mesh.
+    this.brickGrid = {
+      size: this.brickGridSize,
+      min: [volume.xMin, volume.yMin, volume.zMin],
+      brickExtent: [
+        volume.xStep * BRICK_SIZE,
+        volume.yStep * BRICK_SIZE,
+        volume.zStep * BRICK_SIZE,
+      ],
+    };
+    this.pendingDirtyBricks = new Uint8Array(this.brickCount).fill(1);
+    this.dirtyBrickArray = new Uint32Array(this.brickCount);
+    this.dirtyBrickBuffer = this.device.createBuffer({
+      label: 'Metaball Dirty Brick Buffer',
+      size: this.dirtyBrickArray.byteLength,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+    this.updatedBrickCount = 0;
+
+    // Flags for which bricks the surface passes through, filled by the brick range pass.
+    this.brickActiveBuffer = this.device.createBuffer({
+      label: 'Metaball Brick Active Buffer',
+      size: Uint32Array.BYTES_PER_ELEMENT * this.brickCount,
+      usage: GPUBufferUsage.STORAGE,
+    });
+
+    // Counters for the triangulated cells and skipped bricks, which are copied into a readback
+    // buffer every frame. Readback buffers are recycled once they've been read.
+    this.statsBuffer = this.device.createBuffer({
+      label: 'Metaball Mesh Stats Buffer',
+      size: MESH_STATS_SIZE,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+    });
+    this.statsReadbackBuffers = [];
+    this.pendingStatsReadback = null;
+    // Set by destroy(), after which readbacks that are still in flight are discarded on arrival.
+    this.destroyed = false;
+
+    // The index of the vertex generated for each edge of the volume (or each cell, for the dual
+    // methods), which lets the triangles of neighboring cells share vertices. Only needed while the
+    // mesh is being generated, so it's shared by both sets of resources.
+    this.edgeVertexBuffer = this.device.createBuffer({
+      label: 'Marching Cubes Edge Vertex Buffer',
+      size: Uint32Array.BYTES_PER_ELEMENT * this.marchingCubeEdges,
+      usage: GPUBufferUsage.STORAGE,
+    });
+
+    // Offsets into the vertex and index buffers for each brick's share of the mesh. The count passes
+    // fill them with the number of vertices and indices each brick needs, the scan pass turns them
+    // into offsets, and the emit passes use them as cursors as they write.
+    this.brickMeshCursorBuffer = this.device.createBuffer({
+      label: 'Metaball Brick Mesh Cursor Buffer',
+      size: BRICK_MESH_CURSOR_SIZE * this.brickCount,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
 
-    this.indirectArray = new Uint32Array(9);
+    // The cells that the surface passes through, which the emit passes are dispatched over
+    // indirectly. Every cell of the volume could be active, so this is sized like the volume.
+    this.activeCellBuffer = this.device.createBuffer({
+      label: 'Metaball Active Cell Buffer',
+      size: ACTIVE_CELL_HEADER_SIZE + Uint32Array.BYTES_PER_ELEMENT * this.volumeElements,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDIRECT,
+    });
+
+    // The compaction pass has a workgroup for each brick, wrapped into rows if there are too many
+    // for one dimension.
+    const maxWorkgroups = this.device.limits.maxComputeWorkgroupsPerDimension;
+    this.brickDispatchSize = [
+      Math.min(this.brickCount, maxWorkgroups),
+      Math.ceil(this.brickCount / maxWorkgroups),
+      1,
+    ];
+
+    // The mesh buffers are bound as storage, which limits how large they can grow. The exact size
+    // each frame needs is read back with the mesh stats and the buffers are grown to fit. Anything
+    // that doesn't fit in the meantime is dropped rather than written out of bounds.
+    const maxBindingSize = this.device.limits.maxStorageBufferBindingSize;
+    this.maxVertexCapacity = Math.min(this.mesherType.maxVerticesPerVoxel * this.volumeElements,
+                                      Math.floor(maxBindingSize / this.vertexFormat.byteStride));
+    this.maxIndexCapacity = Math.min(this.mesherType.maxIndicesPerCell * this.volumeElements,
+                                     Math.floor(maxBindingSize / (Uint32Array.BYTES_PER_ELEMENT * 3)) * 3);
+    this.vertexCapacity = Math.min(INITIAL_MESH_VERTEX_CAPACITY, this.maxVertexCapacity);
+    this.indexCapacity = Math.min(INITIAL_MESH_INDEX_CAPACITY, this.maxIndexCapacity);
+
+    // The draw arguments, followed by the capacity of the buffers they're drawn from.
+    this.indirectArray = new Uint32Array(11);
     this.indirectArray[0] = 4; // Number of vertices for point rendering
     this.indirectArray[5] = 1; // Number of instances for normal rendering
 
     const createMetaballResources = () => {
       // Metaball GPU resources
       const resources = {
-        metaballBuffer: this.device.createBuffer({
-          label: 'Metaballs Buffer',
-          size: this.metaballBufferSize,
-          usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-        }),
-
-        vertexBuffer: this.device.createBuffer({
-          label: 'Metaballs Vertex Buffer',
-          size: this.vertexBufferSize,
-          usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX,
-        }),
-
-        normalBuffer: this.device.createBuffer({
-          label: 'Metaballs Normal Buffer',
-          size: this.vertexBufferSize,
-          usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX,
-        }),
-
-        indexBuffer: this.device.createBuffer({
-          label: 'Metaballs Index Buffer',
-          size: this.indexBufferSize,
-          usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
-        }),
+        metaballBuffer: this.createMetaballBuffer(),
 
         indirectBuffer: this.device.createBuffer({
           label: 'Metaballs Indirect Buffer',
           size: this.indirectArray.byteLength,
           usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDIRECT | GPUBufferUsage.COPY_DST,
         }),
+
+        // One for each of the mesh passes, filled in as their pipelines are created.
+        meshBindGroups: [],
       };
+      this.allocateMeshBuffers(resources);
 
       return resources;
     }
@@ -607,10 +1036,28 @@ export class MetaballComputeRenderer extends WebGPUMetaballRendererBase {
     // Two sets of resources so we can ping-pong between them
     this.resources = [createMetaballResources(), createMetaballResources()];
 
+    // Create compute pipeline that bins the metaballs into bricks.
+    const binModule = this.device.createShaderModule({
+      label: 'Metaball Binning Compute Shader',
+      code: MetaballBinComputeSource
+    });
+
+    this.device.createComputePipelineAsync({
+      label: 'Metaball Binning Compute Pipeline',
+      layout: 'auto',
+      compute: { module: binModule, entryPoint: 'computeMain' }
+    }).then((pipeline) => {
+      this.binComputePipeline = pipeline;
+
+      for (const resource of this.resources) {
+        this.createBinComputeBindGroup(resource);
+      }
+    });
+
     // Create compute pipeline that handles the metaball isosurface.
     const metaballModule = this.device.createShaderModule({
       label: 'Metaball Isosurface Compute Shader',
-      code: MetaballFieldComputeSource
+      code: MetaballFieldComputeSource(renderer.metaballs.kernel)
     });
 
     this.device.createComputePipelineAsync({
@@ -621,94 +1068,372 @@ export class MetaballComputeRenderer extends WebGPUMetaballRendererBase {
       this.metaballComputePipeline = pipeline;
 
       for (const resource of this.resources) {
-        resource.metaballComputeBindGroup = this.device.createBindGroup({
-          layout: this.metaballComputePipeline.getBindGroupLayout(0),
-          entries: [{
-            binding: 0,
-            resource: {
-              buffer: resource.metaballBuffer,
-            },
-          }, {
-            binding: 1,
-            resource: {
-              buffer: this.volumeBuffer,
-            },
-          }],
-        });
+        this.createMetaballComputeBindGroup(resource);
       }
     });
 
-    // Create compute pipeline that handles the marching cubes triangulation.
-    const marchingCubesModule = this.device.createShaderModule({
-      label: 'Marching Cubes Compute Shader',
-      code: MarchingCubesComputeSource
-    });
-
     this.device.createComputePipelineAsync({
-      label: 'Marching Cubes Compute Pipeline',
+      label: 'Metaball Isosurface Dirty Bricks Compute Pipeline',
       layout: 'auto',
-      compute: { module: marchingCubesModule, entryPoint: 'computeMain' }
-    }).then((pipeline) => {;
-      this.marchingCubesComputePipeline = pipeline;
+      compute: { module: metaballModule, entryPoint: 'computeDirtyBricks' }
+    }).then((pipeline) => {
+      this.metaballDirtyComputePipeline = pipeline;
 
       for (const resource of this.resources) {
-        resource.marchingCubesComputeBindGroup = this.device.createBindGroup({
-          layout: this.marchingCubesComputePipeline.getBindGroupLayout(0),
-          entries: [{
-            binding: 0,
-            resource: {
-              buffer: this.tablesBuffer,
-            },
-          }, {
-            binding: 1,
-            resource: {
-              buffer: this.volumeBuffer,
-            },
-          }, {
-            binding: 2,
-            resource: {
-              buffer: resource.vertexBuffer,
-            },
-          }, {
-            binding: 3,
-            resource: {
-              buffer: resource.normalBuffer,
-            },
-          }, {
-            binding: 4,
-            resource: {
-              buffer: resource.indexBuffer,
-            },
-          }, {
-            binding: 5,
-            resource: {
-              buffer: resource.indirectBuffer,
-            },
-          }],
-        });
+        this.createMetaballDirtyComputeBindGroup(resource);
       }
     });
 
+    // Create compute pipeline that finds which bricks need to be triangulated.
+    const brickRangeModule = this.device.createShaderModule({
+      label: 'Marching Cubes Brick Range Compute Shader',
+      code: MarchingCubesBrickRangeSource
+    });
+
+    this.device.createComputePipelineAsync({
+      label: 'Marching Cubes Brick Range Compute Pipeline',
+      layout: 'auto',
+      compute: { module: brickRangeModule, entryPoint: 'computeMain' }
+    }).then((pipeline) => {
+      this.brickRangeComputePipeline = pipeline;
+
+      this.brickRangeComputeBindGroup = this.device.createBindGroup({
+        layout: this.brickRangeComputePipeline.getBindGroupLayout(0),
+        entries: [{
+          binding: 0,
+          resource: {
+            buffer: this.volumeBuffer,
+          },
+        }, {
+          binding: 1,
+          resource: {
+            buffer: this.brickActiveBuffer,
+          },
+        }, {
+          binding: 2,
+          resource: {
+            buffer: this.statsBuffer,
+          },
+        }],
+      });
+    });
+
+    // Create the compute pipelines that triangulate the isosurface. Vertex formats without a separate
+    // normal stream write the normals along with the positions, so nothing uses the normal buffer.
+    this.meshPasses = this.getMeshPasses();
+    for (const meshPass of this.meshPasses) {
+      if (!this.vertexFormat.normalStream) {
+        meshPass.bindings = meshPass.bindings.filter((binding) => binding != 3);
+      }
+
+      const module = this.device.createShaderModule({
+        label: `${meshPass.label} Compute Shader`,
+        code: meshPass.code
+      });
+
+      this.device.createComputePipelineAsync({
+        label: `${meshPass.label} Compute Pipeline`,
+        layout: 'auto',
+        compute: { module, entryPoint: 'computeMain' }
+      }).then((pipeline) => {
+        meshPass.pipeline = pipeline;
+
+        for (const resource of this.resources) {
+          this.createMeshBindGroup(meshPass, resource);
+        }
+      });
+    }
+
     this.drawIndex = 0;
     this.computeIndex = 0;
   }
 
+  // The compute passes that generate the mesh from the volume, in the order they're dispatched (after
+  // the volume has been filled and the active bricks found). Each lists the bindings that its shader
+  // uses, which are mapped to buffers by getMeshBindingBuffer, and is dispatched over the whole
+  // volume unless it gives its own dispatch size or is dispatched indirectly over the active cells.
+  getMeshPasses() {
+    // Analytic normals need the metaballs and their brick lists to evaluate the field's gradient.
+    const analyticNormals = this.volume.analyticNormals;
+    return [{
+      label: 'Marching Cubes Count',
+      code: MarchingCubesCountComputeSource,
+      bindings: [0, 1, 7, 11],
+    }, this.getMeshScanPass(), {
+      label: 'Marching Cubes Compact',
+      code: MarchingCubesCompactComputeSource,
+      bindings: [0, 1, 7, 11, 12],
+      dispatch: this.brickDispatchSize,
+    }, {
+      label: 'Marching Cubes Vertex',
+      code: MarchingCubesVertexComputeSource(analyticNormals ? this.renderer.metaballs.kernel : null, this.vertexFormat),
+      bindings: analyticNormals ? [1, 2, 3, 5, 8, 9, 10, 11, 12] : [1, 2, 3, 5, 8, 11, 12],
+      activeCells: true,
+    }, {
+      label: 'Marching Cubes',
+      code: MarchingCubesComputeSource,
+      bindings: [0, 1, 4, 5, 6, 8, 11, 12],
+      activeCells: true,
+    }];
+  }
+
+  // Turns the per-brick counts into offsets, shared by every mesher's passes.
+  getMeshScanPass() {
+    return {
+      label: 'Mesh Scan',
+      code: MeshScanComputeSource,
+      bindings: [1, 5, 6, 11, 12],
+      dispatch: [1, 1, 1],
+    };
+  }
+
+  getMeshBindingBuffer(binding, resource) {
+    switch (binding) {
+      case 0: return this.tablesBuffer;
+      case 1: return this.volumeBuffer;
+      case 2: return resource.vertexBuffer;
+      case 3: return resource.normalBuffer;
+      case 4: return resource.indexBuffer;
+      case 5: return resource.indirectBuffer;
+      case 6: return this.statsBuffer;
+      case 7: return this.brickActiveBuffer;
+      case 8: return this.edgeVertexBuffer;
+      case 9: return resource.metaballBuffer;
+      case 10: return this.brickBuffer;
+      case 11: return this.brickMeshCursorBuffer;
+      case 12: return this.activeCellBuffer;
+    }
+    throw new Error(`Unknown mesh binding ${binding}`);
+  }
+
+  createMeshBindGroup(meshPass, resource) {
+    resource.meshBindGroups[this.meshPasses.indexOf(meshPass)] = this.device.createBindGroup({
+      layout: meshPass.pipeline.getBindGroupLayout(0),
+      entries: meshPass.bindings.map((binding) => ({
+        binding,
+        resource: {
+          buffer: this.getMeshBindingBuffer(binding, resource),
+        },
+      })),
+    });
+  }
+
+  // (Re)creates the resource's vertex, normal and index buffers with the current capacity.
+  allocateMeshBuffers(resource) {
+    // Any work already submitted that references the old buffers will still complete.
+    resource.vertexBuffer?.destroy();
+    resource.normalBuffer?.destroy();
+    resource.indexBuffer?.destroy();
+
+    resource.vertexCapacity = this.vertexCapacity;
+    resource.indexCapacity = this.indexCapacity;
+
+    resource.vertexBuffer = this.device.createBuffer({
+      label: 'Metaballs Vertex Buffer',
+      size: this.vertexFormat.byteStride * resource.vertexCapacity,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX,
+    });
+
+    resource.normalBuffer = !this.vertexFormat.normalStream ? null : this.device.createBuffer({
+      label: 'Metaballs Normal Buffer',
+      size: this.vertexFormat.byteStride * resource.vertexCapacity,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX,
+    });
+
+    resource.indexBuffer = this.device.createBuffer({
+      label: 'Metaballs Index Buffer',
+      size: Uint32Array.BYTES_PER_ELEMENT * resource.indexCapacity,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
+    });
+
+    for (const meshPass of this.meshPasses ?? []) {
+      if (meshPass.pipeline && meshPass.bindings.some((binding) => binding >= 2 && binding <= 4)) {
+        this.createMeshBindGroup(meshPass, resource);
+      }
+    }
+  }
+
+  // Limited by the largest storage buffer that can be bound.
+  get maxBallCount() {
+    return Math.floor((this.device.limits.maxStorageBufferBindingSize - METABALL_HEADER_SIZE) / METABALL_BYTE_STRIDE);
+  }
+
+  allocateMetaballArray(capacity) {
+    this.metaballCapacity = capacity;
+    this.metaballBufferSize = METABALL_HEADER_SIZE + (METABALL_BYTE_STRIDE * capacity);
+    this.metaballArray = new ArrayBuffer(this.metaballBufferSize);
+    this.metaballArrayHeader = new Uint32Array(this.metaballArray, 0, 4);
+    this.metaballArrayContainer = new Float32Array(this.metaballArray, METABALL_CONTAINER_OFFSET, 12);
+    this.metaballArrayContainerU32 = new Uint32Array(this.metaballArray, METABALL_CONTAINER_OFFSET, 12);
+    this.metaballArrayBalls = new Float32Array(this.metaballArray, METABALL_HEADER_SIZE);
+    this.metaballArrayBallsU32 = new Uint32Array(this.metaballArray, METABALL_HEADER_SIZE);
+  }
+
+  createMetaballBuffer() {
+    return this.device.createBuffer({
+      label: 'Metaballs Buffer',
+      size: this.metaballBufferSize,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+  }
+
+  createBinComputeBindGroup(resource) {
+    resource.binComputeBindGroup = this.device.createBindGroup({
+      layout: this.binComputePipeline.getBindGroupLayout(0),
+      entries: [{
+        binding: 0,
+        resource: {
+          buffer: resource.metaballBuffer,
+        },
+      }, {
+        binding: 1,
+        resource: {
+          buffer: this.volumeBuffer,
+        },
+      }, {
+        binding: 2,
+        resource: {
+          buffer: this.brickBuffer,
+        },
+      }],
+    });
+  }
+
+  createMetaballComputeBindGroup(resource) {
+    resource.metaballComputeBindGroup = this.device.createBindGroup({
+      layout: this.metaballComputePipeline.getBindGroupLayout(0),
+      entries: [{
+        binding: 0,
+        resource: {
+          buffer: resource.metaballBuffer,
+        },
+      }, {
+        binding: 1,
+        resource: {
+          buffer: this.volumeBuffer,
+        },
+      }, {
+        binding: 2,
+        resource: {
+          buffer: this.brickBuffer,
+        },
+      }],
+    });
+  }
+
+  createMetaballDirtyComputeBindGroup(resource) {
+    resource.metaballDirtyComputeBindGroup = this.device.createBindGroup({
+      layout: this.metaballDirtyComputePipeline.getBindGroupLayout(0),
+      entries: [{
+        binding: 0,
+        resource: {
+          buffer: resource.metaballBuffer,
+        },
+      }, {
+        binding: 1,
+        resource: {
+          buffer: this.volumeBuffer,
+        },
+      }, {
+        binding: 2,
+        resource: {
+          buffer: this.brickBuffer,
+        },
+      }, {
+        binding: 3,
+        resource: {
+          buffer: this.dirtyBrickBuffer,
+        },
+      }],
+    });
+  }
+
+  // Grows the metaball buffers (by at least double, to avoid frequent reallocation) if they can't
+  // hold ballCount balls.
+  reserveMetaballs(ballCount) {
+    if (ballCount <= this.metaballCapacity) { return; }
+
+    this.allocateMetaballArray(Math.min(Math.max(ballCount, this.metaballCapacity * 2), this.maxBallCount));
+
+    for (const resource of this.resources) {
+      // Any work already submitted that references the old buffer will still complete.
+      resource.metaballBuffer.destroy();
+      resource.metaballBuffer = this.createMetaballBuffer();
+      if (this.binComputePipeline) {
+        this.createBinComputeBindGroup(resource);
+      }
+      if (this.metaballComputePipeline) {
+        this.createMetaballComputeBindGroup(resource);
+      }
+      if (this.metaballDirtyComputePipeline) {
+        this.createMetaballDirtyComputeBindGroup(resource);
+      }
+      for (const meshPass of this.meshPasses) {
+        if (meshPass.pipeline && meshPass.bindings.includes(9)) {
+          this.createMeshBindGroup(meshPass, resource);
+        }
+      }
+    }
+  }
+
   updateMetaballs(metaballs, marchingCubes) {
-    this.metaballArrayHeader[0] = metaballs.balls.length;
+    const ballCount = this.reportDroppedBalls(metaballs.balls.length);
+    this.reserveMetaballs(ballCount);
+
+    this.metaballArrayHeader[0] = ballCount;
+    metaballs.updateBounds();
+
+    // A missing container leaves the flags at zero, which lets the balls determine the whole field.
+    const container = metaballs.container;
+    this.metaballArrayContainer.fill(0);
+    if (container) {
+      this.metaballArrayContainerU32[0] = container.shape.id;
+      this.metaballArrayContainerU32[1] = container.flags;
+      this.metaballArrayContainer[2] = container.floor;
+      this.metaballArrayContainer[3] = container.ceiling;
+      this.metaballArrayContainer[4] = container.fillValue;
+      this.metaballArrayContainer.set(container.params, 8);
+    }
+
+    const changed = metaballs.markDirtyBricks?.(this.brickGrid);
+    if (changed) {
+      for (let i = 0; i < this.brickCount; ++i) {
+        this.pendingDirtyBricks[i] |= changed[i];
+      }
+    } else {
+      this.pendingDirtyBricks.fill(1);
+    }
 
-    for (let i = 0; i < metaballs.balls.length; ++i) {
+    for (let i = 0; i < ballCount; ++i) {
       const ball = metaballs.balls[i];
-      const offset = i * 8;
+      const offset = i * METABALL_FLOAT_STRIDE;
       this.metaballArrayBalls[offset] = ball.position[0];
       this.metaballArrayBalls[offset+1] = ball.position[1];
       this.metaballArrayBalls[offset+2] = ball.position[2];
       this.metaballArrayBalls[offset+3] = ball.radius;
       this.metaballArrayBalls[offset+4] = ball.strength;
       this.metaballArrayBalls[offset+5] = ball.subtract;
+      this.metaballArrayBallsU32[offset+6] = ball.primitive.id;
+      this.metaballArrayBalls[offset+7] = ball.polarity;
+      this.metaballArrayBalls[offset+8] = ball.params[0];
+      this.metaballArrayBalls[offset+9] = ball.params[1];
+      this.metaballArrayBalls[offset+10] = ball.params[2];
+      this.metaballArrayBalls[offset+11] = ball.params[3];
+      this.metaballArrayBalls[offset+12] = ball.boundsMin[0];
+      this.metaballArrayBalls[offset+13] = ball.boundsMin[1];
+      this.metaballArrayBalls[offset+14] = ball.boundsMin[2];
+      this.metaballArrayBalls[offset+16] = ball.boundsMax[0];
+      this.metaballArrayBalls[offset+17] = ball.boundsMax[1];
+      this.metaballArrayBalls[offset+18] = ball.boundsMax[2];
     }
 
-    // Update the metaball buffer with the latest metaball values.
-    this.device.queue.writeBuffer(this.resources[this.computeIndex].metaballBuffer, 0, this.metaballArray);
+    // Update the metaball buffer with the latest metaball values. This goes into the resources that
+    // the next updateCompute() will use, since the dirty bricks marked above have to be evaluated
+    // with the same balls that they were marked for.
+    const metaballBytes = METABALL_HEADER_SIZE + (METABALL_BYTE_STRIDE * ballCount);
+    const nextResource = this.resources[(this.computeIndex + 1) % this.resources.length];
+    this.device.queue.writeBuffer(nextResource.metaballBuffer, 0, this.metaballArray, 0, metaballBytes);
+    this.uploadedBytes += metaballBytes;
   }
 
   update(marchingCubes) {}
@@ -725,7 +1450,14 @@ export class MetaballComputeRenderer extends WebGPUMetaballRendererBase {
       Math.ceil((this.volume.depth) / WORKGROUP_SIZE[2])
     ];
 
+    if (resource.vertexCapacity != this.vertexCapacity || resource.indexCapacity != this.indexCapacity) {
+      this.allocateMeshBuffers(resource);
+    }
+
+    this.indirectArray[9] = resource.vertexCapacity;
+    this.indirectArray[10] = resource.indexCapacity;
     this.device.queue.writeBuffer(resource.indirectBuffer, 0, this.indirectArray);
+    this.uploadedBytes += this.indirectArray.byteLength;
 
     if (this.renderer.needsComputeWorkaround) {
       // For the Pixel 4, something about the indirect draw is causing a crash
@@ -733,25 +1465,150 @@ export class MetaballComputeRenderer extends WebGPUMetaballRendererBase {
       // to be cleared prior to rendering, though, to fill the excess buffer
       // with degenerate triangles.
       commandEncoder.clearBuffer(resource.indexBuffer);
-      this.indexCount = this.indexBufferSize / Uint32Array.BYTES_PER_ELEMENT;
     }
 
-    if (this.metaballComputePipeline && this.marchingCubesComputePipeline) {
+    if (this.binComputePipeline && this.metaballComputePipeline && this.metaballDirtyComputePipeline &&
+        this.brickRangeComputePipeline && this.meshPasses.every((meshPass) => meshPass.pipeline)) {
+      commandEncoder.clearBuffer(this.statsBuffer);
+      commandEncoder.clearBuffer(this.brickMeshCursorBuffer);
+
+      let dirtyBrickCount = 0;
+      for (let i = 0; i < this.brickCount; ++i) {
+        if (this.pendingDirtyBricks[i]) {
+          this.dirtyBrickArray[dirtyBrickCount++] = i;
+        }
+      }
+      this.pendingDirtyBricks.fill(0);
+      this.updatedBrickCount = dirtyBrickCount;
+
+      // The dirty bricks are dispatched as a single row of workgroups.
+      const updateAllBricks = dirtyBrickCount == this.brickCount ||
+                              dirtyBrickCount > this.device.limits.maxComputeWorkgroupsPerDimension;
+      if (dirtyBrickCount && !updateAllBricks) {
+        this.device.queue.writeBuffer(this.dirtyBrickBuffer, 0, this.dirtyBrickArray, 0, dirtyBrickCount);
+        this.uploadedBytes += dirtyBrickCount * this.dirtyBrickArray.BYTES_PER_ELEMENT;
+      }
+
       // Run the compute shaders to fill the position/normal/index buffers.
       const passEncoder = commandEncoder.beginComputePass({
         timestampWrites: timestampHelper.timestampWrites('Metaballs')
       });
 
-      passEncoder.setPipeline(this.metaballComputePipeline);
-      passEncoder.setBindGroup(0, resource.metaballComputeBindGroup);
-      passEncoder.dispatchWorkgroups(...dispatchSize);
+      passEncoder.setPipeline(this.binComputePipeline);
+      passEncoder.setBindGroup(0, resource.binComputeBindGroup);
+      passEncoder.dispatchWorkgroups(
+        Math.ceil(this.brickGridSize[0] / WORKGROUP_SIZE[0]),
+        Math.ceil(this.brickGridSize[1] / WORKGROUP_SIZE[1]),
+        Math.ceil(this.brickGridSize[2] / WORKGROUP_SIZE[2]));
+
+      if (updateAllBricks) {
+        passEncoder.setPipeline(this.metaballComputePipeline);
+        passEncoder.setBindGroup(0, resource.metaballComputeBindGroup);
+        passEncoder.dispatchWorkgroups(...dispatchSize);
+      } else if (dirtyBrickCount) {
+        passEncoder.setPipeline(this.metaballDirtyComputePipeline);
+        passEncoder.setBindGroup(0, resource.metaballDirtyComputeBindGroup);
+        passEncoder.dispatchWorkgroups(dirtyBrickCount);
+      }
 
-      passEncoder.setPipeline(this.marchingCubesComputePipeline);
-      passEncoder.setBindGroup(0, resource.marchingCubesComputeBindGroup);
-      passEncoder.dispatchWorkgroups(...dispatchSize);
+      passEncoder.setPipeline(this.brickRangeComputePipeline);
+      passEncoder.setBindGroup(0, this.brickRangeComputeBindGroup);
+      passEncoder.dispatchWorkgroups(
+        Math.ceil(this.brickGridSize[0] / WORKGROUP_SIZE[0]),
+        Math.ceil(this.brickGridSize[1] / WORKGROUP_SIZE[1]),
+        Math.ceil(this.brickGridSize[2] / WORKGROUP_SIZE[2]));
 
       passEncoder.end();
+
+      // The mesh is generated in its own pass so that it's timed separately from the field. It's
+      // always regenerated from the whole volume, not just the dirty bricks: the count, scan and
+      // emit passes pack every brick's share of the mesh into one range of the mesh buffers, and
+      // the buffers alternate between frames, so the bricks don't keep their own ranges to patch.
+      // The count pass skips the bricks the surface doesn't pass through, which keeps this cheap.
+      const meshPassEncoder = commandEncoder.beginComputePass({
+        timestampWrites: timestampHelper.timestampWrites('Metaball Mesh')
+      });
+
+      for (let i = 0; i < this.meshPasses.length; ++i) {
+        const meshPass = this.meshPasses[i];
+        meshPassEncoder.setPipeline(meshPass.pipeline);
+        meshPassEncoder.setBindGroup(0, resource.meshBindGroups[i]);
+        if (meshPass.activeCells) {
+          meshPassEncoder.dispatchWorkgroupsIndirect(this.activeCellBuffer, 0);
+        } else {
+          meshPassEncoder.dispatchWorkgroups(...(meshPass.dispatch ?? dispatchSize));
+        }
+      }
+
+      meshPassEncoder.end();
+
+      const readbackBuffer = this.statsReadbackBuffers.pop() || this.device.createBuffer({
+        label: 'Metaball Mesh Stats Readback Buffer',
+        size: MESH_STATS_SIZE,
+        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+      });
+      commandEncoder.copyBufferToBuffer(this.statsBuffer, 0, readbackBuffer, 0, MESH_STATS_SIZE);
+      this.pendingStatsReadback = readbackBuffer;
+    }
+  }
+
+  afterSubmit(stats) {
+    this.reportUploadedBytes(stats);
+
+    const readbackBuffer = this.pendingStatsReadback;
+    if (!readbackBuffer) { return; }
+    this.pendingStatsReadback = null;
+
+    stats?.addSample('updated bricks', this.updatedBrickCount, SampleType.cpu);
+
+    readbackBuffer.mapAsync(GPUMapMode.READ).then(() => {
+      if (this.destroyed) {
+        readbackBuffer.destroy();
+        return;
+      }
+      const meshStats = new Uint32Array(readbackBuffer.getMappedRange());
+      if (stats) {
+        stats.addSample('triangulated cells', meshStats[0], SampleType.cpu);
+        stats.addSample('skipped bricks', meshStats[1], SampleType.cpu);
+        stats.addSample('active cells', meshStats[4], SampleType.cpu);
+      }
+      // Each set of resources picks up the new capacity the next time it's computed.
+      this.reserveMesh(meshStats[2], meshStats[3]);
+      readbackBuffer.unmap();
+      this.statsReadbackBuffers.push(readbackBuffer);
+    }).catch((err) => {
+      // Usually means the device was lost or the renderer destroyed mid-map. Drop the buffer, the
+      // capacity will be picked up again from a later frame's stats.
+      if (!this.destroyed) {
+        console.warn('Unable to read back the metaball mesh stats.', err);
+      }
+      readbackBuffer.destroy();
+    });
+  }
+
+  destroy() {
+    this.destroyed = true;
+    for (const resource of this.resources) {
+      resource.metaballBuffer.destroy();
+      resource.vertexBuffer.destroy();
+      resource.normalBuffer?.destroy();
+      resource.indexBuffer.destroy();
+      resource.indirectBuffer.destroy();
+    }
+    this.tablesBuffer.destroy();
+    this.brickMeshCursorBuffer.destroy();
+    this.activeCellBuffer.destroy();
+    this.volumeBuffer.destroy();
+    this.brickBuffer.destroy();
+    this.dirtyBrickBuffer.destroy();
+    this.brickActiveBuffer.destroy();
+    this.statsBuffer.destroy();
+    this.edgeVertexBuffer.destroy();
+    // Readback buffers that are still being mapped are destroyed once their mapping settles.
+    for (const readbackBuffer of this.statsReadbackBuffers) {
+      readbackBuffer.destroy();
     }
+    this.statsReadbackBuffers = [];
   }
 
   draw(passEncoder, view) {
@@ -765,6 +1622,7 @@ export class MetaballComputeRenderer extends WebGPUMetaballRendererBase {
       this.vertexBuffer = resource.vertexBuffer;
       this.normalBuffer = resource.normalBuffer;
       this.indexBuffer = resource.indexBuffer;
+      this.indexCount = resource.indexCapacity;
       super.draw(passEncoder, view);
       return;
     }
@@ -773,7 +1631,9 @@ export class MetaballComputeRenderer extends WebGPUMetaballRendererBase {
     passEncoder.setBindGroup(BIND_GROUP.Frame, view.bindGroup);
     passEncoder.setBindGroup(1, this.renderer.bindGroups.metaball);
     passEncoder.setVertexBuffer(0, resource.vertexBuffer);
-    passEncoder.setVertexBuffer(1, resource.normalBuffer);
+    if (this.vertexFormat.normalStream) {
+      passEncoder.setVertexBuffer(1, resource.normalBuffer);
+    }
     passEncoder.setIndexBuffer(resource.indexBuffer, 'uint32');
     passEncoder.drawIndexedIndirect(resource.indirectBuffer, 16);
   }
@@ -795,13 +1655,12 @@ export class MetaballComputePointRenderer extends MetaballComputeRenderer {
       vertex: {
         module,
         buffers: [{
-          arrayStride: 12,
+          arrayStride: this.vertexFormat.byteStride,
           stepMode: 'instance',
           attributes: [{
             shaderLocation: ATTRIB_MAP.POSITION,
-            format: 'float32x3',
-            offset: 0,
-
+            format: this.vertexFormat.position.format,
+            offset: this.vertexFormat.position.offset,
           }],
         }]
       },
@@ -836,4 +1695,141 @@ export class MetaballComputePointRenderer extends MetaballComputeRenderer {
     passEncoder.setVertexBuffer(0, resource.vertexBuffer);
     passEncoder.drawIndirect(resource.indirectBuffer, 0);
   }
-}
\ No newline at end of file
+}
+//
+// Alternative meshing algorithms
+//
+
+/**
+ * These use the triangulators from surface-nets.js, dual-contouring.js and marching-tetrahedra.js
+ * instead of Marching Cubes to triangulate the same field, so that the quality and triangle counts
+ * of each can be compared. The CPU variants upload with writeBuffer(). The compute variants swap
+ * out the marching cubes passes of MetaballComputeRenderer for the equivalent shaders.
+ */
+export class MetaballSurfaceNets extends MetaballWriteBuffer {
+  constructor(renderer, volume) {
+    super(renderer, volume);
+    this.mesher = new SurfaceNets(volume);
+  }
+
+  get mesherType() {
+    return SurfaceNets;
+  }
+
+  update(marchingCubes) {
+    return super.update(this.mesher);
+  }
+}
+
+export class MetaballDualContouring extends MetaballWriteBuffer {
+  constructor(renderer, volume) {
+    super(renderer, volume);
+    this.mesher = new DualContouring(volume);
+  }
+
+  get mesherType() {
+    return DualContouring;
+  }
+
+  update(marchingCubes) {
+    return super.update(this.mesher);
+  }
+}
+
+export class MetaballMarchingTetrahedra extends MetaballWriteBuffer {
+  constructor(renderer, volume) {
+    super(renderer, volume);
+    this.mesher = new MarchingTetrahedra(volume);
+  }
+
+  get mesherType() {
+    return MarchingTetrahedra;
+  }
+
+  update(marchingCubes) {
+    return super.update(this.mesher);
+  }
+}
+
+/**
+ * Samples the field into an adaptive octree rather than the dense volume, refining it the closest
+ * to the camera, and contours that with dual contouring. Uploads with writeBuffer().
+ */
+export class MetaballAdaptiveOctree extends MetaballWriteBuffer {
+  constructor(renderer, volume) {
+    super(renderer, volume);
+    this.mesher = new AdaptiveOctree(volume);
+  }
+
+  get mesherType() {
+    return AdaptiveOctree;
+  }
+
+  // The octree samples the field itself, so the dense volume never needs to be filled.
+  updateMetaballs(metaballs, marchingCubes) {
+    this.marchingCubes = marchingCubes;
+    this.mesher.updateVolume(metaballs, this.renderer.camera?.position);
+  }
+
+  update(marchingCubes) {
+    return super.update(this.mesher);
+  }
+}
+
+export class MetaballSurfaceNetsComputeRenderer extends MetaballComputeRenderer {
+  get mesherType() {
+    return SurfaceNets;
+  }
+
+  getMeshPasses() {
+    return [{
+      label: 'Surface Nets Count',
+      code: SurfaceNetsCountComputeSource,
+      bindings: [1, 7, 11],
+    }, this.getMeshScanPass(), {
+      label: 'Surface Nets Compact',
+      code: SurfaceNetsCompactComputeSource,
+      bindings: [1, 7, 11, 12],
+      dispatch: this.brickDispatchSize,
+    }, {
+      label: 'Surface Nets Vertex',
+      code: SurfaceNetsVertexComputeSource(false, this.vertexFormat),
+      bindings: [1, 2, 3, 5, 6, 8, 11, 12],
+      activeCells: true,
+    }, {
+      label: 'Surface Nets',
+      code: SurfaceNetsComputeSource,
+      bindings: [1, 4, 5, 8, 11, 12],
+      activeCells: true,
+    }];
+  }
+}
+
+export class MetaballDualContouringComputeRenderer extends MetaballComputeRenderer {
+  get mesherType() {
+    return DualContouring;
+  }
+
+  getMeshPasses() {
+    return [{
+      label: 'Dual Contouring Count',
+      code: SurfaceNetsCountComputeSource,
+      bindings: [1, 7, 11],
+    }, this.getMeshScanPass(), {
+      label: 'Dual Contouring Compact',
+      code: SurfaceNetsCompactComputeSource,
+      bindings: [1, 7, 11, 12],
+      dispatch: this.brickDispatchSize,
+    }, {
+      label: 'Dual Contouring Vertex',
+      code: SurfaceNetsVertexComputeSource(true, this.vertexFormat),
+      bindings: [1, 2, 3, 5, 6, 8, 11, 12],
+      activeCells: true,
+    }, {
+      label: 'Dual Contouring',
+      code: SurfaceNetsComputeSource,
+      bindings: [1, 4, 5, 8, 11, 12],
+      activeCells: true,
+    }];
+  }
+}
@@ -19,31 +19,49 @@
 // SOFTWARE.
 
 import { Renderer } from '../renderer.js';
+import { MarchingCubesWorkerPool } from '../marching-cubes-worker-pool.js';
 import { WebGPUTextureLoader } from 'webgpu-texture-loader';
 
 import { WebGPULightSprites } from './webgpu-light-sprites.js';
 import { WebGPUglTF } from './webgpu-gltf.js';
 import { WebGPUView } from './webgpu-view.js';
+import { StagingRing } from './staging-ring.js';
 
 import {
   MetaballWriteBuffer,
   MetaballNewBuffer,
   MetaballNewStagingBuffer,
+  MetaballPooledStagingBuffer,
   MetaballSingleStagingBuffer,
   MetaballStagingBufferRing,
+  MetaballWasmWriteBuffer,
   MetaballComputeRenderer,
   MetaballComputePointRenderer,
+  MetaballSurfaceNets,
+  MetaballDualContouring,
+  MetaballMarchingTetrahedra,
+  MetaballAdaptiveOctree,
+  MetaballSurfaceNetsComputeRenderer,
+  MetaballDualContouringComputeRenderer,
 } from './webgpu-metaball-renderer.js';
 import { TimestampHelper } from './timestamp-helper.js';
 
-const MetaballMethods = {
+export const MetaballMethods = {
   writeBuffer: MetaballWriteBuffer,
   newBuffer: MetaballNewBuffer,
   newStaging: MetaballNewStagingBuffer,
+  pooledStaging: MetaballPooledStagingBuffer,
   singleStaging: MetaballSingleStagingBuffer,
   stagingRing: MetaballStagingBufferRing,
+  wasmWriteBuffer: MetaballWasmWriteBuffer,
   gpuGenerated: MetaballComputeRenderer,
   pointCloud: MetaballComputePointRenderer,
+  surfaceNets: MetaballSurfaceNets,
+  dualContouring: MetaballDualContouring,
+  marchingTetrahedra: MetaballMarchingTetrahedra,
+  adaptiveOctree: MetaballAdaptiveOctree,
+  surfaceNetsCompute: MetaballSurfaceNetsComputeRenderer,
+  dualContouringCompute: MetaballDualContouringComputeRenderer,
 };
 
 const SAMPLE_COUNT = 4;
@@ -65,6 +83,10 @@ export class WebGPURenderer extends Renderer {
 
     this.metaballMethod = null;
 
+    // How the metaball methods lay out their meshes in the vertex buffers, see
+    // metaball-vertex-format.js.
+    this.metaballVertexFormat = 'separate';
+
     this.needsComputeWorkaround = false;
 
     this.xrBinding = null;
@@ -214,6 +236,10 @@ export class WebGPURenderer extends Renderer {
       ]
     });
 
+    // Shared staging memory for anything that needs to upload transient data. Copies recorded into it
+    // are encoded at the start of each frame.
+    this.stagingRing = new StagingRing(this.device);
+
     this.lightsBuffer = this.device.createBuffer({
       size: this.lightManager.uniformArray.byteLength,
       usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.STORAGE,
@@ -252,6 +278,9 @@ export class WebGPURenderer extends Renderer {
   }
 
   setMetaballMethod(method) {
+    // Free the previous method's buffers right away, since they may be very large.
+    this.metaballRenderer?.destroy();
+
     const rendererConstructor = MetaballMethods[method];
     if (!rendererConstructor) {
       this.metaballRenderer = null;
@@ -263,6 +292,12 @@ export class WebGPURenderer extends Renderer {
     this.metaballMethod = method;
   }
 
+  // Switches the vertex layout the metaball meshes are stored in, which rebuilds the current method.
+  setMetaballVertexFormat(format) {
+    this.metaballVertexFormat = format;
+    this.setMetaballMethod(this.metaballMethod);
+  }
+
   async setMetaballStyle(style) {
     super.setMetaballStyle(style);
 
@@ -285,22 +320,32 @@ export class WebGPURenderer extends Renderer {
     });
   }
 
-  setMetaballStep(step) {
-    super.setMetaballStep(step);
+  setMetaballVolume(volume) {
+    super.setMetaballVolume(volume);
     this.setMetaballMethod(this.metaballMethod);
   }
 
-  updateMetaballs(timestamp) {
+  updateMetaballs(timestamp, timeDelta = 0) {
     if (this.drawMetaballs && this.metaballsNeedUpdate && this.metaballRenderer) {
       this.metaballsNeedUpdate = false;
 
-      super.updateMetaballs(timestamp);
+      super.updateMetaballs(timestamp, timeDelta);
+
+      // Methods that triangulate with their own mesher need the volume filled on this thread, as do
+      // isosurfaces that can't be sent to the workers.
+      let marchingCubes = this.marchingCubes;
+      if (this.marchingCubesWorkers && !this.metaballRenderer.mesher &&
+          MarchingCubesWorkerPool.supports(this.metaballs)) {
+        marchingCubes = this.marchingCubesWorkers;
+      }
 
-      this.metaballRenderer.updateMetaballs(this.metaballs, this.marchingCubes);
+      this.metaballRenderer.updateMetaballs(this.metaballs, marchingCubes);
 
-      this.metaballRenderer.update(this.marchingCubes);
+      this.metaballRenderer.update(marchingCubes);
 
       this.metaballsNeedUpdate = true;
+    } else if (this.drawMetaballs) {
+      this.skippedMetaballTime += timeDelta;
     }
   }
 
@@ -325,13 +370,16 @@ export class WebGPURenderer extends Renderer {
     const gpuView = this.views[0];
 
     // Update the light unform buffer with the latest values.
-    this.device.queue.writeBuffer(this.lightsBuffer, 0, this.lightManager.uniformArray);
+    this.stagingRing.upload(this.lightsBuffer, 0, this.lightManager.uniformArray);
 
     // Copy values from the camera into our frame uniform buffers
     gpuView.updateMatrices(timestamp, this.camera);
 
     const commandEncoder = this.device.createCommandEncoder({});
 
+    // Copy everything that's been staged for this frame (lights, CPU generated metaball meshes, etc.)
+    this.stagingRing.encodeCopies(commandEncoder);
+
     // First update the metaballs isosurface and mesh.
     this.metaballRenderer.updateCompute(commandEncoder, this.timestampHelper);
 
@@ -376,6 +424,8 @@ export class WebGPURenderer extends Renderer {
 
     const commandBuffer = commandEncoder.finish();
     this.device.queue.submit([commandBuffer]);
+    this.stagingRing.afterSubmit();
+    this.metaballRenderer.afterSubmit(this.stats);
 
     // Must be called after submit.
     timestampResults.read().then((results) => {
@@ -417,10 +467,12 @@ export class WebGPURenderer extends Renderer {
     if (!pose) { return; }
 
     // Update the light unform buffer with the latest values as well.
-    this.device.queue.writeBuffer(this.lightsBuffer, 0, this.lightManager.uniformArray);
+    this.stagingRing.upload(this.lightsBuffer, 0, this.lightManager.uniformArray);
 
     const commandEncoder = this.device.createCommandEncoder({});
 
+    this.stagingRing.encodeCopies(commandEncoder);
+
     // First update the metaballs isosurface and mesh.
     this.metaballRenderer.updateCompute(commandEncoder, this.timestampHelper);
 
@@ -487,6 +539,8 @@ export class WebGPURenderer extends Renderer {
 
     const commandBuffer = commandEncoder.finish();
     this.device.queue.submit([commandBuffer]);
+    this.stagingRing.afterSubmit();
+    this.metaballRenderer.afterSubmit(this.stats);
 
     timestampResults.read().then((results) => {
       for (let [key, result] of Object.entries(results)) {
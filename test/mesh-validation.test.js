@@ -0,0 +1,54 @@
+// Copyright 2021 Brandon Jones
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkWatertightness } from '../js/mesh-validation.js';
+import { MarchingCubes } from '../js/marching-cubes.js';
+import { MarchingTetrahedra } from '../js/marching-tetrahedra.js';
+import { SurfaceNets } from '../js/surface-nets.js';
+import { DualContouring } from '../js/dual-contouring.js';
+import { AdaptiveOctree } from '../js/adaptive-octree.js';
+
+//
+// Checks that the CPU triangulators don't leave any open edges inside of the volume.
+//
+
+for (const triangulatorType of [MarchingCubes, MarchingTetrahedra]) {
+  test(`${triangulatorType.name} meshes are watertight`, () => {
+    for (const result of checkWatertightness(triangulatorType)) {
+      assert.ok(result.triangles > 0, `trial ${result.trial} produced no triangles`);
+      assert.equal(result.openEdges, 0, `trial ${result.trial} has open edges`);
+    }
+  });
+}
+
+// The dual methods leave a rim wherever the volume clips the surface, so the volume is padded to fit
+// all of it, and may share an edge between four triangles where they pinch a thin neck of the
+// surface. Only edges that leave a hole are counted for them.
+for (const triangulatorType of [SurfaceNets, DualContouring, AdaptiveOctree]) {
+  test(`${triangulatorType.name} meshes have no holes`, () => {
+    for (const result of checkWatertightness(triangulatorType, { padding: 0.5 })) {
+      assert.ok(result.triangles > 0, `trial ${result.trial} produced no triangles`);
+      assert.equal(result.holes, 0, `trial ${result.trial} has holes`);
+    }
+  });
+}